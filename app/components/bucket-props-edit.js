@@ -0,0 +1,154 @@
+import Ember from 'ember';
+
+/**
+ * Edit form for a Bucket's or a Bucket Type's properties.
+ * Changes are validated client-side, and a before/after diff is displayed
+ * for confirmation before the `saveProps` action is sent to the parent route.
+ * @see BucketProps
+ *
+ * @class BucketPropsEditComponent
+ * @extends Ember.Component
+ * @constructor
+ */
+var BucketPropsEditComponent = Ember.Component.extend({
+  /**
+   * Properties being edited.
+   * @property props
+   * @type BucketProps
+   */
+  props: null,
+
+  /**
+   * Editable form fields, one per editable property.
+   * @property fields
+   * @type Array<Ember.Object>
+   */
+  fields: null,
+
+  /**
+   * Changed properties, pending confirmation.
+   * @property changes
+   * @type Hash
+   */
+  changes: null,
+
+  /**
+   * Before/after list of the pending changes.
+   * @see BucketProps.diffFor
+   * @property diff
+   * @type Array<Hash>
+   */
+  diff: null,
+
+  /**
+   * Is the user reviewing the diff (versus editing the form)?
+   * @property isReviewing
+   * @type Boolean
+   * @default false
+   */
+  isReviewing: false,
+
+  /**
+   * Client-side validation errors.
+   * @see BucketProps.validateChanges
+   * @property validationErrors
+   * @type Array<String>
+   */
+  validationErrors: null,
+
+  didReceiveAttrs() {
+    this._super(...arguments);
+    this.resetFields();
+  },
+
+  /**
+   * Collects the values of all the modified fields.
+   *
+   * @method collectChanges
+   * @return {Hash}
+   */
+  collectChanges() {
+    let props = this.get('props');
+    let current = props.get('props');
+    let changes = {};
+
+    this.get('fields').forEach(function(field) {
+      let key = field.get('key');
+      let value = props.normalizeValue(key, field.get('value'));
+
+      if (value !== current[key]) {
+        changes[key] = value;
+      }
+    });
+    return changes;
+  },
+
+  /**
+   * Re-populates the form fields from the current properties.
+   *
+   * @method resetFields
+   */
+  resetFields() {
+    let props = this.get('props');
+    let list = props ? props.get('editableList') : [];
+
+    this.setProperties({
+      fields: list.map(function(prop) {
+        return Ember.Object.create({
+          key: prop.key,
+          value: prop.value,
+          isBoolean: prop.type === 'boolean'
+        });
+      }),
+      changes: null,
+      diff: null,
+      isReviewing: false,
+      validationErrors: null
+    });
+  },
+
+  actions: {
+    /**
+     * The user has clicked 'Back' on the review screen.
+     * @event backToEdit
+     */
+    backToEdit() {
+      this.set('isReviewing', false);
+    },
+
+    /**
+     * The user has clicked 'Review Changes'. Validates the edited fields and,
+     * if valid, displays the before/after diff.
+     * @event reviewChanges
+     */
+    reviewChanges() {
+      let props = this.get('props');
+      let changes = this.collectChanges();
+      let errors = props.validateChanges(changes);
+
+      this.set('validationErrors', errors);
+      if (!Ember.isEmpty(errors)) {
+        return;
+      }
+      if (Ember.isEmpty(Object.keys(changes))) {
+        this.set('validationErrors', ['No properties were changed.']);
+        return;
+      }
+      this.setProperties({
+        changes: changes,
+        diff: props.diffFor(changes),
+        isReviewing: true
+      });
+    },
+
+    /**
+     * The user has confirmed the changes. Sends them to the parent route.
+     * @event saveChanges
+     */
+    saveChanges() {
+      this.sendAction('saveProps', this.get('changes'));
+    }
+  }
+});
+
+export default BucketPropsEditComponent;
@@ -0,0 +1,14 @@
+import Ember from 'ember';
+
+export default Ember.Component.extend({
+  tagName: 'span',
+
+  actions: {
+    deleteIndex: function(index) {
+      if (window.confirm(index.get('deleteConfirmation'))) {
+        // Send its primary action to parent route
+        this.sendAction('action', index);
+      }
+    }
+  }
+});
@@ -0,0 +1,280 @@
+import Ember from 'ember';
+import mapReduceJob, { mapReduceInputs, curlCommand } from '../utils/mapreduce-job';
+import copyToClipboard from '../utils/copy-to-clipboard';
+
+/**
+ * A phase of the job being built, @see mapReducePhase
+ *
+ * @class MapReducePhase
+ * @extends Ember.Object
+ * @private
+ */
+var MapReducePhase = Ember.Object.extend({
+  isErlang: Ember.computed.equal('language', 'erlang')
+});
+
+/**
+ * Console for running MapReduce jobs against a cluster (via the Explorer
+ * proxy). Jobs take bucket/key, whole bucket or 2i inputs, and any number of
+ * map and reduce phases (built-in Erlang functions, or JavaScript source).
+ * Results are displayed as JSON, either streamed (chunk by chunk) or
+ * aggregated.
+ * @see ExplorerService.mapReduce
+ *
+ * @class MapreduceConsoleComponent
+ * @extends Ember.Component
+ * @constructor
+ */
+var MapreduceConsoleComponent = Ember.Component.extend({
+  classNames: ['mapreduce-console'],
+
+  explorer: Ember.inject.service('explorer'),
+
+  /**
+   * @property cluster
+   * @type Cluster
+   */
+  cluster: null,
+
+  /**
+   * @property inputTypes
+   * @type Array<String>
+   */
+  inputTypes: ['keys', 'bucket', 'index'],
+
+  /**
+   * `'keys'` (bucket/key pairs), `'bucket'` or `'index'` (2i query)
+   * @property inputType
+   * @type String
+   * @default 'keys'
+   */
+  inputType: 'keys',
+
+  /**
+   * @property isKeysInput
+   * @type Boolean
+   */
+  isKeysInput: Ember.computed.equal('inputType', 'keys'),
+
+  /**
+   * @property isIndexInput
+   * @type Boolean
+   */
+  isIndexInput: Ember.computed.equal('inputType', 'index'),
+
+  /**
+   * Values of the input form fields, @see mapReduceInputs
+   * @property input
+   * @type Ember.Object
+   */
+  input: null,
+
+  /**
+   * Phases of the job, @see mapReducePhase
+   * @property phases
+   * @type Array<Ember.Object>
+   */
+  phases: null,
+
+  /**
+   * @property phaseTypes
+   * @type Array<String>
+   */
+  phaseTypes: ['map', 'reduce'],
+
+  /**
+   * @property languages
+   * @type Array<String>
+   */
+  languages: ['erlang', 'javascript'],
+
+  /**
+   * Functions of the built-in `riak_kv_mapreduce` Erlang module.
+   * @property builtInFunctions
+   * @type Array<String>
+   */
+  builtInFunctions: [
+    'map_object_value',
+    'map_object_value_list',
+    'map_identity',
+    'reduce_identity',
+    'reduce_count_inputs',
+    'reduce_sum',
+    'reduce_plist_sum',
+    'reduce_sort',
+    'reduce_set_union',
+    'reduce_string_to_integer'
+  ],
+
+  /**
+   * Job timeout, in milliseconds (blank for the cluster's default).
+   * @property timeout
+   * @type String
+   */
+  timeout: '',
+
+  /**
+   * Stream the results, as each phase produces them?
+   * @property isStreamed
+   * @type Boolean
+   * @default false
+   */
+  isStreamed: false,
+
+  /**
+   * @property isRunning
+   * @type Boolean
+   * @default false
+   */
+  isRunning: false,
+
+  /**
+   * Results of the last job, as JSON.
+   * @property results
+   * @type String
+   */
+  results: null,
+
+  /**
+   * Chunks received so far from a streamed job.
+   * @property chunks
+   * @type Array<Hash>
+   */
+  chunks: null,
+
+  /**
+   * Command line for the current job, from "Copy as curl".
+   * @property curl
+   * @type String
+   */
+  curl: null,
+
+  /**
+   * @property errorMessage
+   * @type String
+   */
+  errorMessage: null,
+
+  init() {
+    this._super(...arguments);
+    this.setProperties({
+      input: Ember.Object.create({bucketType: 'default'}),
+      phases: [this.newPhase('map', 'map_object_value')],
+      chunks: []
+    });
+  },
+
+  /**
+   * @method newPhase
+   * @param type {String} `'map'` or `'reduce'`
+   * @param functionName {String} Built-in Erlang function
+   * @return {Ember.Object}
+   */
+  newPhase(type, functionName) {
+    return MapReducePhase.create({
+      type: type,
+      language: 'erlang',
+      module: 'riak_kv_mapreduce',
+      function: functionName,
+      source: '',
+      arg: '',
+      keep: false
+    });
+  },
+
+  /**
+   * Builds the job from the form fields.
+   *
+   * @method buildJob
+   * @return {Hash|Null} The job, or `null` (and sets `errorMessage`) if
+   *     the form is incomplete
+   */
+  buildJob() {
+    let timeout = parseInt(this.get('timeout'), 10);
+    let input = this.get('input').getProperties('bucketType', 'bucket', 'keys',
+      'indexName', 'indexValue', 'rangeStart', 'rangeEnd');
+    let phases = this.get('phases').map(function(phase) {
+      return phase.getProperties('type', 'language', 'module', 'function', 'source', 'arg', 'keep');
+    });
+
+    this.set('errorMessage', null);
+    try {
+      return mapReduceJob(mapReduceInputs(this.get('inputType'), input),
+        phases, isNaN(timeout) ? null : timeout);
+    } catch (error) {
+      this.set('errorMessage', error.message);
+      return null;
+    }
+  },
+
+  actions: {
+    addPhase() {
+      this.get('phases').pushObject(this.newPhase('reduce', 'reduce_identity'));
+    },
+
+    copyAsCurl() {
+      let job = this.buildJob();
+      let url = this.get('explorer').mapReduceUrl(this.get('cluster.id'));
+
+      if (job) {
+        if (!/^https?:/.test(url)) {
+          url = `${window.location.origin}${url}`;
+        }
+        this.set('curl', curlCommand(url, job));
+        copyToClipboard(this.get('curl'));
+      }
+    },
+
+    removePhase(phase) {
+      this.get('phases').removeObject(phase);
+    },
+
+    runJob() {
+      let self = this;
+      let job = this.buildJob();
+      let onChunk = null;
+
+      if (!job) {
+        return;
+      }
+      if (this.get('isStreamed')) {
+        onChunk = function(chunk) {
+          self.get('chunks').pushObject({phase: chunk.phase, data: JSON.stringify(chunk.data, null, 2)});
+        };
+      }
+      this.setProperties({isRunning: true, results: null, chunks: []});
+      this.get('explorer').mapReduce(this.get('cluster.id'), job, onChunk)
+        .then(function(results) {
+          if (!onChunk) {
+            self.set('results', JSON.stringify(results, null, 2));
+          }
+        }, function(xhr) {
+          self.set('errorMessage', (xhr && xhr.responseText) ||
+            'Something went wrong, the MapReduce job failed.');
+        })
+        .finally(function() {
+          if (!self.get('isDestroyed')) {
+            self.set('isRunning', false);
+          }
+        });
+    },
+
+    selectBuiltInFunction(phase, functionName) {
+      phase.setProperties({module: 'riak_kv_mapreduce', function: functionName});
+    },
+
+    selectInputType(inputType) {
+      this.set('inputType', inputType);
+    },
+
+    selectLanguage(phase, language) {
+      phase.set('language', language);
+    },
+
+    selectPhaseType(phase, type) {
+      phase.set('type', type);
+    }
+  }
+});
+
+export default MapreduceConsoleComponent;
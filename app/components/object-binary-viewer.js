@@ -0,0 +1,183 @@
+import Ember from 'ember';
+import downloadFile from '../utils/download-file';
+import hexDump from '../utils/hex-dump';
+
+/**
+ * Displays the contents of a binary (non-text) plain Riak object: a paged
+ * hex/ASCII dump, an inline preview for images, the byte length, and a
+ * download button.
+ * @see ObjectMetadata.isBinary
+ *
+ * @class ObjectBinaryViewerComponent
+ * @extends Ember.Component
+ * @constructor
+ */
+var ObjectBinaryViewerComponent = Ember.Component.extend({
+  classNames: ['object-binary-viewer'],
+
+  explorer: Ember.inject.service('explorer'),
+
+  /**
+   * @property object
+   * @type RiakObject
+   */
+  object: null,
+
+  /**
+   * Raw contents of the object (once loaded).
+   * @property bytes
+   * @type Uint8Array
+   */
+  bytes: null,
+
+  /**
+   * Error message, if the contents could not be loaded.
+   * @property loadError
+   * @type String
+   */
+  loadError: null,
+
+  /**
+   * Number of bytes displayed per page of the hex dump.
+   * @property bytesPerPage
+   * @type Number
+   * @default 512
+   */
+  bytesPerPage: 512,
+
+  /**
+   * Currently displayed page of the hex dump (0-based).
+   * @property page
+   * @type Number
+   * @default 0
+   */
+  page: 0,
+
+  /**
+   * @property byteLength
+   * @type Number
+   */
+  byteLength: function() {
+    return this.get('bytes') ? this.get('bytes').length : 0;
+  }.property('bytes'),
+
+  /**
+   * @property pageCount
+   * @type Number
+   */
+  pageCount: function() {
+    return Math.max(1, Math.ceil(this.get('byteLength') / this.get('bytesPerPage')));
+  }.property('byteLength', 'bytesPerPage'),
+
+  /**
+   * Current page number, for display (1-based).
+   * @property pageNumber
+   * @type Number
+   */
+  pageNumber: function() {
+    return this.get('page') + 1;
+  }.property('page'),
+
+  /**
+   * Offset of the first byte on the current page.
+   * @property pageStart
+   * @type Number
+   */
+  pageStart: function() {
+    return this.get('page') * this.get('bytesPerPage');
+  }.property('page', 'bytesPerPage'),
+
+  /**
+   * Offset after the last byte on the current page.
+   * @property pageEnd
+   * @type Number
+   */
+  pageEnd: function() {
+    return Math.min(this.get('byteLength'), this.get('pageStart') + this.get('bytesPerPage'));
+  }.property('pageStart', 'byteLength', 'bytesPerPage'),
+
+  /**
+   * Hex dump rows for the current page.
+   * @property rows
+   * @type Array<Hash>
+   */
+  rows: function() {
+    if (!this.get('bytes')) {
+      return [];
+    }
+    return hexDump(this.get('bytes'), this.get('pageStart'), this.get('bytesPerPage'));
+  }.property('bytes', 'pageStart', 'bytesPerPage'),
+
+  /**
+   * @property hasPreviousPage
+   * @type Boolean
+   */
+  hasPreviousPage: function() {
+    return this.get('page') > 0;
+  }.property('page'),
+
+  /**
+   * @property hasNextPage
+   * @type Boolean
+   */
+  hasNextPage: function() {
+    return this.get('page') < this.get('pageCount') - 1;
+  }.property('page', 'pageCount'),
+
+  /**
+   * Can the object be previewed inline, as an image?
+   * @property isImage
+   * @type Boolean
+   */
+  isImage: function() {
+    return (this.get('object.metadata.contentType') || '').toLowerCase().startsWith('image/');
+  }.property('object.metadata.contentType'),
+
+  /**
+   * (Re)loads the object's raw contents whenever a different object is
+   * displayed.
+   *
+   * @method didReceiveAttrs
+   */
+  didReceiveAttrs() {
+    let self = this;
+    let object = this.get('object');
+
+    if (!object || object === this._loadedObject) {
+      return;
+    }
+    this._loadedObject = object;
+    this.setProperties({bytes: null, loadError: null, page: 0});
+
+    this.get('explorer').getObjectBytes(object).then(function(bytes) {
+      if (!self.get('isDestroyed')) {
+        self.set('bytes', bytes);
+      }
+    }, function(xhr) {
+      if (!self.get('isDestroyed')) {
+        self.set('loadError', `Could not load the object contents (${xhr.status} ${xhr.statusText}).`);
+      }
+    });
+  },
+
+  actions: {
+    download() {
+      downloadFile(this.get('bytes'), this.get('object.key'),
+        this.get('object.metadata.contentType'));
+    },
+
+    nextPage() {
+      if (this.get('hasNextPage')) {
+        this.incrementProperty('page');
+      }
+    },
+
+    previousPage() {
+      if (this.get('hasPreviousPage')) {
+        this.decrementProperty('page');
+      }
+    }
+  }
+});
+
+export default ObjectBinaryViewerComponent;
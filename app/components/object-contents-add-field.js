@@ -0,0 +1,158 @@
+import Ember from 'ember';
+
+/**
+ * Form for adding a new field (of any type) to a Map, or to one of its
+ * nested maps. The name can be a path of nested map names separated by `/`
+ * (e.g. `address/geo/lat`), to build several levels of nested maps at once.
+ * Forwards the `addField` action (with the parsed initial value) to:
+ * @see ObjectContentsMapComponent
+ *
+ * @class ObjectContentsAddFieldComponent
+ * @extends Ember.Component
+ * @constructor
+ */
+var ObjectContentsAddFieldComponent = Ember.Component.extend({
+  /**
+   * Map (standalone or nested) to which the field is added.
+   * @property model
+   * @type {RiakObjectMap|RiakObjectEmbeddedMap}
+   */
+  model: null,
+
+  /**
+   * @property fieldTypes
+   * @type {Array<String>}
+   */
+  fieldTypes: ['register', 'flag', 'counter', 'set', 'map'],
+
+  /**
+   * @property fieldType
+   * @type {String}
+   * @default 'register'
+   */
+  fieldType: 'register',
+
+  /**
+   * Field name (without the `_<field type>` suffix), or a path of names.
+   * @property name
+   * @type {String}
+   */
+  name: null,
+
+  /**
+   * Initial value: register value, counter value or comma-separated
+   * set elements.
+   * @property value
+   * @type {String}
+   */
+  value: null,
+
+  /**
+   * Initial value of a new flag.
+   * @property isEnabled
+   * @type {Boolean}
+   * @default false
+   */
+  isEnabled: false,
+
+  /**
+   * @property errorMessage
+   * @type {String}
+   */
+  errorMessage: null,
+
+  /**
+   * @property isFlag
+   * @type {Boolean}
+   */
+  isFlag: Ember.computed.equal('fieldType', 'flag'),
+
+  /**
+   * @property isMap
+   * @type {Boolean}
+   */
+  isMap: Ember.computed.equal('fieldType', 'map'),
+
+  /**
+   * @property valuePlaceholder
+   * @type {String}
+   */
+  valuePlaceholder: function() {
+    switch (this.get('fieldType')) {
+      case 'counter':
+        return 'initial value, e.g. 1';
+      case 'set':
+        return 'elements, comma separated';
+      default:
+        return 'value';
+    }
+  }.property('fieldType'),
+
+  /**
+   * Parses the initial value of the new field, for its type.
+   *
+   * @method fieldValue
+   * @return {String|Boolean|Number|Array<String>|Null} The value,
+   *     or `null` (and sets `errorMessage`) if it's invalid
+   */
+  fieldValue() {
+    let value = (this.get('value') || '').trim();
+
+    switch (this.get('fieldType')) {
+      case 'register':
+        if (!value) {
+          this.set('errorMessage', 'Registers must have a value.');
+          return null;
+        }
+        return this.get('value');
+      case 'flag':
+        return this.get('isEnabled');
+      case 'counter':
+        if (value && !/^-?\d+$/.test(value)) {
+          this.set('errorMessage', 'Counter values must be integers.');
+          return null;
+        }
+        return value ? parseInt(value, 10) : 0;
+      case 'set':
+        return value.split(',').map(function(element) {
+          return element.trim();
+        }).filter(function(element, index, elements) {
+          return element && elements.indexOf(element) === index;
+        });
+      default:
+        // Nested maps start out empty
+        return {counters: {}, flags: {}, registers: {}, sets: {}, maps: {}};
+    }
+  },
+
+  actions: {
+    /**
+     * The user has clicked on the 'Add Field' button.
+     *
+     * @event addField
+     * @param model {RiakObjectMap|RiakObjectEmbeddedMap}
+     */
+    addField(model) {
+      let value;
+
+      this.set('errorMessage', null);
+      if (Ember.isBlank(this.get('name'))) {
+        this.set('errorMessage', 'Fields must have a name.');
+        return;
+      }
+      value = this.fieldValue();
+      if (value === null) {
+        return;
+      }
+      this.sendAction('addField', model, this.get('fieldType'), this.get('name'), value);
+
+      // Reset the UI fields
+      this.setProperties({name: null, value: null, isEnabled: false});
+    },
+
+    selectFieldType(fieldType) {
+      this.setProperties({fieldType: fieldType, errorMessage: null});
+    }
+  }
+});
+export default ObjectContentsAddFieldComponent;
@@ -1,7 +1,57 @@
 import ObjectContentsCounterComponent from "./object-contents-counter";
 
+/**
+ * Displays a list of Counter type fields in a Map Data Type.
+ *
+ * @class ObjectContentsCountersEmbeddedComponent
+ * @extends ObjectContentsCounterComponent
+ * @constructor
+ */
 var ObjectContentsCountersEmbeddedComponent = ObjectContentsCounterComponent.extend({
+  /**
+   * Amount by which the counters are incremented or decremented.
+   * @property amount
+   * @type {String}
+   * @default '1'
+   */
+  amount: '1',
+
+  /**
+   * @property amountValue
+   * @type {Number|Null} The amount, or `null` unless it's a positive integer
+   */
+  amountValue: function() {
+    let amount = String(this.get('amount')).trim();
+    return /^\d+$/.test(amount) && parseInt(amount, 10) > 0 ? parseInt(amount, 10) : null;
+  }.property('amount'),
+
   actions: {
+    /**
+     * The user has clicked on a counter's Decrement button.
+     * Forward the `decrementCounter` action to parent controller.
+     *
+     * @event decrementCounter
+     * @param counter {RiakObjectMapField}
+     */
+    decrementCounter(counter) {
+      if (this.get('amountValue')) {
+        this.sendAction('decrementCounter', counter, this.get('amountValue'));
+      }
+    },
+
+    /**
+     * The user has clicked on a counter's Increment button.
+     * Forward the `incrementCounter` action to parent controller.
+     *
+     * @event incrementCounter
+     * @param counter {RiakObjectMapField}
+     */
+    incrementCounter(counter) {
+      if (this.get('amountValue')) {
+        this.sendAction('incrementCounter', counter, this.get('amountValue'));
+      }
+    },
+
     /**
      * The user has clicked on the Delete Counter button.
      * Forward the `removeField` action to parent controller.
@@ -0,0 +1,139 @@
+import Ember from 'ember';
+import contentFormat, { parseError as contentsParseError, prettyPrint, minify } from '../utils/content-format';
+
+/**
+ * Editor for the contents of a plain Riak object, which follows the object's
+ * content type. JSON and XML documents are checked as they are edited, can
+ * be pretty-printed or minified, and have a syntax highlighted preview.
+ * Saving a document that does not parse requires an explicit override.
+ * @see contentFormat
+ *
+ * @class ObjectContentsEditorComponent
+ * @extends Ember.Component
+ * @constructor
+ */
+var ObjectContentsEditorComponent = Ember.Component.extend({
+  classNames: ['object-contents-editor'],
+
+  /**
+   * Object being edited.
+   * @property model
+   * @type RiakObject
+   */
+  model: null,
+
+  /**
+   * Save the object even though its contents do not parse?
+   * @property overrideValidation
+   * @type Boolean
+   * @default false
+   */
+  overrideValidation: false,
+
+  /**
+   * Show the syntax highlighted preview (JSON and XML)?
+   * @property showPreview
+   * @type Boolean
+   * @default false
+   */
+  showPreview: false,
+
+  /**
+   * `'json'`, `'xml'` or `'text'`
+   * @property format
+   * @type String
+   */
+  format: function() {
+    return contentFormat(this.get('model.metadata.contentType'));
+  }.property('model.metadata.contentType'),
+
+  /**
+   * Can the contents be checked, pretty-printed and minified?
+   * @property isStructured
+   * @type Boolean
+   */
+  isStructured: function() {
+    return this.get('format') !== 'text';
+  }.property('format'),
+
+  /**
+   * Parse error in the edited contents, if any.
+   * @property parseError
+   * @type String
+   */
+  parseError: function() {
+    return contentsParseError(this.get('format'), this.get('model.contents'));
+  }.property('format', 'model.contents'),
+
+  /**
+   * @property canSave
+   * @type Boolean
+   */
+  canSave: function() {
+    return !this.get('parseError') || this.get('overrideValidation');
+  }.property('parseError', 'overrideValidation'),
+
+  /**
+   * Line numbers for the editor gutter.
+   * @property lineNumbers
+   * @type String
+   */
+  lineNumbers: function() {
+    let count = (this.get('model.contents') || '').split('\n').length;
+    let numbers = [];
+
+    for (let i = 1; i <= count; i++) {
+      numbers.push(i);
+    }
+    return numbers.join('\n');
+  }.property('model.contents'),
+
+  /**
+   * Clears the override once the contents parse again, so that a later
+   * invalid edit has to be confirmed again.
+   *
+   * @method parseErrorDidChange
+   * @private
+   */
+  parseErrorDidChange: function() {
+    if (!this.get('parseError')) {
+      this.set('overrideValidation', false);
+    }
+  }.observes('parseError'),
+
+  didInsertElement() {
+    let gutter = this.$('.editor-gutter');
+
+    // Keep the line numbers aligned with the text
+    this.$('textarea').on('scroll.object-contents-editor', function() {
+      gutter.scrollTop(this.scrollTop);
+    });
+  },
+
+  willDestroyElement() {
+    this.$('textarea').off('scroll.object-contents-editor');
+  },
+
+  actions: {
+    minify() {
+      this.set('model.contents', minify(this.get('format'), this.get('model.contents')));
+    },
+
+    prettyPrint() {
+      this.set('model.contents', prettyPrint(this.get('format'), this.get('model.contents')));
+    },
+
+    saveObject() {
+      if (this.get('canSave')) {
+        // Send action to the object-contents component
+        this.sendAction('saveObject', this.get('model'));
+      }
+    },
+
+    togglePreview() {
+      this.toggleProperty('showPreview');
+    }
+  }
+});
+
+export default ObjectContentsEditorComponent;
@@ -12,6 +12,18 @@ var ObjectContentsFlagsComponent = Ember.Component.extend({
      */
     removeField(model, field) {
       this.sendAction('removeField', model, 'flag', field);
+    },
+
+    /**
+     * The user has clicked on the Enable/Disable Flag button.
+     * Forward the `toggleFlag` action to parent controller.
+     *
+     * @event toggleFlag
+     * @param model {RiakObjectMap} Current map
+     * @param field {RiakObjectMapField} Flag to be toggled
+     */
+    toggleFlag(model, field) {
+      this.sendAction('toggleFlag', model, field);
     }
   }
 });
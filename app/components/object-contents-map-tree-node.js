@@ -0,0 +1,43 @@
+import Ember from 'ember';
+
+/**
+ * A field of the Map JSON tree view (nested maps render their own fields,
+ * recursively).
+ * @see ObjectContentsMapTreeComponent
+ *
+ * @class ObjectContentsMapTreeNodeComponent
+ * @extends Ember.Component
+ * @constructor
+ */
+var ObjectContentsMapTreeNodeComponent = Ember.Component.extend({
+  tagName: 'li',
+
+  /**
+   * @property node
+   * @type MapTreeNode
+   */
+  node: null,
+
+  actions: {
+    /**
+     * Forward the `copyPath` action to the tree component.
+     *
+     * @event copyPath
+     * @param path {String}
+     */
+    copyPath(path) {
+      this.sendAction('copyPath', path);
+    },
+
+    /**
+     * Forward the `toggleNode` action to the tree component.
+     *
+     * @event toggleNode
+     * @param node {MapTreeNode}
+     */
+    toggleNode(node) {
+      this.sendAction('toggleNode', node);
+    }
+  }
+});
+export default ObjectContentsMapTreeNodeComponent;
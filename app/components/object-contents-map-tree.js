@@ -0,0 +1,214 @@
+import Ember from 'ember';
+import mapContentsToJSON, { mapTree, highlightParts } from '../utils/map-json';
+import copyToClipboard from '../utils/copy-to-clipboard';
+import downloadFile from '../utils/download-file';
+
+/**
+ * A node (map field) of the tree, @see mapTree
+ *
+ * @class MapTreeNode
+ * @extends Ember.Object
+ * @private
+ */
+var MapTreeNode = Ember.Object.extend({
+  isMap: Ember.computed.equal('fieldType', 'map')
+});
+
+/**
+ * Collapsible JSON tree view of a whole Map data type (nested maps
+ * included), with a search box that highlights the matching field names
+ * and values. The map's contents can be exported (or copied) as plain JSON,
+ * and the path of any field copied to the clipboard.
+ * @see RiakObjectMap
+ *
+ * @class ObjectContentsMapTreeComponent
+ * @extends Ember.Component
+ * @constructor
+ */
+var ObjectContentsMapTreeComponent = Ember.Component.extend({
+  classNames: ['map-tree'],
+
+  /**
+   * @property model
+   * @type RiakObjectMap
+   */
+  model: null,
+
+  /**
+   * Search term, matched against field names and values (case-insensitive).
+   * @property search
+   * @type String
+   */
+  search: '',
+
+  /**
+   * Paths of the nested maps collapsed by the user (kept when the tree is
+   * rebuilt, after the map's contents change).
+   * @property collapsedPaths
+   * @type Array<String>
+   */
+  collapsedPaths: null,
+
+  /**
+   * Path of the field last copied to the clipboard.
+   * @property copiedPath
+   * @type String
+   */
+  copiedPath: null,
+
+  /**
+   * Number of fields that match the search term.
+   * @property matchCount
+   * @type Number
+   */
+  matchCount: 0,
+
+  init() {
+    this._super(...arguments);
+    this.set('collapsedPaths', []);
+  },
+
+  /**
+   * Plain JSON value of the map.
+   * @property json
+   * @type Hash
+   */
+  json: function() {
+    return mapContentsToJSON(this.get('model.contents') || {});
+  }.property('model.contents'),
+
+  /**
+   * Top-level nodes of the tree.
+   * @property nodes
+   * @type Array<MapTreeNode>
+   */
+  nodes: function() {
+    let collapsedPaths = this.get('collapsedPaths');
+    let createNodes = function(treeNodes) {
+      return treeNodes.map(function(treeNode) {
+        return MapTreeNode.create({
+          name: treeNode.name,
+          path: treeNode.path,
+          fieldType: treeNode.fieldType,
+          value: treeNode.value,
+          children: createNodes(treeNode.children),
+          isExpanded: collapsedPaths.indexOf(treeNode.path) < 0
+        });
+      });
+    };
+
+    return createNodes(mapTree(this.get('json')));
+  }.property('json'),
+
+  /**
+   * Highlights the field names and values that match the search term,
+   * and expands the nested maps that contain matches.
+   *
+   * @method searchDidChange
+   * @private
+   */
+  searchDidChange: function() {
+    let search = (this.get('search') || '').trim();
+    let matchCount = 0;
+    let highlight = function(nodes) {
+      return nodes.reduce(function(hasMatch, node) {
+        let nameParts = highlightParts(node.get('name'), search);
+        let valueParts = highlightParts(node.get('value'), search);
+        let isMatch = !!search && (nameParts.isAny('isMatch') || valueParts.isAny('isMatch'));
+        let childMatch = highlight(node.get('children'));
+
+        node.setProperties({nameParts: nameParts, valueParts: valueParts, isMatch: isMatch});
+        if (childMatch) {
+          node.set('isExpanded', true);
+        }
+        if (isMatch) {
+          matchCount++;
+        }
+        return hasMatch || isMatch || childMatch;
+      }, false);
+    };
+
+    highlight(this.get('nodes'));
+    this.set('matchCount', matchCount);
+  }.observes('search', 'nodes').on('init'),
+
+  /**
+   * Expands or collapses all the nested maps.
+   *
+   * @method setExpanded
+   * @param isExpanded {Boolean}
+   * @private
+   */
+  setExpanded(isExpanded) {
+    let collapsedPaths = [];
+    let expand = function(nodes) {
+      nodes.filterBy('isMap').forEach(function(node) {
+        node.set('isExpanded', isExpanded);
+        if (!isExpanded) {
+          collapsedPaths.push(node.get('path'));
+        }
+        expand(node.get('children'));
+      });
+    };
+
+    expand(this.get('nodes'));
+    this.set('collapsedPaths', collapsedPaths);
+  },
+
+  actions: {
+    collapseAll() {
+      this.setExpanded(false);
+    },
+
+    /**
+     * Copies the map's plain JSON value to the clipboard.
+     *
+     * @event copyJSON
+     */
+    copyJSON() {
+      copyToClipboard(JSON.stringify(this.get('json'), null, 2));
+    },
+
+    /**
+     * Copies the dot-separated path of a field to the clipboard.
+     *
+     * @event copyPath
+     * @param path {String}
+     */
+    copyPath(path) {
+      copyToClipboard(path);
+      this.set('copiedPath', path);
+    },
+
+    expandAll() {
+      this.setExpanded(true);
+    },
+
+    /**
+     * Saves the map's plain JSON value as a `<key>.json` file.
+     *
+     * @event exportJSON
+     */
+    exportJSON() {
+      downloadFile(JSON.stringify(this.get('json'), null, 2),
+        `${this.get('model.key')}.json`, 'application/json');
+    },
+
+    /**
+     * Expands or collapses a nested map.
+     *
+     * @event toggleNode
+     * @param node {MapTreeNode}
+     */
+    toggleNode(node) {
+      node.toggleProperty('isExpanded');
+      if (node.get('isExpanded')) {
+        this.get('collapsedPaths').removeObject(node.get('path'));
+      } else {
+        this.get('collapsedPaths').addObject(node.get('path'));
+      }
+    }
+  }
+});
+
+export default ObjectContentsMapTreeComponent;
@@ -1,7 +1,41 @@
 import Ember from 'ember';
 
+/**
+ * Is a map field the given field, or nested (at any depth) in it?
+ *
+ * @method isWithinField
+ * @param field {RiakObjectMapField|RiakObjectEmbeddedMap}
+ * @param ancestor {RiakObjectMapField|RiakObjectEmbeddedMap}
+ * @return {Boolean}
+ * @private
+ */
+function isWithinField(field, ancestor) {
+  while (field && !field.get('isTopLevel')) {
+    if (field === ancestor) {
+      return true;
+    }
+    field = field.get('parentMap');
+  }
+  return false;
+}
+
+/**
+ * Returns the field changed by a staged change.
+ *
+ * @method changedField
+ * @param change {Hash} @see ObjectContentsMapComponent.pendingChanges
+ * @return {RiakObjectMapField|RiakObjectEmbeddedMap}
+ * @private
+ */
+function changedField(change) {
+  // Field operations are made on the parent map, the item is the field
+  return /Field$/.test(change.operationType) ? change.item : change.object;
+}
+
 /**
  * Displays and manages a list of all field types in a Map.
+ * Changes to the map's fields (at any depth) are staged, and sent to Riak
+ * together, as a single update operation.
  * @see RiakObjectMap
  *
  * @class ObjectContentsMapComponent
@@ -12,6 +46,119 @@ var ObjectContentsMapComponent = Ember.Component.extend({
   explorer: Ember.inject.service('explorer'),
   store: Ember.inject.service('store'),
 
+  /**
+   * Request options for the updates (from the advanced options panel).
+   * @see requestOptionsQuery
+   * @property requestOptions
+   * @type Hash
+   */
+  requestOptions: null,
+
+  /**
+   * Changes made to the map (and its nested fields) that have not been
+   * sent to Riak yet, in the order they were made. Each is a
+   * `{ object, operationType, item, description }` hash.
+   * @see ExplorerService.updateMap
+   * @property pendingChanges
+   * @type Array<Hash>
+   */
+  pendingChanges: null,
+
+  /**
+   * @property hasPendingChanges
+   * @type Boolean
+   */
+  hasPendingChanges: Ember.computed.notEmpty('pendingChanges'),
+
+  /**
+   * @property isSubmitting
+   * @type Boolean
+   * @default false
+   */
+  isSubmitting: false,
+
+  /**
+   * @property errorMessage
+   * @type String
+   */
+  errorMessage: null,
+
+  init() {
+    this._super(...arguments);
+    this.set('pendingChanges', []);
+  },
+
+  /**
+   * Staged changes apply to the fields of the map they were made on, so
+   * they are dropped when the map is reloaded.
+   *
+   * @method modelDidChange
+   * @private
+   */
+  modelDidChange: function() {
+    this.setProperties({pendingChanges: [], errorMessage: null});
+  }.observes('model'),
+
+  /**
+   * Was a field added (by itself, or as part of a new nested map) since
+   * the map was loaded?
+   *
+   * @method isNewField
+   * @param field {RiakObjectMapField|RiakObjectEmbeddedMap}
+   * @return {Boolean}
+   */
+  isNewField(field) {
+    return this.get('pendingChanges').any(function(change) {
+      return change.operationType === 'addField' && isWithinField(field, change.item);
+    });
+  },
+
+  /**
+   * Does a field replace a Counter, Set or Map (of the same name and
+   * type) whose removal is pending? The new field would keep the old
+   * contents, since Riak merges the updates with them.
+   * @see mergeMapOperations
+   *
+   * @method replacesRemovedField
+   * @param field {RiakObjectMapField|RiakObjectEmbeddedMap}
+   * @return {Boolean}
+   */
+  replacesRemovedField(field) {
+    if (['counter', 'set', 'map'].indexOf(field.get('fieldType')) < 0) {
+      return false;
+    }
+    return this.get('pendingChanges').any(function(change) {
+      return change.operationType === 'removeField' &&
+        change.item.get('fieldType') === field.get('fieldType') &&
+        change.item.get('fullName') === field.get('fullName');
+    });
+  },
+
+  /**
+   * Adds a change to the list of pending changes. Changes to new fields
+   * are not staged separately: new fields are sent with their current
+   * value (and nested fields).
+   *
+   * @method stageChange
+   * @param object {RiakObjectMap|RiakObjectMapField} Map or field changed
+   * @param operationType {String} @see ExplorerService.dataTypeUpdateNestedField
+   * @param item {String|Number|RiakObjectMapField} Set element, counter
+   *     amount or map field
+   * @param description {String} For display in the pending changes list
+   */
+  stageChange(object, operationType, item, description) {
+    let change = {
+      object: object,
+      operationType: operationType,
+      item: item,
+      description: description
+    };
+
+    if (!this.isNewField(changedField(change))) {
+      this.get('pendingChanges').pushObject(change);
+    }
+  },
+
   actions: {
     /**
      * The user has added an element to a nested Set field.
@@ -21,35 +168,100 @@ var ObjectContentsMapComponent = Ember.Component.extend({
      * @param newElement {String} New element to be added
      */
     addElement: function(setField, newElement) {
-      this.get('explorer').updateDataType(setField, 'addElement', newElement);
+      if (!newElement || setField.get('value').indexOf(newElement) > -1) {
+        return;
+      }
+      this.stageChange(setField, 'addElement', newElement,
+        `${setField.get('fullName')}: add "${newElement}"`);
       setField.addElement(newElement);
     },
 
     /**
      * The user has clicked on the 'Add Field' button.
-     * Creates a new field object and adds it to this map's contents.
+     * Creates a new field object and adds it to the given map's contents.
+     * The name can be a path (`address/geo/lat`), in which case the
+     * missing nested maps along the path are created as well.
+     * A removed Counter, Set or Map can only be added again once its removal
+     * has been submitted.
      *
      * @event addField
-     * @param model {RiakObjectMap} Parent map model
-     * @param fieldType {String} Field type ('register', 'flag' or 'counter')
-     * @param newFieldName {String} Name of the register to be added
-     * @param newFieldValue {String} Value for the register to be added
+     * @param model {RiakObjectMap|RiakObjectEmbeddedMap} Parent map model
+     * @param fieldType {String} Field type
+     *     ('register', 'flag', 'counter', 'set' or 'map')
+     * @param newFieldName {String} Name (or path) of the field to be added
+     * @param newFieldValue {String|Boolean|Number|Array|Object} Initial value
      */
     addField(model, fieldType, newFieldName, newFieldValue) {
-      if (!newFieldName || !newFieldValue) {
-        return;  // Fields must have non-empty names and values
+      let store = this.get('store');
+      let rootMap = model.get('isTopLevel') ? model : model.get('rootMap');
+      let names = String(newFieldName || '').split('/').map(function(name) {
+        return name.trim();
+      });
+      let parentMap = model;
+      let newFields = [];
+
+      this.set('errorMessage', null);
+      if (names.some(Ember.isBlank)) {
+        this.set('errorMessage', `Invalid field name: ${newFieldName}`);
+        return;
       }
-      let newField = this.get('store').createRecord(
-        'riak-object.map-field', {
-          fieldType: fieldType,
-          name: newFieldName,
-          parentMap: model,
-          rootMap: model.get('rootMap'),
-          value: newFieldValue
-        });
-      newField.normalizeName();
-      this.get('explorer').updateDataType(model, 'addField', newField);
-      model.addField(fieldType, newField);
+      for (let index = 0; index < names.length; index++) {
+        let isLast = (index === names.length - 1);
+        let type = isLast ? fieldType : 'map';
+        let newField = store.createRecord(
+          (type === 'map') ? 'riak-object.embedded-map' : 'riak-object.map-field', {
+            fieldType: type,
+            name: names[index],
+            parentMap: parentMap,
+            rootMap: rootMap,
+            value: isLast ? newFieldValue :
+              {counters: {}, flags: {}, registers: {}, sets: {}, maps: {}}
+          });
+        let existing;
+
+        newField.normalizeName();
+        existing = parentMap.get(type + 's')[newField.get('name')];
+        if (existing && !isLast) {
+          // Nested map already there, carry on down the path
+          newField.deleteRecord();
+          parentMap = existing;
+          continue;
+        }
+        newFields.push(newField);
+        if (existing) {
+          this.set('errorMessage', `${newField.get('fullName')} already exists.`);
+          newFields.invoke('deleteRecord');
+          return;
+        }
+        if (this.replacesRemovedField(newField)) {
+          this.set('errorMessage', `${newField.get('fullName')} was removed. ` +
+            'Submit the changes before adding it again.');
+          newFields.invoke('deleteRecord');
+          return;
+        }
+        parentMap = newField;
+      }
+
+      newFields.forEach(function(newField) {
+        newField.get('parentMap').addField(newField.get('fieldType'), newField);
+      });
+      // Any new nested maps are sent along with the first new field
+      this.stageChange(newFields[0].get('parentMap'), 'addField', newFields[0],
+        `${newFields[newFields.length - 1].get('fullName')}: add ${fieldType}`);
+    },
+
+    /**
+     * The user has clicked on the Decrement button of a nested Counter.
+     *
+     * @event decrementCounter
+     * @param counter {RiakObjectMapField}
+     * @param amount {Number}
+     */
+    decrementCounter(counter, amount) {
+      this.stageChange(counter, 'decrement', amount,
+        `${counter.get('fullName')}: decrement by ${amount}`);
+      counter.set('value', counter.get('value') - amount);
+      counter.get('rootMap').notifyNestedFieldChange();
     },
 
     deleteObject: function(object) {
@@ -57,13 +269,52 @@ var ObjectContentsMapComponent = Ember.Component.extend({
       this.sendAction('deleteObject', object);
     },
 
-    editField(model, fieldType, field) {
-      console.log('Editing field in %O, type: %s, field: %O', model, fieldType, field);
+    /**
+     * Discards the pending changes, by reloading the map from the server.
+     *
+     * @event discardChanges
+     */
+    discardChanges() {
+      this.set('pendingChanges', []);
+      // Send action to parent controller
+      this.sendAction('refreshModel', this.get('model'));
+    },
+
+    /**
+     * The user has saved a new value for a Register field.
+     *
+     * @event editField
+     * @param model {RiakObjectMap|RiakObjectEmbeddedMap} Parent map
+     * @param fieldType {String}
+     * @param field {RiakObjectMapField}
+     * @param value {String} New value
+     */
+    editField(model, fieldType, field, value) {
+      field.set('value', value);
+      this.stageChange(model, 'editField', field,
+        `${field.get('fullName')}: set to ${field.get('valueForDisplay')}`);
+      field.get('rootMap').notifyNestedFieldChange();
+    },
+
+    /**
+     * The user has clicked on the Increment button of a nested Counter.
+     *
+     * @event incrementCounter
+     * @param counter {RiakObjectMapField}
+     * @param amount {Number}
+     */
+    incrementCounter(counter, amount) {
+      this.stageChange(counter, 'increment', amount,
+        `${counter.get('fullName')}: increment by ${amount}`);
+      counter.set('value', counter.get('value') + amount);
+      counter.get('rootMap').notifyNestedFieldChange();
     },
 
     /**
      * The user has clicked on a Remove Field button.
-     * Removes the specified nested field from this map.
+     * Removes the specified nested field from this map. Pending changes to
+     * the field (or to the fields nested in it) are dropped, and a field
+     * that was added since the map was loaded is simply left out.
      *
      * @event removeCounter
      * @param model {RiakObjectMap} Current map
@@ -71,7 +322,15 @@ var ObjectContentsMapComponent = Ember.Component.extend({
      * @param field {RiakObjectMapField} Field to be removed
      */
     removeField(model, fieldType, field) {
-      this.get('explorer').updateDataType(model, 'removeField', field);
+      let isNewField = this.isNewField(field);
+
+      this.set('pendingChanges', this.get('pendingChanges').reject(function(change) {
+        return isWithinField(changedField(change), field);
+      }));
+      if (!isNewField) {
+        this.stageChange(model, 'removeField', field,
+          `${field.get('fullName')}: remove field`);
+      }
       model.removeField(fieldType, field);
     },
 
@@ -83,8 +342,52 @@ var ObjectContentsMapComponent = Ember.Component.extend({
      * @param element {String}
      */
     removeElement: function(setField, element) {
-      this.get('explorer').updateDataType(setField, 'removeElement', element);
+      this.stageChange(setField, 'removeElement', element,
+        `${setField.get('fullName')}: remove "${element}"`);
       setField.removeElement(element);
+    },
+
+    /**
+     * Sends all the pending changes to Riak as a single map update
+     * operation (with the request options), then reloads the map.
+     *
+     * @event submitChanges
+     */
+    submitChanges() {
+      let self = this;
+      let model = this.get('model');
+
+      this.setProperties({isSubmitting: true, errorMessage: null});
+      this.get('explorer')
+        .updateMap(model, this.get('pendingChanges'), this.get('requestOptions'))
+        .then(function() {
+          self.set('pendingChanges', []);
+          // Send actions to parent controller
+          self.sendAction('recordRequest', 'update');
+          self.sendAction('refreshModel', model);
+        }, function(jqXHR) {
+          self.set('errorMessage', (jqXHR && jqXHR.responseText) ||
+            'Something went wrong, the changes were not saved.');
+        })
+        .finally(function() {
+          if (!self.get('isDestroyed')) {
+            self.set('isSubmitting', false);
+          }
+        });
+    },
+
+    /**
+     * The user has clicked on a nested Flag's Enable/Disable button.
+     *
+     * @event toggleFlag
+     * @param model {RiakObjectMap|RiakObjectEmbeddedMap} Parent map
+     * @param flag {RiakObjectMapField}
+     */
+    toggleFlag(model, flag) {
+      flag.set('value', !flag.get('value'));
+      this.stageChange(model, 'editField', flag,
+        `${flag.get('fullName')}: ${flag.get('value') ? 'enable' : 'disable'}`);
+      flag.get('rootMap').notifyNestedFieldChange();
     }
   }
 });
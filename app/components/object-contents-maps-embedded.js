@@ -6,6 +6,18 @@ var ObjectContentsMapsEmbeddedComponent = ObjectContentsMapComponent.extend({
       this.sendAction('addField', model, fieldType, newName, newValue);
     },
 
+    decrementCounter(counter, amount) {
+      this.sendAction('decrementCounter', counter, amount);
+    },
+
+    editField(model, fieldType, field, value) {
+      this.sendAction('editField', model, fieldType, field, value);
+    },
+
+    incrementCounter(counter, amount) {
+      this.sendAction('incrementCounter', counter, amount);
+    },
+
     /**
      * The user has clicked on a Remove Nested Field button.
      * Forward the `removeField` action to parent controller.
@@ -16,6 +28,10 @@ var ObjectContentsMapsEmbeddedComponent = ObjectContentsMapComponent.extend({
      */
     removeField(model, fieldType, field) {
       this.sendAction('removeField', model, fieldType, field);
+    },
+
+    toggleFlag(model, flag) {
+      this.sendAction('toggleFlag', model, flag);
     }
   }
 });
@@ -9,49 +9,38 @@ import Ember from 'ember';
  */
 var ObjectContentsRegistersComponent = Ember.Component.extend({
   /**
-   * @property fieldToAddName
-   * @type {String}
+   * Register being edited (if any).
+   * @property fieldToEdit
+   * @type {RiakObjectMapField}
    */
-  fieldToAddName: null,
+  fieldToEdit: null,
 
   /**
-   * @property fieldToAddValue
+   * New value of the register being edited.
+   * @property fieldToEditValue
    * @type {String}
    */
-  fieldToAddValue: null,
+  fieldToEditValue: null,
 
   actions: {
     /**
-     * The user has clicked on the 'Add Register' button.
-     * Forward the `addField` action to parent controller:
-     * @see ObjectContentsMapComponent
+     * The user has clicked on the Cancel button of the register being edited.
      *
-     * @event addField
-     * @param model {RiakObjectMap}
+     * @event cancelEdit
      */
-    addField(model) {
-      let newName = this.get('fieldToAddName');
-      let newValue = this.get('fieldToAddValue');
-      if (!newName || !newValue) {
-        return;  // Registers must have non-empty names and values
-      }
-      this.sendAction('addField', model, 'register', newName, newValue);
-
-      // Reset the UI fields
-      this.set('fieldToAddName', null);
-      this.set('fieldToAddValue', null);
+    cancelEdit() {
+      this.setProperties({fieldToEdit: null, fieldToEditValue: null});
     },
 
     /**
      * The user has clicked on the Edit Register button.
-     * Forward the `editRegister` action to parent controller.
+     * Shows the register's value in the edit form.
      *
      * @event editField
-     * @param model {RiakObjectMap} Current map
-     * @param register {RiakObjectMapField} Register to be removed
+     * @param register {RiakObjectMapField} Register to be edited
      */
-    editField(model, register) {
-      this.sendAction('editField', model, 'register', register);
+    editField(register) {
+      this.setProperties({fieldToEdit: register, fieldToEditValue: register.get('value')});
     },
 
     /**
@@ -64,6 +53,20 @@ var ObjectContentsRegistersComponent = Ember.Component.extend({
      */
     removeField(model, register) {
       this.sendAction('removeField', model, 'register', register);
+    },
+
+    /**
+     * The user has clicked on the Save button of the register being edited.
+     * Forward the `editField` action to parent controller.
+     * @see ObjectContentsMapComponent
+     *
+     * @event saveField
+     * @param model {RiakObjectMap} Current map
+     */
+    saveField(model) {
+      this.sendAction('editField', model, 'register', this.get('fieldToEdit'),
+        this.get('fieldToEditValue') || '');
+      this.setProperties({fieldToEdit: null, fieldToEditValue: null});
     }
   }
 });
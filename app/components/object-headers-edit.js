@@ -1,3 +1,77 @@
 import Ember from 'ember';
 
-export default Ember.Component.extend({});
+/**
+ * Edits a list of object headers (secondary indexes or custom headers),
+ * or an object's links.
+ *
+ * @class ObjectHeadersEditComponent
+ * @extends Ember.Component
+ * @constructor
+ */
+var ObjectHeadersEditComponent = Ember.Component.extend({
+  /**
+   * Headers to edit (their values can be changed).
+   * @property headers
+   * @type Array<Hash>
+   */
+  headers: null,
+
+  /**
+   * Links to edit (links can be added or removed).
+   * @see ObjectMetadata.headersLinks
+   * @property links
+   * @type Array<Hash>
+   */
+  links: null,
+
+  /**
+   * @property newLink
+   * @type Hash
+   */
+  newLink: null,
+
+  /**
+   * Is this a list of links (versus headers)?
+   * @property isLinkList
+   * @type Boolean
+   */
+  isLinkList: function() {
+    return !!this.get('links');
+  }.property('links'),
+
+  init() {
+    this._super(...arguments);
+    this.set('newLink', {bucket: '', key: '', riaktag: ''});
+  },
+
+  actions: {
+    /**
+     * Adds the new link to the list (it is stored when the object is saved).
+     *
+     * @event addLink
+     */
+    addLink() {
+      let link = this.get('newLink');
+
+      if (Ember.isBlank(link.bucket) || Ember.isBlank(link.key)) {
+        return;  // Links must point to a bucket and key
+      }
+      this.get('links').pushObject({
+        bucket: link.bucket.trim(),
+        key: link.key.trim(),
+        riaktag: (link.riaktag || '').trim()
+      });
+      this.set('newLink', {bucket: '', key: '', riaktag: ''});
+    },
+
+    /**
+     * @event removeLink
+     * @param link {Hash}
+     */
+    removeLink(link) {
+      this.get('links').removeObject(link);
+    }
+  }
+});
+
+export default ObjectHeadersEditComponent;
@@ -0,0 +1,116 @@
+import Ember from 'ember';
+import lineDiff from '../utils/line-diff';
+import { formatLinkHeader } from '../utils/riak-links';
+
+/**
+ * Returns the user-editable headers of an object (content type, custom
+ * metadata, secondary indexes and links) as a list of lines, for diffing.
+ *
+ * @method headerLines
+ * @param {Hash} headers Headers, in the ObjectMetadata format
+ * @return {Array<String>}
+ * @private
+ */
+function headerLines(headers) {
+  let lines = [`content-type: ${headers.other['content-type']}`];
+
+  (headers.custom || []).concat(headers.indexes || []).forEach(function(header) {
+    lines.push(`${header.key}: ${header.value}`);
+  });
+  (headers.links || []).forEach(function(link) {
+    lines.push(`link: ${formatLinkHeader([link])}`);
+  });
+  return lines;
+}
+
+/**
+ * Lists the local edit history (snapshots of previous values) of a plain
+ * Riak object. Any snapshot can be diffed against the current value, or
+ * restored.
+ * @see ExplorerService.recordObjectHistory
+ *
+ * @class ObjectHistoryComponent
+ * @extends Ember.Component
+ * @constructor
+ */
+var ObjectHistoryComponent = Ember.Component.extend({
+  explorer: Ember.inject.service('explorer'),
+
+  /**
+   * Current version of the object.
+   * @property object
+   * @type RiakObject
+   */
+  object: null,
+
+  /**
+   * Snapshot currently being compared to the current value.
+   * @property selectedSnapshot
+   * @type Hash
+   */
+  selectedSnapshot: null,
+
+  /**
+   * Edit history snapshots of the object, newest first.
+   * @property history
+   * @type Array<Hash>
+   */
+  history: function() {
+    return this.get('explorer').objectHistoryFor(this.get('object'));
+  }.property('object'),
+
+  /**
+   * Diff of the selected snapshot's value against the current value.
+   * @property contentsDiff
+   * @type Array<Hash>
+   */
+  contentsDiff: function() {
+    let snapshot = this.get('selectedSnapshot');
+    if (!snapshot) {
+      return [];
+    }
+    return lineDiff(snapshot.contents, this.get('object.contents'));
+  }.property('selectedSnapshot', 'object.contents'),
+
+  /**
+   * Diff of the selected snapshot's headers against the current headers.
+   * @property headersDiff
+   * @type Array<Hash>
+   */
+  headersDiff: function() {
+    let snapshot = this.get('selectedSnapshot');
+    if (!snapshot) {
+      return [];
+    }
+    return lineDiff(headerLines(snapshot.headers),
+      headerLines(this.get('object.metadata.headers')));
+  }.property('selectedSnapshot', 'object.metadata'),
+
+  actions: {
+    /**
+     * The user has clicked on a snapshot's Compare button.
+     * @event compareSnapshot
+     * @param snapshot {Hash}
+     */
+    compareSnapshot(snapshot) {
+      if (this.get('selectedSnapshot') === snapshot) {
+        snapshot = null;  // Toggle the diff off
+      }
+      this.set('selectedSnapshot', snapshot);
+    },
+
+    /**
+     * The user has clicked on a snapshot's Restore button.
+     * @event restoreSnapshot
+     * @param snapshot {Hash}
+     */
+    restoreSnapshot(snapshot) {
+      if (window.confirm(`Restore the value saved before ${snapshot.savedAt}?`)) {
+        // Send action to the riak-object controller
+        this.sendAction('restoreSnapshot', snapshot);
+      }
+    }
+  }
+});
+
+export default ObjectHistoryComponent;
@@ -0,0 +1,100 @@
+import Ember from 'ember';
+
+/**
+ * Link-walking query form, for following an object's links (and the links
+ * of the objects they point to) several hops deep. Each step matches links
+ * by bucket and tag (`_` matches any), and lists the objects it reaches
+ * if "keep" is checked (the last step's objects are always listed).
+ * @see ExplorerService.walkLinks
+ *
+ * @class ObjectLinkWalkComponent
+ * @extends Ember.Component
+ * @constructor
+ */
+var ObjectLinkWalkComponent = Ember.Component.extend({
+  classNames: ['object-link-walk'],
+
+  explorer: Ember.inject.service('explorer'),
+  store: Ember.inject.service('store'),
+
+  /**
+   * Object the walk starts from.
+   * @property object
+   * @type RiakObject
+   */
+  object: null,
+
+  /**
+   * Steps of the query, as a list of `{ bucket, riaktag, keep }` objects.
+   * @property steps
+   * @type Array<Ember.Object>
+   */
+  steps: null,
+
+  /**
+   * Objects reached, as returned by `ExplorerService.walkLinks`
+   * @property results
+   * @type Array<Hash>
+   */
+  results: null,
+
+  /**
+   * @property isWalking
+   * @type Boolean
+   * @default false
+   */
+  isWalking: false,
+
+  /**
+   * @property errorMessage
+   * @type String
+   */
+  errorMessage: null,
+
+  init() {
+    this._super(...arguments);
+    this.set('steps', [this.newStep()]);
+  },
+
+  /**
+   * @method newStep
+   * @return {Ember.Object} A step that follows every link
+   */
+  newStep() {
+    return Ember.Object.create({bucket: '_', riaktag: '_', keep: false});
+  },
+
+  actions: {
+    addStep() {
+      this.get('steps').pushObject(this.newStep());
+    },
+
+    removeStep(step) {
+      if (this.get('steps.length') > 1) {
+        this.get('steps').removeObject(step);
+      }
+    },
+
+    walkLinks() {
+      let self = this;
+      let steps = this.get('steps').map(function(step) {
+        return step.getProperties('bucket', 'riaktag', 'keep');
+      });
+
+      this.setProperties({isWalking: true, results: null, errorMessage: null});
+      this.get('explorer').walkLinks(this.get('object'), steps, this.get('store'))
+        .then(function(results) {
+          self.set('results', results);
+        }, function() {
+          self.set('errorMessage', 'Something went wrong, the links could not be walked.');
+        })
+        .finally(function() {
+          if (!self.get('isDestroyed')) {
+            self.set('isWalking', false);
+          }
+        });
+    }
+  }
+});
+
+export default ObjectLinkWalkComponent;
@@ -1,3 +1,70 @@
 import Ember from 'ember';
 
-export default Ember.Component.extend({});
+/**
+ * Displays (or edits) an object's user-editable metadata: secondary
+ * indexes, custom headers and links to other objects.
+ *
+ * @class ObjectMetadataComponent
+ * @extends Ember.Component
+ * @constructor
+ */
+var ObjectMetadataComponent = Ember.Component.extend({
+  explorer: Ember.inject.service('explorer'),
+  store: Ember.inject.service('store'),
+
+  /**
+   * Object whose metadata is displayed (used to look up the linked objects).
+   * @property object
+   * @type RiakObject
+   */
+  object: null,
+
+  /**
+   * @property metadata
+   * @type ObjectMetadata
+   */
+  metadata: null,
+
+  /**
+   * @property isEditing
+   * @type Boolean
+   * @default false
+   */
+  isEditing: false,
+
+  /**
+   * The object's links, along with the objects they point to.
+   * @see ExplorerService.getLinkedObjects
+   * @property linkedObjects
+   * @type Array<Hash>
+   */
+  linkedObjects: null,
+
+  /**
+   * Looks up the linked objects, when displaying a (different) object.
+   *
+   * @method didReceiveAttrs
+   */
+  didReceiveAttrs() {
+    let self = this;
+    let object = this.get('object');
+    let links = this.get('metadata.headersLinks');
+
+    if (this.get('isEditing') || !object || object === this._linkedFrom) {
+      return;
+    }
+    this._linkedFrom = object;
+    this.set('linkedObjects', null);
+    if (Ember.isEmpty(links)) {
+      return;
+    }
+    this.get('explorer').getLinkedObjects(object, links, this.get('store'))
+      .then(function(linkedObjects) {
+        if (!self.get('isDestroyed')) {
+          self.set('linkedObjects', linkedObjects);
+        }
+      });
+  }
+});
+
+export default ObjectMetadataComponent;
@@ -0,0 +1,70 @@
+import Ember from 'ember';
+
+/**
+ * Displays the siblings of a plain Riak object side by side, and lets the
+ * user pick one (and optionally edit/merge its value) to resolve the conflict.
+ * @see RiakObject.siblings
+ *
+ * @class ObjectSiblingsComponent
+ * @extends Ember.Component
+ * @constructor
+ */
+var ObjectSiblingsComponent = Ember.Component.extend({
+  /**
+   * Sibling chosen by the user as the basis of the resolved value.
+   * @property chosenSibling
+   * @type RiakObject
+   */
+  chosenSibling: null,
+
+  /**
+   * Resolved (chosen, and possibly hand-merged) value to be written back.
+   * @property resolvedContents
+   * @type String
+   */
+  resolvedContents: null,
+
+  /**
+   * Bootstrap grid column class, so that all siblings fit side by side.
+   * @property columnClass
+   * @type String
+   */
+  columnClass: function() {
+    let count = this.get('model.siblings.length') || 1;
+    return 'col-md-' + Math.max(3, Math.floor(12 / count));
+  }.property('model.siblings.length'),
+
+  actions: {
+    /**
+     * The user has cancelled the resolution.
+     * @event cancelResolution
+     */
+    cancelResolution() {
+      this.setProperties({chosenSibling: null, resolvedContents: null});
+    },
+
+    /**
+     * The user has picked a sibling to resolve the conflict with.
+     * @event chooseSibling
+     * @param sibling {RiakObject}
+     */
+    chooseSibling(sibling) {
+      this.setProperties({
+        chosenSibling: sibling,
+        resolvedContents: sibling.get('contents')
+      });
+    },
+
+    /**
+     * The user has confirmed the resolved value.
+     * Sends the action to the riak-object controller.
+     * @event resolveSiblings
+     */
+    resolveSiblings() {
+      this.sendAction('resolveSiblings', this.get('model'),
+        this.get('chosenSibling'), this.get('resolvedContents'));
+    }
+  }
+});
+
+export default ObjectSiblingsComponent;
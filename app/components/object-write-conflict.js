@@ -0,0 +1,96 @@
+import Ember from 'ember';
+import lineDiff from '../utils/line-diff';
+
+/**
+ * Shown when an object was changed on the server while it was being edited.
+ * Displays a three-way view (the value as originally loaded, the value on
+ * the server now, and the edited value), and lets the user overwrite the
+ * server value, merge the changes by hand, or cancel the edit.
+ * @see ExplorerService.checkForConcurrentChange
+ *
+ * @class ObjectWriteConflictComponent
+ * @extends Ember.Component
+ * @constructor
+ */
+var ObjectWriteConflictComponent = Ember.Component.extend({
+  classNames: ['object-write-conflict'],
+
+  /**
+   * Value of the object when it was loaded for editing.
+   * @property original
+   * @type String
+   */
+  original: null,
+
+  /**
+   * Current version of the object on the server.
+   * @property serverObject
+   * @type RiakObject
+   */
+  serverObject: null,
+
+  /**
+   * Edited value.
+   * @property edited
+   * @type String
+   */
+  edited: null,
+
+  /**
+   * Is the user merging the values by hand?
+   * @property isMerging
+   * @type Boolean
+   * @default false
+   */
+  isMerging: false,
+
+  /**
+   * Hand-merged value (starts out as the edited value).
+   * @property mergedContents
+   * @type String
+   */
+  mergedContents: null,
+
+  /**
+   * Changes made on the server, since the object was loaded.
+   * @property serverDiff
+   * @type Array<Hash>
+   */
+  serverDiff: function() {
+    return lineDiff(this.get('original'), this.get('serverObject.contents'));
+  }.property('original', 'serverObject.contents'),
+
+  /**
+   * Changes made in the editor, since the object was loaded.
+   * @property editedDiff
+   * @type Array<Hash>
+   */
+  editedDiff: function() {
+    return lineDiff(this.get('original'), this.get('edited'));
+  }.property('original', 'edited'),
+
+  actions: {
+    cancel() {
+      // Send action to the riak-object-edit controller
+      this.sendAction('cancel');
+    },
+
+    merge() {
+      // Send action to the riak-object-edit controller
+      this.sendAction('merge', this.get('mergedContents'));
+    },
+
+    overwrite() {
+      if (window.confirm('Overwrite the changes made on the server?')) {
+        // Send action to the riak-object-edit controller
+        this.sendAction('overwrite');
+      }
+    },
+
+    startMerge() {
+      this.setProperties({isMerging: true, mergedContents: this.get('edited')});
+    }
+  }
+});
+
+export default ObjectWriteConflictComponent;
@@ -164,16 +164,28 @@ export default Ember.Component.extend({
     this.calculateNumberLinksCount();
 
     if (this.get('shouldShowPaginationLinks')) {
-      // reset numberLinks array
-      this.set('numberLinks', []);
+      let numberLinks = [];
 
       // We want the loop to be 1 indexed, not 0
       for (var i = 1; i < this.get('numberLinksCount') + 1; i++) {
-        this.numberLinks.push(i);
+        numberLinks.push(i);
       }
+
+      this.set('numberLinks', numberLinks);
     }
   },
 
+  /**
+   * Re-creates the pagination links when the total length changes. Most lists are cached and their length is known
+   * up front, but some (such as continuation-based Secondary Index query results) grow as more pages are discovered.
+   *
+   * @method totalSizeDidChange
+   * @private
+   */
+  totalSizeDidChange: function() {
+    this.createPaginationLinks();
+  }.observes('totalSize', 'chunkSize'),
+
   /**
    * Sets the selected class on the current pagination link item in the DOM. Using jQuery to mutate state is not ideal,
    * but since this state is contained within the component, and because we don't have conditional logic in handlebars,
@@ -227,6 +239,6 @@ export default Ember.Component.extend({
    * @return {Boolean}
    */
   shouldNextBeDisabled: function() {
-    return this.numberLinks.length === this.get('currentChunk');
-  }.property('currentChunk')
+    return this.get('numberLinks').length === this.get('currentChunk');
+  }.property('currentChunk', 'numberLinks')
 });
@@ -0,0 +1,158 @@
+import Ember from 'ember';
+import requestOptionNames, { isBooleanOption, requestOptionError } from '../utils/request-options';
+
+/**
+ * Advanced options panel, for setting the quorum and write options
+ * (`r`, `pr`, `w`, `returnbody` etc) of the requests made for an object,
+ * instead of using the bucket's defaults. Also shows the values that were
+ * in effect for the last request.
+ * @see requestOptionsQuery
+ *
+ * Usage:
+ *
+ *     {{request-options props=model.bucket.props operations=requestOperations
+ *       options=requestOptions lastRequest=lastRequest fetch='fetchObject'}}
+ *
+ * @class RequestOptionsComponent
+ * @extends Ember.Component
+ * @constructor
+ */
+var RequestOptionsComponent = Ember.Component.extend({
+  classNames: ['request-options'],
+
+  /**
+   * Bucket properties (the defaults come from `BucketProps.quorum`).
+   * @property props
+   * @type BucketProps
+   */
+  props: null,
+
+  /**
+   * Operations performed on the page: `'fetch'`, `'store'`, `'update'`
+   * and/or `'delete'`.
+   * @property operations
+   * @type Array<String>
+   */
+  operations: null,
+
+  /**
+   * Valid option values that were set (blank options are left out).
+   * Updated by this component.
+   * @property options
+   * @type Hash
+   */
+  options: null,
+
+  /**
+   * Operation name and effective option values of the last request,
+   * as set by the page's controller.
+   * @property lastRequest
+   * @type Hash
+   */
+  lastRequest: null,
+
+  /**
+   * Is the panel expanded?
+   * @property isExpanded
+   * @type Boolean
+   * @default false
+   */
+  isExpanded: false,
+
+  /**
+   * Choices for the `true`/`false` options.
+   * @property booleanChoices
+   * @type Array<String>
+   */
+  booleanChoices: ['default', 'true', 'false'],
+
+  /**
+   * One entry per option that applies to the page's operations, with its
+   * bucket default, its value and any validation error.
+   * @property fields
+   * @type Array<Ember.Object>
+   */
+  fields: function() {
+    let quorum = this.get('props.quorum') || {};
+    let options = this.get('options') || {};
+
+    return requestOptionNames(this.get('operations') || []).map(function(name) {
+      let defaultValue = quorum[name];
+
+      if (defaultValue === undefined || defaultValue === null) {
+        defaultValue = (name === 'returnbody') ? 'false' : 'default';
+      }
+      return Ember.Object.create({
+        name: name,
+        isBoolean: isBooleanOption(name),
+        defaultValue: String(defaultValue),
+        value: options[name] || (isBooleanOption(name) ? 'default' : ''),
+        error: null
+      });
+    });
+  }.property('operations', 'props'),
+
+  /**
+   * @property hasErrors
+   * @type Boolean
+   */
+  hasErrors: function() {
+    return this.get('fields').isAny('error');
+  }.property('fields.@each.error'),
+
+  /**
+   * Can a request be made again with the options (does the page handle
+   * the `fetch` action)?
+   * @property canFetch
+   * @type Boolean
+   */
+  canFetch: function() {
+    return !!this.get('attrs.fetch');
+  }.property('attrs.fetch'),
+
+  /**
+   * Validates the fields, and updates `options` with the valid values.
+   *
+   * @method fieldsDidChange
+   * @private
+   */
+  fieldsDidChange: function() {
+    let options = {};
+
+    this.get('fields').forEach(function(field) {
+      let value = (field.get('value') || '').trim();
+
+      if (field.get('isBoolean') && value === 'default') {
+        value = '';
+      }
+      field.set('error', requestOptionError(field.get('name'), value));
+      if (value && !field.get('error')) {
+        options[field.get('name')] = value;
+      }
+    });
+    this.set('options', options);
+  }.observes('fields.@each.value'),
+
+  actions: {
+    fetch() {
+      // Send action to the riak-object controller
+      this.sendAction('fetch');
+    },
+
+    resetOptions() {
+      this.get('fields').forEach(function(field) {
+        field.set('value', field.get('isBoolean') ? 'default' : '');
+      });
+    },
+
+    selectValue(field, value) {
+      field.set('value', value);
+    },
+
+    toggleExpanded() {
+      this.toggleProperty('isExpanded');
+    }
+  }
+});
+
+export default RequestOptionsComponent;
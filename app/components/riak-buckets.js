@@ -1,10 +1,37 @@
 import Ember from 'ember';
 
+/**
+ * Displays the loaded pages of a Bucket List in a virtual scrolling list.
+ * Scrolling to the end of the list requests the next page (`loadMore`).
+ *
+ * @class RiakBucketsComponent
+ * @extends Ember.Component
+ * @constructor
+ */
 export default Ember.Component.extend({
+  /**
+   * @property bucketList
+   * @type BucketList
+   */
+  bucketList: null,
+
+  /**
+   * Is the next page of buckets being loaded?
+   * @property isLoadingMore
+   * @type Boolean
+   * @default false
+   */
+  isLoadingMore: false,
+
   actions: {
     deleteBucket: function(bucket) {
       // Send the action to parent controller
       this.sendAction('deleteBucketAction', bucket);
+    },
+
+    loadMore: function() {
+      // Send the action to parent controller
+      this.sendAction('loadMore');
     }
   }
 });
@@ -1,3 +1,127 @@
 import Ember from 'ember';
 
-export default Ember.Component.extend({});
+/**
+ * Displays the loaded pages of a Key List in a virtual scrolling list, with
+ * checkboxes to select keys for bulk operations (delete, export).
+ * Scrolling to the end of the list requests the next page (`loadMore`).
+ * Keys marked as deleted (see `ExplorerService.deleted`) are not displayed.
+ *
+ * @class RiakKeysComponent
+ * @extends Ember.Component
+ * @constructor
+ */
+var RiakKeysComponent = Ember.Component.extend({
+  /**
+   * Objects (keys) to display.
+   * @property keys
+   * @type Array<RiakObject>
+   */
+  keys: null,
+
+  /**
+   * Is a bulk operation in progress? (Disables the bulk action buttons.)
+   * @property isBusy
+   * @type Boolean
+   * @default false
+   */
+  isBusy: false,
+
+  /**
+   * Are there more keys to load, after the displayed ones?
+   * @property hasMore
+   * @type Boolean
+   * @default false
+   */
+  hasMore: false,
+
+  /**
+   * Is the next page of keys being loaded?
+   * @property isLoadingMore
+   * @type Boolean
+   * @default false
+   */
+  isLoadingMore: false,
+
+  /**
+   * One row per displayed key, tracking its selection state.
+   * Rows are re-used when more keys are appended to the list, so that the
+   * selection is kept.
+   * @property rows
+   * @type Array<Ember.Object>
+   */
+  rows: function() {
+    let previousRows = this._previousRows || [];
+    let rows = (this.get('keys') || []).map(function(obj, index) {
+      let previous = previousRows[index];
+      if (previous && previous.get('obj') === obj) {
+        return previous;
+      }
+      return Ember.Object.create({obj: obj, selected: false});
+    });
+
+    this._previousRows = rows;
+    return rows;
+  }.property('keys.[]'),
+
+  /**
+   * Rows for keys that have not been deleted.
+   * @property visibleRows
+   * @type Array<Ember.Object>
+   */
+  visibleRows: function() {
+    return this.get('rows').rejectBy('obj.markedDeleted');
+  }.property('rows', 'keys.@each.markedDeleted'),
+
+  /**
+   * @property selectedObjects
+   * @type Array<RiakObject>
+   */
+  selectedObjects: function() {
+    return this.get('visibleRows').filterBy('selected').mapBy('obj');
+  }.property('visibleRows.@each.selected'),
+
+  /**
+   * @property hasSelection
+   * @type Boolean
+   */
+  hasSelection: Ember.computed.notEmpty('selectedObjects'),
+
+  /**
+   * Are all the loaded keys selected?
+   * Setting this selects (or deselects) all the loaded keys.
+   * @property allSelected
+   * @type Boolean
+   */
+  allSelected: Ember.computed('visibleRows.@each.selected', {
+    get() {
+      let rows = this.get('visibleRows');
+      return rows.length > 0 && rows.isEvery('selected');
+    },
+    set(key, value) {
+      this.get('visibleRows').setEach('selected', value);
+      return value;
+    }
+  }),
+
+  actions: {
+    deleteSelected() {
+      let objects = this.get('selectedObjects');
+      if (window.confirm(`Delete ${objects.length} selected object(s)?`)) {
+        // Send action to the bucket controller
+        this.sendAction('deleteKeys', objects);
+      }
+    },
+
+    exportSelected() {
+      // Send action to the bucket controller
+      this.sendAction('exportKeys', this.get('selectedObjects'));
+    },
+
+    loadMore() {
+      // Send action to the bucket controller
+      this.sendAction('loadMore');
+    }
+  }
+});
+
+export default RiakKeysComponent;
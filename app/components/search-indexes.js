@@ -1,3 +1,10 @@
 import Ember from 'ember';
 
-export default Ember.Component.extend({});
+export default Ember.Component.extend({
+  actions: {
+    deleteIndex: function(index) {
+      // Send action to parent route
+      this.sendAction('deleteIndex', index);
+    }
+  }
+});
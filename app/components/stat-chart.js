@@ -0,0 +1,102 @@
+import Ember from 'ember';
+
+/**
+ * Simple SVG line chart of a single numeric statistic over time.
+ * Used by the live Node Statistics view.
+ *
+ * @class StatChartComponent
+ * @extends Ember.Component
+ * @constructor
+ */
+var StatChartComponent = Ember.Component.extend({
+  classNames: ['stat-chart'],
+
+  /**
+   * Name of the statistic being plotted.
+   * @property label
+   * @type String
+   */
+  label: null,
+
+  /**
+   * Values to plot, oldest first. Non-numeric values are skipped.
+   * @property values
+   * @type Array<Number>
+   */
+  values: null,
+
+  /**
+   * @property width
+   * @type Number
+   * @default 300
+   */
+  width: 300,
+
+  /**
+   * @property height
+   * @type Number
+   * @default 80
+   */
+  height: 80,
+
+  /**
+   * @property numericValues
+   * @type Array<Number>
+   */
+  numericValues: function() {
+    return (this.get('values') || []).filter(function(value) {
+      return typeof value === 'number' && isFinite(value);
+    });
+  }.property('values.[]'),
+
+  /**
+   * @property latest
+   * @type Number
+   */
+  latest: function() {
+    return this.get('numericValues.lastObject');
+  }.property('numericValues'),
+
+  /**
+   * @property max
+   * @type Number
+   */
+  max: function() {
+    let values = this.get('numericValues');
+    return values.length ? Math.max(...values) : null;
+  }.property('numericValues'),
+
+  /**
+   * @property min
+   * @type Number
+   */
+  min: function() {
+    let values = this.get('numericValues');
+    return values.length ? Math.min(...values) : null;
+  }.property('numericValues'),
+
+  /**
+   * Coordinates for the SVG `polyline` element, scaled to fit the chart.
+   *
+   * @property points
+   * @type String
+   * @example
+   *     '0,80 10,40 20,0'
+   */
+  points: function() {
+    let values = this.get('numericValues');
+    let width = this.get('width');
+    let height = this.get('height');
+    let min = this.get('min');
+    let range = (this.get('max') - min) || 1;
+    let step = values.length > 1 ? width / (values.length - 1) : 0;
+
+    return values.map(function(value, i) {
+      let x = Math.round(i * step * 100) / 100;
+      let y = Math.round((height - ((value - min) / range) * height) * 100) / 100;
+      return `${x},${y}`;
+    }).join(' ');
+  }.property('numericValues', 'width', 'height')
+});
+
+export default StatChartComponent;
@@ -0,0 +1,195 @@
+import Ember from 'ember';
+
+/**
+ * A scrolling list that only renders the rows that are currently visible
+ * (plus a few above and below), so that very long lists of keys or buckets
+ * do not have to be rendered into the DOM all at once.
+ * All rows must have the same height (`rowHeight`).
+ *
+ * When the user scrolls near the end of the loaded items and `hasMore` is
+ * set, the `loadMore` action is sent, so that the next page of the list can
+ * be fetched and appended to `items`. Inside a pagination component, the
+ * owner of the list moves the pager along to the last appended page (see
+ * `BucketController.keyListPage`).
+ *
+ * Usage:
+ *
+ *     {{#virtual-list items=rows hasMore=hasMore loadMore='loadMore' as |row|}}
+ *       {{row.name}}
+ *     {{/virtual-list}}
+ *
+ * @class VirtualListComponent
+ * @extends Ember.Component
+ * @constructor
+ */
+var VirtualListComponent = Ember.Component.extend({
+  classNames: ['virtual-list'],
+
+  /**
+   * Items (rows) loaded so far.
+   * @property items
+   * @type Array
+   */
+  items: null,
+
+  /**
+   * Height of each row, in pixels.
+   * @property rowHeight
+   * @type Number
+   * @default 30
+   */
+  rowHeight: 30,
+
+  /**
+   * Height of the scrolling viewport, in pixels.
+   * @property height
+   * @type Number
+   * @default 450
+   */
+  height: 450,
+
+  /**
+   * Number of extra rows rendered above and below the visible ones,
+   * to avoid flickering while scrolling.
+   * @property overscan
+   * @type Number
+   * @default 10
+   */
+  overscan: 10,
+
+  /**
+   * Are there more items to be loaded (after the loaded ones)?
+   * @property hasMore
+   * @type Boolean
+   * @default false
+   */
+  hasMore: false,
+
+  /**
+   * Is the next page of items being loaded?
+   * @property isLoadingMore
+   * @type Boolean
+   * @default false
+   */
+  isLoadingMore: false,
+
+  /**
+   * Current scroll position of the viewport, in pixels.
+   * @property scrollTop
+   * @type Number
+   * @default 0
+   */
+  scrollTop: 0,
+
+  /**
+   * Index of the first rendered item.
+   * @property startIndex
+   * @type Number
+   */
+  startIndex: function() {
+    let firstVisible = Math.floor(this.get('scrollTop') / this.get('rowHeight'));
+    return Math.max(0, firstVisible - this.get('overscan'));
+  }.property('scrollTop', 'rowHeight', 'overscan'),
+
+  /**
+   * Index after the last rendered item.
+   * @property endIndex
+   * @type Number
+   */
+  endIndex: function() {
+    let visibleCount = Math.ceil(this.get('height') / this.get('rowHeight'));
+    let firstVisible = Math.floor(this.get('scrollTop') / this.get('rowHeight'));
+    return Math.min(this.get('items.length') || 0,
+      firstVisible + visibleCount + this.get('overscan'));
+  }.property('scrollTop', 'rowHeight', 'height', 'overscan', 'items.length'),
+
+  /**
+   * The items that are rendered.
+   * @property visibleItems
+   * @type Array
+   */
+  visibleItems: function() {
+    return (this.get('items') || []).slice(this.get('startIndex'), this.get('endIndex'));
+  }.property('items.[]', 'startIndex', 'endIndex'),
+
+  /**
+   * @property viewportStyle
+   * @type Ember.Handlebars.SafeString
+   */
+  viewportStyle: function() {
+    return Ember.String.htmlSafe(`max-height: ${this.get('height')}px;`);
+  }.property('height'),
+
+  /**
+   * Spacer standing in for the (not rendered) items above the visible ones.
+   * @property topSpacerStyle
+   * @type Ember.Handlebars.SafeString
+   */
+  topSpacerStyle: function() {
+    return Ember.String.htmlSafe(`height: ${this.get('startIndex') * this.get('rowHeight')}px;`);
+  }.property('startIndex', 'rowHeight'),
+
+  /**
+   * Spacer standing in for the (not rendered) items below the visible ones.
+   * @property bottomSpacerStyle
+   * @type Ember.Handlebars.SafeString
+   */
+  bottomSpacerStyle: function() {
+    let hidden = (this.get('items.length') || 0) - this.get('endIndex');
+    return Ember.String.htmlSafe(`height: ${hidden * this.get('rowHeight')}px;`);
+  }.property('items.length', 'endIndex', 'rowHeight'),
+
+  /**
+   * Scrolls back to the top when a different list (or page) is displayed.
+   * (Appending items to the list keeps the current scroll position.)
+   *
+   * @method firstItemDidChange
+   * @private
+   */
+  firstItemDidChange: function() {
+    this.set('scrollTop', 0);
+    if (this.$()) {
+      this.$('.virtual-list-viewport').scrollTop(0);
+    }
+  }.observes('items.firstObject'),
+
+  /**
+   * Requests the next page of items, if the user has scrolled near the end
+   * of the loaded ones.
+   *
+   * @method checkLoadMore
+   * @private
+   */
+  checkLoadMore: function() {
+    let remaining = (this.get('items.length') || 0) - this.get('endIndex');
+
+    if (this.get('hasMore') && !this.get('isLoadingMore') &&
+      remaining <= this.get('overscan')) {
+      this.sendAction('loadMore');
+    }
+  },
+
+  /**
+   * @method didScroll
+   * @param scrollTop {Number} New scroll position of the viewport
+   * @private
+   */
+  didScroll: function(scrollTop) {
+    this.set('scrollTop', scrollTop);
+    this.checkLoadMore();
+  },
+
+  didInsertElement: function() {
+    let self = this;
+
+    this.$('.virtual-list-viewport').on('scroll.virtual-list', function(event) {
+      Ember.run(self, 'didScroll', event.target.scrollTop);
+    });
+  },
+
+  willDestroyElement: function() {
+    this.$('.virtual-list-viewport').off('scroll.virtual-list');
+  }
+});
+
+export default VirtualListComponent;
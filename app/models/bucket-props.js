@@ -2,6 +2,55 @@ import DS from 'ember-data';
 import Ember from 'ember';
 import objectToArray from '../utils/riak-util';
 
+/**
+ * Properties that can be changed via the Set Bucket (Type) Properties API,
+ *   along with the kind of value each one accepts.
+ * (`quorum` values are either a non-negative integer, or one of the
+ *   symbolic values `one`, `quorum`, `all` and `default`.)
+ *
+ * @property EDITABLE_PROPS
+ * @type Hash
+ * @private
+ */
+const EDITABLE_PROPS = {
+  allow_mult: 'boolean',
+  basic_quorum: 'boolean',
+  big_vclock: 'integer',
+  dvv_enabled: 'boolean',
+  dw: 'quorum',
+  last_write_wins: 'boolean',
+  n_val: 'integer',
+  notfound_ok: 'boolean',
+  old_vclock: 'integer',
+  pr: 'quorum',
+  pw: 'quorum',
+  r: 'quorum',
+  rw: 'quorum',
+  search_index: 'string',
+  small_vclock: 'integer',
+  w: 'quorum',
+  young_vclock: 'integer'
+};
+
+/**
+ * Properties that Riak does not allow to be changed once a bucket type
+ *   has been created.
+ *
+ * @property IMMUTABLE_PROPS
+ * @type Array<String>
+ * @private
+ */
+const IMMUTABLE_PROPS = ['consistent', 'datatype', 'write_once'];
+
+/**
+ * Symbolic (non-numeric) values accepted by the quorum properties.
+ *
+ * @property SYMBOLIC_QUORUM_VALUES
+ * @type Array<String>
+ * @private
+ */
+const SYMBOLIC_QUORUM_VALUES = ['one', 'quorum', 'all', 'default'];
+
 /**
  * Represents a Bucket's or a Bucket Type's properties.
  * Since a Bucket inherits all of its parent Bucket Type's properties, both
@@ -48,6 +97,46 @@ var BucketProps = DS.Model.extend({
     }
   }.property('props'),
 
+  /**
+   * Returns a list of changed properties (compared to the current ones),
+   *    used to display a before/after diff prior to saving.
+   *
+   * @method diffFor
+   * @param changes {Hash} Proposed property values
+   * @return {Array<Hash>} List of `{ key, before, after }` entries
+   */
+  diffFor(changes) {
+    let props = this.get('props') || {};
+    let diff = [];
+
+    Object.keys(changes).sort().forEach(function(key) {
+      if (props[key] !== changes[key]) {
+        diff.push({key: key, before: props[key], after: changes[key]});
+      }
+    });
+    return diff;
+  },
+
+  /**
+   * Returns a list of the properties that can be edited by the user,
+   *    along with their current values. Used to build the Edit Properties
+   *    form.
+   *
+   * @property editableList
+   * @type Array<Hash>
+   * @example
+   *     [ { key: 'allow_mult', type: 'boolean', value: false }, ... ]
+   */
+  editableList: function() {
+    let props = this.get('props') || {};
+
+    return Object.keys(EDITABLE_PROPS).filter(function(key) {
+      return props.hasOwnProperty(key);
+    }).map(function(key) {
+      return {key: key, type: EDITABLE_PROPS[key], value: props[key]};
+    });
+  }.property('props'),
+
   /**
    * Does this bucket or bucket type have custom pre-commit or post-commit
    *     hooks enabled?
@@ -187,6 +276,36 @@ var BucketProps = DS.Model.extend({
   }.property('props'),
 
 
+  /**
+   * Returns the Ember.js/Ember Data model name of the objects stored within
+   *     a bucket with these properties.
+   *
+   * @property objectModelName
+   * @type String
+   * @readOnly
+   * @default 'riak-object'
+   */
+  objectModelName: function() {
+    let modelType = null;
+
+    switch (true) {
+      case this.get('isCounter'):
+        modelType = 'riak-object.counter';
+        break;
+      case this.get('isSet'):
+        modelType = 'riak-object.set';
+        break;
+      case this.get('isMap'):
+        modelType = 'riak-object.map';
+        break;
+      default:
+        modelType = 'riak-object';
+        break;
+    }
+
+    return modelType;
+  }.property('props'),
+
   objectType: function() {
     let type = [];
 
@@ -203,6 +322,30 @@ var BucketProps = DS.Model.extend({
     return type.join(', ');
   }.property('props'),
 
+  /**
+   * Converts a user-entered (form) value to the type expected by the
+   *    Set Bucket Properties API for a given property.
+   *
+   * @method normalizeValue
+   * @param key {String} Property name
+   * @param value {String|Boolean|Number}
+   * @return {String|Boolean|Number}
+   */
+  normalizeValue(key, value) {
+    let type = EDITABLE_PROPS[key];
+    let trimmed = (typeof value === 'string') ? value.trim() : value;
+
+    switch (type) {
+      case 'boolean':
+        return !!value;
+      case 'integer':
+      case 'quorum':
+        return (/^\d+$/.test(trimmed)) ? parseInt(trimmed, 10) : trimmed;
+      default:
+        return value;
+    }
+  },
+
   /**
    * Returns a flat list of properties, used for display on a View Properties
    *     page.
@@ -227,10 +370,11 @@ var BucketProps = DS.Model.extend({
   quorum: function() {
     return {
       r: this.get('props').r,    // Read quorum
-      w: this.get('props').r,    // Write Quorum
+      w: this.get('props').w,    // Write Quorum
       pr: this.get('props').pr,  // Primary Read
       pw: this.get('props').pw,  // Primary Write
       dw: this.get('props').dw,  // Durable Write
+      rw: this.get('props').rw,  // Delete Quorum
       basic_quorum: this.get('props').basic_quorum,
       notfound_ok: this.get('props').notfound_ok
     };
@@ -298,6 +442,79 @@ var BucketProps = DS.Model.extend({
     return this.get('props').search_index;
   }.property('props'),
 
+  /**
+   * Validates a set of proposed property changes against the current
+   *    properties, before they are sent to Riak.
+   *
+   * @method validateChanges
+   * @param changes {Hash} Proposed property values (already normalized)
+   * @return {Array<String>} Human-readable validation errors (empty if valid)
+   */
+  validateChanges(changes) {
+    let props = this.get('props') || {};
+    let merged = Ember.merge(Ember.merge({}, props), changes);
+    let nVal = merged.n_val;
+    let errors = [];
+
+    IMMUTABLE_PROPS.forEach(function(key) {
+      if (changes.hasOwnProperty(key) && changes[key] !== props[key]) {
+        errors.push(`${key} cannot be changed once a bucket type is created.`);
+      }
+    });
+
+    Object.keys(changes).forEach(function(key) {
+      let value = changes[key];
+
+      switch (EDITABLE_PROPS[key]) {
+        case 'integer':
+          if (typeof value !== 'number' || value < 0) {
+            errors.push(`${key} must be a non-negative integer.`);
+          }
+          break;
+        case 'quorum':
+          if (typeof value === 'number') {
+            if (typeof nVal === 'number' && value > nVal) {
+              errors.push(`${key} (${value}) cannot be larger than n_val (${nVal}).`);
+            }
+          } else if (SYMBOLIC_QUORUM_VALUES.indexOf(value) < 0) {
+            errors.push(`${key} must be a number, or one of: ${SYMBOLIC_QUORUM_VALUES.join(', ')}.`);
+          }
+          break;
+      }
+    });
+
+    if (changes.hasOwnProperty('n_val') && changes.n_val !== props.n_val) {
+      if (typeof nVal === 'number' && nVal < 1) {
+        errors.push('n_val must be at least 1.');
+      }
+      if (props.consistent) {
+        errors.push('n_val cannot be changed on a Strongly Consistent bucket type.');
+      }
+      if (props.write_once) {
+        errors.push('n_val cannot be changed on a Write Once bucket type.');
+      }
+      // The unchanged quorum values must fit the new n_val as well
+      Object.keys(EDITABLE_PROPS).forEach(function(key) {
+        let value = merged[key];
+
+        if (EDITABLE_PROPS[key] === 'quorum' && !changes.hasOwnProperty(key) &&
+            typeof value === 'number' && typeof nVal === 'number' && value > nVal) {
+          errors.push(`${key} (${value}) cannot be larger than the new n_val (${nVal}).`);
+        }
+      });
+    }
+
+    if (merged.allow_mult && merged.last_write_wins) {
+      errors.push('allow_mult and last_write_wins cannot both be enabled.');
+    }
+
+    if (props.datatype && !merged.allow_mult) {
+      errors.push('allow_mult must remain enabled for Riak Data Type buckets.');
+    }
+
+    return errors;
+  },
+
   /**
    * Returns human-readable warnings related to this bucket's settings.
    *
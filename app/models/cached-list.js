@@ -51,6 +51,16 @@ var CachedList = DS.Model.extend({
    */
   firstItemIndex: DS.attr('number', {defaultValue: 1}),
 
+  /**
+   * Number of consecutive pages (starting at `firstItemIndex`) loaded into
+   * this list. Grows as more pages are appended by infinite scrolling.
+   * @see ExplorerService.loadMoreKeys
+   * @property loadedPages
+   * @type Integer
+   * @default 1
+   */
+  loadedPages: DS.attr('number', {defaultValue: 1}),
+
   /**
    * The number of items per page
    * @property pageSize
@@ -88,6 +98,27 @@ var CachedList = DS.Model.extend({
     return this.get('firstItemIndex') + this.get('count') - 1;
   }.property('firstItemIndex', 'count'),
 
+  /**
+   * Are there more items in the cached list, after the loaded pages?
+   *
+   * @method hasMorePages
+   * @returns Boolean
+   */
+  hasMorePages: function() {
+    return this.get('nextItemIndex') <= this.get('total');
+  }.property('nextItemIndex', 'total'),
+
+  /**
+   * The index (in the server-side cached list) of the first item of the
+   * page after the loaded pages.
+   *
+   * @method nextItemIndex
+   * @returns Integer
+   */
+  nextItemIndex: function() {
+    return this.get('firstItemIndex') + this.get('loadedPages') * this.get('pageSize');
+  }.property('firstItemIndex', 'loadedPages', 'pageSize'),
+
   /**
    * Whether or not the current page has more than 1 item in it
    *
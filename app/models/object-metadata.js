@@ -1,4 +1,5 @@
 import DS from 'ember-data';
+import { formatLinkHeader } from '../utils/riak-links';
 
 /**
  * Riak Object metadata and custom headers.
@@ -21,20 +22,27 @@ var ObjectMetadata = DS.Model.extend({
    *        easy listing on the Edit Object screen.
    *   3. 'other' - Standard object metadata (x-riak-vclock, etag, etc).
    *        Stored as a hash of keys/values (not a list, since these are fixed)
+   *   4. 'links' - Links to other objects (the `Link` header), stored as
+   *        a list of `{ bucket, key, riaktag }` hashes.
    *
    * @see http://docs.basho.com/riak/latest/dev/references/http/fetch-object/
    * @see http://docs.basho.com/riak/latest/dev/references/http/store-object/
    * @see http://docs.basho.com/riak/latest/dev/references/http/secondary-indexes/
+   * @see http://docs.basho.com/riak/latest/dev/using/link-walking/
    *
    * @property headers
    * @type Hash
-   * @default { custom:[], indexes:[], other:{} }
+   * @default { custom:[], indexes:[], links:[], other:{} }
    */
   headers: DS.attr(null, {
-    defaultValue: {
-      custom: [],     // x-riak-meta-*
-      indexes: [],    // x-riak-index-*
-      other: {}       // everything else
+    // A new hash per object, since the lists are edited in place
+    defaultValue: function() {
+      return {
+        custom: [],     // x-riak-meta-*
+        indexes: [],    // x-riak-index-*
+        links: [],      // Link
+        other: {}       // everything else
+      };
     }
   }),
 
@@ -119,12 +127,13 @@ var ObjectMetadata = DS.Model.extend({
    * @return {Hash} Headers object suitable for a jQuery AJAX PUT request
    */
   headersForUpdate: function() {
-    // Start with the causal context
-    var headers = {
-      'X-Riak-Vclock': this.get('causalContext')
-    };
+    var headers = {};
     var header;
     var i;
+    // Start with the causal context (new objects do not have one yet)
+    if (this.get('causalContext')) {
+      headers['X-Riak-Vclock'] = this.get('causalContext');
+    }
     // Add the 2i indexes, if applicable
     var indexes = this.get('headersIndexes');
     for (i = 0; i < indexes.length; i++) {
@@ -137,8 +146,24 @@ var ObjectMetadata = DS.Model.extend({
       header = customHeaders[i];
       headers[header.key] = header.value;
     }
+    // Keep the links (an update without a Link header removes them)
+    if (this.get('headersLinks').length) {
+      headers['Link'] = formatLinkHeader(this.get('headersLinks'));
+    }
     return headers;
-  }.property('headers'),
+  }.property('headers', 'headers.links.[]'),
+
+  /**
+   * Links from this object to other objects.
+   * @see http://docs.basho.com/riak/latest/dev/using/link-walking/
+   * @property headersLinks
+   * @type Array<Hash>
+   * @example
+   *     [ { "bucket": "people", "key": "joe", "riaktag": "friend" } ]
+   */
+  headersLinks: function() {
+    return this.get('headers').links || [];
+  }.property('headers', 'headers.links'),
 
   /**
    * List of user-defined Secondary Indexes for this object.
@@ -150,6 +175,65 @@ var ObjectMetadata = DS.Model.extend({
     return this.get('headers').indexes;
   }.property('headers'),
 
+  /**
+   * Secondary Indexes of this object, by index name. (A single index header
+   * can hold several comma-separated values.)
+   *
+   * @property indexValues
+   * @type Hash
+   * @readOnly
+   * @example
+   *     { "email_bin": ["joe@example.com"], "age_int": [42] }
+   */
+  indexValues: function() {
+    let values = {};
+
+    this.get('headersIndexes').forEach(function(header) {
+      let name = header.key.replace(/^x-riak-index-/, '');
+      values[name] = String(header.value).split(/\s*,\s*/).map(function(value) {
+        return name.endsWith('_int') ? parseInt(value, 10) : value;
+      });
+    });
+    return values;
+  }.property('headers'),
+
+  /**
+   * Is this a binary object (one whose contents cannot be safely treated
+   * as text), based on its content type?
+   *
+   * @property isBinary
+   * @type Boolean
+   * @readOnly
+   */
+  isBinary: function() {
+    let contentType = (this.get('contentType') || '').toLowerCase();
+
+    if (!contentType) {
+      return false;
+    }
+    return !(contentType.startsWith('text/') ||
+      /[\/+](json|xml|javascript|x-www-form-urlencoded|csv)\b/.test(contentType) ||
+      contentType.startsWith('multipart/mixed'));
+  }.property('headers'),
+
+  /**
+   * User metadata (the custom `x-riak-meta-*` headers), by name.
+   *
+   * @property userMeta
+   * @type Hash
+   * @readOnly
+   * @example
+   *     { "user_id": "user123" }
+   */
+  userMeta: function() {
+    let meta = {};
+
+    this.get('headersCustom').forEach(function(header) {
+      meta[header.key.replace(/^x-riak-meta-/, '')] = header.value;
+    });
+    return meta;
+  }.property('headers'),
+
   /**
    * Has this object been deleted, cluster-side?
    * Generally only encountered if `delete_mode` is set to 'keep',
@@ -3,6 +3,25 @@ import Ember from 'ember';
 var BucketTypeController = Ember.Controller.extend({
   explorer: Ember.inject.service('explorer'),
 
+  /**
+   * Currently displayed page of the bucket list (bound to the pagination
+   * component, so that changing the page size goes back to the first page).
+   * When scrolling appends pages to the list, this is the last loaded page,
+   * so that the pager's Next link goes on from the loaded buckets.
+   * @property bucketListPage
+   * @type Number
+   * @default 1
+   */
+  bucketListPage: 1,
+
+  /**
+   * Is the next page of buckets being loaded (by scrolling the bucket list)?
+   * @property isLoadingMoreBuckets
+   * @type Boolean
+   * @default false
+   */
+  isLoadingMoreBuckets: false,
+
   /**
    * Kicks off a model refresh after the specified delay.
    * Initially called by +BucketTypeRoute.setupController+.
@@ -47,6 +66,35 @@ var BucketTypeController = Ember.Controller.extend({
   },
 
   actions: {
+    loadMoreBuckets: function() {
+      let self = this;
+
+      this.set('isLoadingMoreBuckets', true);
+      this.get('explorer').loadMoreBuckets(this.get('model'), this.get('store'))
+        .then(function(bucketList) {
+          // Keep the pager on the last loaded page
+          self.set('bucketListPage', Math.ceil(bucketList.get('lastItemIndex') / bucketList.get('pageSize')));
+        })
+        .finally(function() {
+          self.set('isLoadingMoreBuckets', false);
+        });
+    },
+
+    /**
+     * The user has chosen a different page size for the bucket list.
+     * Reloads the list from the first page.
+     *
+     * @event selectPageSize
+     * @param pageSize {Number}
+     */
+    selectPageSize: function(pageSize) {
+      let bucketType = this.get('model');
+
+      this.get('explorer').setPageSize(pageSize);
+      this.set('bucketListPage', 1);
+      this.get('explorer').getBucketTypeWithBucketList(bucketType, bucketType.get('cluster'), this.get('store'), 1);
+    },
+
     retrieveRequestedBuckets: function(startIndex) {
       let service = this.get('explorer');
       let bucketType = this.get('model');
@@ -0,0 +1,33 @@
+import Ember from 'ember';
+import SideBarSelect from '../../../mixins/sidebar-select';
+
+export default Ember.Route.extend(SideBarSelect, {
+  model: function(params) {
+    return this.explorer.getBucketType(params.clusterId,
+      params.bucketTypeId, this.store);
+  },
+
+  afterModel: function(model, transition) {
+    this.setSidebarCluster(model.get('cluster'));
+  },
+
+  setupController: function(controller, model) {
+    this._super(controller, model);
+    controller.set('errorMessage', null);
+  },
+
+  actions: {
+    saveProps: function(changes) {
+      let self = this;
+      let bucketType = this.controller.get('model');
+
+      return this.explorer.updateBucketProps(bucketType, changes)
+        .then(function() {
+          self.transitionTo('bucket-type', bucketType.get('clusterId'), bucketType.get('bucketTypeId'));
+        }, function(jqXHR) {
+          self.controller.set('errorMessage',
+            jqXHR.responseText || 'Something went wrong, properties were not saved.');
+        });
+    }
+  }
+});
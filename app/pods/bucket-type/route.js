@@ -21,6 +21,7 @@ export default Ember.Route.extend(SideBarSelect, {
 
   setupController: function(controller, model) {
     this._super(controller, model);
+    controller.set('bucketListPage', 1);
     if (!model.get('isBucketListLoaded')) {
       controller.pollForModel(model, 3000);
     }
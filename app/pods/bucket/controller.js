@@ -1,8 +1,266 @@
 import Ember from 'ember';
+import downloadFile from '../../utils/download-file';
+import keyMatcher from '../../utils/key-matcher';
 
 var BucketController = Ember.Controller.extend({
   explorer: Ember.inject.service('explorer'),
 
+  /**
+   * Label of the bulk operation (on selected keys) in progress, if any.
+   * @property bulkOperation
+   * @type String
+   */
+  bulkOperation: null,
+
+  /**
+   * Number of objects processed so far by the current bulk operation.
+   * @property bulkCompleted
+   * @type Number
+   */
+  bulkCompleted: 0,
+
+  /**
+   * Result summary of the last bulk operation.
+   * @property bulkMessage
+   * @type String
+   */
+  bulkMessage: null,
+
+  /**
+   * Number of objects to be processed by the current bulk operation.
+   * @property bulkTotal
+   * @type Number
+   */
+  bulkTotal: 0,
+
+  /**
+   * @property bulkPercent
+   * @type Number
+   */
+  bulkPercent: function() {
+    let total = this.get('bulkTotal');
+    return total ? Math.round(this.get('bulkCompleted') * 100 / total) : 0;
+  }.property('bulkCompleted', 'bulkTotal'),
+
+  /**
+   * Inline style for the bulk operation progress bar.
+   * @property bulkProgressStyle
+   * @type Ember.Handlebars.SafeString
+   */
+  bulkProgressStyle: function() {
+    return Ember.String.htmlSafe(`width: ${this.get('bulkPercent')}%;`);
+  }.property('bulkPercent'),
+
+  /**
+   * Currently displayed page of the key list (bound to the pagination
+   * component, so that changing the page size goes back to the first page).
+   * When scrolling appends pages to the list, this is the last loaded page,
+   * so that the pager's Next link goes on from the loaded keys.
+   * @property keyListPage
+   * @type Number
+   * @default 1
+   */
+  keyListPage: 1,
+
+  /**
+   * Is the next page of keys being loaded (by scrolling the key list)?
+   * @property isLoadingMoreKeys
+   * @type Boolean
+   * @default false
+   */
+  isLoadingMoreKeys: false,
+
+  /**
+   * Key filter pattern (a prefix, substring or regular expression).
+   * @property keyFilter
+   * @type String
+   */
+  keyFilter: '',
+
+  /**
+   * How the key filter pattern is matched against keys.
+   * @see keyMatcher
+   * @property keyFilterMode
+   * @type String
+   * @default 'prefix'
+   */
+  keyFilterMode: 'prefix',
+
+  /**
+   * @property keyFilterModes
+   * @type Array<String>
+   */
+  keyFilterModes: ['prefix', 'substring', 'regex'],
+
+  /**
+   * Keys (across the whole cached key list) that match the current filter,
+   * or `null` if no filter is applied.
+   * @property keyFilterMatches
+   * @type Array<String>
+   */
+  keyFilterMatches: null,
+
+  /**
+   * Total number of keys that the current filter was applied to.
+   * @property keyFilterScanned
+   * @type Number
+   * @default 0
+   */
+  keyFilterScanned: 0,
+
+  /**
+   * Objects for the displayed page of matching keys.
+   * @property keyFilterKeys
+   * @type Array<RiakObject>
+   */
+  keyFilterKeys: null,
+
+  /**
+   * Index of the first matching key on the displayed page (1-based).
+   * @property keyFilterStart
+   * @type Number
+   * @default 1
+   */
+  keyFilterStart: 1,
+
+  /**
+   * Currently displayed page of matching keys (bound to the pagination
+   * component, so that a new filter starts out on the first page).
+   * @property keyFilterPage
+   * @type Number
+   * @default 1
+   */
+  keyFilterPage: 1,
+
+  /**
+   * Progress message while the whole cached key list is being loaded.
+   * @property keyFilterStatus
+   * @type String
+   */
+  keyFilterStatus: null,
+
+  /**
+   * Error message for an invalid filter (or a failed key list load).
+   * @property keyFilterError
+   * @type String
+   */
+  keyFilterError: null,
+
+  /**
+   * Is a key filter applied?
+   * @property isKeyFilterActive
+   * @type Boolean
+   */
+  isKeyFilterActive: function() {
+    return this.get('keyFilterMatches') !== null;
+  }.property('keyFilterMatches'),
+
+  /**
+   * Index of the last matching key on the displayed page (1-based).
+   * @property keyFilterEnd
+   * @type Number
+   */
+  keyFilterEnd: function() {
+    return this.get('keyFilterStart') + this.get('keyFilterKeys.length') - 1;
+  }.property('keyFilterStart', 'keyFilterKeys.[]'),
+
+  /**
+   * Are there more matching keys, after the displayed ones?
+   * @property hasMoreFilteredKeys
+   * @type Boolean
+   */
+  hasMoreFilteredKeys: function() {
+    return this.get('keyFilterEnd') < this.get('keyFilterMatches.length');
+  }.property('keyFilterEnd', 'keyFilterMatches'),
+
+  /**
+   * Removes the key filter (displays the regular key list pages).
+   * Called by +BucketRoute.setupController+.
+   *
+   * @method resetKeyFilter
+   */
+  resetKeyFilter: function() {
+    this.setProperties({
+      keyFilterMatches: null,
+      keyFilterScanned: 0,
+      keyFilterKeys: null,
+      keyFilterStart: 1,
+      keyFilterPage: 1,
+      keyFilterStatus: null,
+      keyFilterError: null
+    });
+  },
+
+  /**
+   * Displays a page of the keys matching the current filter.
+   *
+   * @method showFilteredKeys
+   * @param startIndex {Number} Index of the first key on the page (1-based)
+   */
+  showFilteredKeys: function(startIndex) {
+    this.setProperties({
+      keyFilterKeys: this.filteredKeysFrom(startIndex),
+      keyFilterStart: startIndex
+    });
+  },
+
+  /**
+   * Returns objects for a page of the keys matching the current filter.
+   *
+   * @method filteredKeysFrom
+   * @param startIndex {Number} Index of the first key on the page (1-based)
+   * @return {Array<RiakObject>}
+   */
+  filteredKeysFrom: function(startIndex) {
+    let pageSize = this.get('explorer.pageSize');
+    let keys = this.get('keyFilterMatches').slice(startIndex - 1, startIndex - 1 + pageSize);
+
+    return this.get('explorer').createObjectsForKeys(this.get('model'), keys, this.get('store'));
+  },
+
+  /**
+   * Sets up the progress tracking for a bulk operation on selected keys.
+   *
+   * @method startBulkOperation
+   * @param label {String}
+   * @param total {Number}
+   * @return {Function} Progress callback, `(completedCount, total)`
+   */
+  startBulkOperation: function(label, total) {
+    let self = this;
+
+    this.setProperties({
+      bulkOperation: label,
+      bulkCompleted: 0,
+      bulkTotal: total,
+      bulkMessage: null
+    });
+    return function(completed) {
+      self.set('bulkCompleted', completed);
+    };
+  },
+
+  /**
+   * Downloads the results of an export (of selected keys, or of a whole
+   * bucket) as a newline-delimited JSON file, and reports on any failures.
+   *
+   * @method finishExport
+   * @param bucket {Bucket}
+   * @param result {Hash} `{ ndjson, exported, failed }`
+   * @see ExplorerService.exportObjects
+   */
+  finishExport: function(bucket, result) {
+    let message = `Exported ${result.exported} object(s).`;
+
+    if (result.failed.length) {
+      message += ` Could not export: ${result.failed.mapBy('key').join(', ')}`;
+    }
+    downloadFile(result.ndjson,
+      `${bucket.get('bucketTypeId')}-${bucket.get('bucketId')}.ndjson`,
+      'application/x-ndjson');
+    this.setProperties({bulkOperation: null, bulkMessage: message});
+  },
+
   /**
    * Kicks off a model refresh after the specified delay.
    * Initially called by +BucketRoute.setupController+.
@@ -42,6 +300,136 @@ var BucketController = Ember.Controller.extend({
   },
 
   actions: {
+    deleteKeys: function(objects) {
+      let self = this;
+      let onProgress = this.startBulkOperation('Deleting', objects.length);
+
+      this.get('explorer').deleteObjects(objects, onProgress)
+        .then(function(result) {
+          let message = `Deleted ${result.deleted.length} object(s).`;
+          if (result.failed.length) {
+            message += ` Could not delete: ${result.failed.mapBy('key').join(', ')}`;
+          }
+          self.setProperties({bulkOperation: null, bulkMessage: message});
+        });
+    },
+
+    exportBucket: function(bucket) {
+      let self = this;
+      let onProgress = this.startBulkOperation('Exporting bucket', bucket.get('keyList.total'));
+
+      this.get('explorer').exportBucket(bucket, this.get('store'), function(completed, total) {
+        self.set('bulkTotal', total);
+        onProgress(completed);
+      }).then(function(result) {
+        self.finishExport(bucket, result);
+      }, function(error) {
+        self.setProperties({
+          bulkOperation: null,
+          bulkMessage: `The bucket was not exported: ${self.get('explorer').errorReason(error)}`
+        });
+      });
+    },
+
+    exportKeys: function(objects) {
+      let self = this;
+      let bucket = this.get('model');
+      let onProgress = this.startBulkOperation('Exporting', objects.length);
+
+      this.get('explorer').exportObjects(objects, this.get('store'), onProgress)
+        .then(function(result) {
+          self.finishExport(bucket, result);
+        });
+    },
+
+    clearKeyFilter: function() {
+      this.set('keyFilter', '');
+      this.resetKeyFilter();
+    },
+
+    /**
+     * Applies the key filter to the bucket's whole cached key list
+     * (loading the entire list the first time).
+     *
+     * @event filterKeys
+     */
+    filterKeys: function() {
+      let self = this;
+      let matches;
+
+      try {
+        matches = keyMatcher(this.get('keyFilterMode'), this.get('keyFilter'));
+      } catch (error) {
+        this.set('keyFilterError', error.message);
+        return;
+      }
+      this.setProperties({keyFilterError: null, keyFilterStatus: 'Loading keys...'});
+
+      this.get('explorer').getAllCachedKeys(this.get('model'), function(loaded, total) {
+        self.set('keyFilterStatus', `Loading keys: ${loaded} of ${total}`);
+      }).then(function(keys) {
+        self.setProperties({
+          keyFilterMatches: keys.filter(matches),
+          keyFilterScanned: keys.length,
+          keyFilterPage: 1,
+          keyFilterStatus: null
+        });
+        self.showFilteredKeys(1);
+      }, function() {
+        self.setProperties({
+          keyFilterStatus: null,
+          keyFilterError: 'Could not load the cached key list.'
+        });
+      });
+    },
+
+    retrieveFilteredKeys: function(startIndex) {
+      this.showFilteredKeys(startIndex);
+    },
+
+    loadMoreFilteredKeys: function() {
+      this.get('keyFilterKeys').pushObjects(this.filteredKeysFrom(this.get('keyFilterEnd') + 1));
+      // Keep the pager on the last loaded page
+      this.set('keyFilterPage', Math.ceil(this.get('keyFilterEnd') / this.get('explorer.pageSize')));
+    },
+
+    loadMoreKeys: function() {
+      let self = this;
+
+      this.set('isLoadingMoreKeys', true);
+      this.get('explorer').loadMoreKeys(this.get('model'), this.get('store'))
+        .then(function(keyList) {
+          // Keep the pager on the last loaded page
+          self.set('keyListPage', Math.ceil(keyList.get('lastItemIndex') / keyList.get('pageSize')));
+        })
+        .finally(function() {
+          self.set('isLoadingMoreKeys', false);
+        });
+    },
+
+    /**
+     * The user has chosen a different page size for the key list.
+     * Reloads the list from the first page.
+     *
+     * @event selectPageSize
+     * @param pageSize {Number}
+     */
+    selectPageSize: function(pageSize) {
+      let bucket = this.get('model');
+
+      this.get('explorer').setPageSize(pageSize);
+      this.set('keyListPage', 1);
+      this.get('explorer').getBucketWithKeyList(bucket, this.get('store'), 1);
+      if (this.get('isKeyFilterActive')) {
+        this.set('keyFilterPage', 1);
+        this.showFilteredKeys(1);
+      }
+    },
+
+    selectKeyFilterMode: function(mode) {
+      this.set('keyFilterMode', mode);
+    },
+
     retrieveRequestedKeys: function(startIndex) {
       let service = this.get('explorer');
       let bucket = this.get('model');
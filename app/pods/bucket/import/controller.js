@@ -0,0 +1,226 @@
+import Ember from 'ember';
+import importRecords from '../../../utils/import-records';
+
+/**
+ * Handles the Import Objects screen for a bucket. Records are read from a
+ * local NDJSON, CSV or JSON array file (in the same format as the Export
+ * Bucket files), previewed as a dry run, and then stored in the bucket.
+ * @see ExplorerService.importRecords
+ *
+ * @class BucketImportController
+ * @extends Ember.Controller
+ */
+var BucketImportController = Ember.Controller.extend({
+  explorer: Ember.inject.service('explorer'),
+
+  /**
+   * Name of the selected import file.
+   * @property fileName
+   * @type String
+   */
+  fileName: null,
+
+  /**
+   * Records parsed from the import file.
+   * @property records
+   * @type Array<Hash>
+   */
+  records: null,
+
+  /**
+   * Error message to display to the user (file parse or import errors).
+   * @property errorMessage
+   * @type String
+   */
+  errorMessage: null,
+
+  /**
+   * Overwrite existing keys (versus skipping them)?
+   * @property overwrite
+   * @type Boolean
+   * @default true
+   */
+  overwrite: true,
+
+  /**
+   * Can existing keys be overwritten? Not in Data Type buckets, where
+   * imported records are applied as update operations, which are merged
+   * with the current value of the data type instead of replacing it.
+   * @property canOverwrite
+   * @type Boolean
+   */
+  canOverwrite: function() {
+    return !this.get('model.props.isCRDT');
+  }.property('model.props.isCRDT'),
+
+  /**
+   * Maximum number of records imported per second.
+   * @property rate
+   * @type Number
+   * @default 10
+   */
+  rate: 10,
+
+  /**
+   * Number of records shown in the dry-run preview.
+   * @property previewCount
+   * @type Number
+   * @default 5
+   */
+  previewCount: 5,
+
+  /**
+   * Is an import in progress?
+   * @property isImporting
+   * @type Boolean
+   * @default false
+   */
+  isImporting: false,
+
+  /**
+   * Number of records processed so far by the current import.
+   * @property importCompleted
+   * @type Number
+   * @default 0
+   */
+  importCompleted: 0,
+
+  /**
+   * Result of the last import, as returned by `ExplorerService.importRecords`
+   * @property report
+   * @type Hash
+   */
+  report: null,
+
+  /**
+   * @property importPercent
+   * @type Number
+   */
+  importPercent: function() {
+    let total = this.get('records.length');
+    return total ? Math.round(this.get('importCompleted') * 100 / total) : 0;
+  }.property('importCompleted', 'records'),
+
+  /**
+   * Inline style for the import progress bar.
+   * @property importProgressStyle
+   * @type Ember.Handlebars.SafeString
+   */
+  importProgressStyle: function() {
+    return Ember.String.htmlSafe(`width: ${this.get('importPercent')}%;`);
+  }.property('importPercent'),
+
+  /**
+   * Dry run: the requests that would be made for the first few records,
+   * or the reason a record is invalid.
+   * @property previewRecords
+   * @type Array<Hash>
+   */
+  previewRecords: function() {
+    let bucket = this.get('model');
+    let explorer = this.get('explorer');
+    let records = this.get('records');
+
+    if (!records || !bucket.get('props')) {
+      return [];
+    }
+    return records.slice(0, this.get('previewCount')).map(function(record) {
+      try {
+        let request = explorer.importRequestFor(bucket, record);
+        if (request.body instanceof Uint8Array) {
+          request.body = `(${request.body.length} bytes of binary data)`;
+        }
+        return {key: record.key, request: JSON.stringify(request, null, 2)};
+      } catch (error) {
+        return {key: record.key, error: error.message};
+      }
+    });
+  }.property('records', 'model.props'),
+
+  /**
+   * Clears out the selected file and the last import report.
+   * Called by +BucketImportRoute.setupController+.
+   *
+   * @method resetImport
+   */
+  resetImport: function() {
+    this.setProperties({
+      fileName: null,
+      records: null,
+      errorMessage: null,
+      isImporting: false,
+      importCompleted: 0,
+      report: null
+    });
+  },
+
+  /**
+   * Parses the contents of a selected import file.
+   *
+   * @method loadFile
+   * @param fileName {String}
+   * @param text {String}
+   */
+  loadFile: function(fileName, text) {
+    this.resetImport();
+    this.set('fileName', fileName);
+    try {
+      this.set('records', importRecords(text, fileName));
+    } catch (error) {
+      this.set('errorMessage', error.message);
+    }
+  },
+
+  actions: {
+    /**
+     * The user has selected a file to import. Reads it in the browser.
+     *
+     * @event selectFile
+     * @param event {Event} File input change event
+     */
+    selectFile: function(event) {
+      let self = this;
+      let file = event.target.files[0];
+      let reader;
+
+      if (!file) {
+        return;
+      }
+      reader = new window.FileReader();
+      reader.onload = function() {
+        Ember.run(self, 'loadFile', file.name, reader.result);
+      };
+      reader.onerror = function() {
+        Ember.run(self, 'set', 'errorMessage', `Could not read ${file.name}`);
+      };
+      reader.readAsText(file);
+    },
+
+    startImport: function() {
+      let self = this;
+      let bucket = this.get('model');
+      let rate = parseFloat(this.get('rate'));
+      let options = {overwrite: this.get('canOverwrite') && this.get('overwrite'), rate: rate};
+
+      if (isNaN(rate) || rate < 0) {
+        this.set('errorMessage', 'Rate must be a positive number (or 0 for no limit).');
+        return;
+      }
+      this.setProperties({
+        errorMessage: null,
+        isImporting: true,
+        importCompleted: 0,
+        report: null
+      });
+      this.get('explorer')
+        .importRecords(bucket, this.get('records'), this.get('store'), options, function(completed) {
+          self.set('importCompleted', completed);
+        })
+        .then(function(report) {
+          self.setProperties({report: report, isImporting: false});
+        });
+    }
+  }
+});
+
+export default BucketImportController;
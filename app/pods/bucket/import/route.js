@@ -0,0 +1,32 @@
+import Ember from 'ember';
+import SideBarSelect from '../../../mixins/sidebar-select';
+
+export default Ember.Route.extend(SideBarSelect, {
+  model: function(params) {
+    return this.explorer.getBucket(params.clusterId,
+      params.bucketTypeId, params.bucketId, this.store);
+  },
+
+  afterModel: function(model, transition) {
+    this.setSidebarCluster(model.get('cluster'));
+  },
+
+  /**
+   * @method setupController
+   * @param controller {BucketImportController}
+   * @param model {Bucket}
+   */
+  setupController: function(controller, model) {
+    this._super(controller, model);
+    controller.resetImport();
+    // When user follows the link from the Bucket view, the model() function,
+    //   above, is not called, and the props may not be initialized yet.
+    if (Ember.isEmpty(model.get('props'))) {
+      this.explorer
+        .getBucketProps(model.get('clusterId'), model.get('bucketTypeId'), model.get('bucketId'), this.store)
+        .then(function(bucketProps) {
+          model.set('props', bucketProps);
+        });
+    }
+  }
+});
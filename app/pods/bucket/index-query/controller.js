@@ -0,0 +1,318 @@
+import Ember from 'ember';
+
+/**
+ * Handles the Secondary Index (2i) query screen for a bucket.
+ * Results are paged through using the continuations returned by Riak
+ * (`max_results` is the page size).
+ * @see ExplorerService.queryIndex
+ *
+ * @class BucketIndexQueryController
+ * @extends Ember.Controller
+ */
+var BucketIndexQueryController = Ember.Controller.extend({
+  explorer: Ember.inject.service('explorer'),
+
+  /**
+   * Name of the index to query, such as `email_bin`, `age_int`,
+   * `$key` or `$bucket`.
+   * @property indexName
+   * @type String
+   */
+  indexName: '',
+
+  /**
+   * Is this a range query (versus an exact match query)?
+   * @property isRange
+   * @type Boolean
+   * @default false
+   */
+  isRange: false,
+
+  /**
+   * Index value to match (exact match queries).
+   * @property value
+   * @type String
+   */
+  value: '',
+
+  /**
+   * Start of the range (range queries).
+   * @property start
+   * @type String
+   */
+  start: '',
+
+  /**
+   * End of the range (range queries).
+   * @property end
+   * @type String
+   */
+  end: '',
+
+  /**
+   * Return the matching index terms along with the keys (range queries only).
+   * @property returnTerms
+   * @type Boolean
+   * @default false
+   */
+  returnTerms: false,
+
+  /**
+   * Number of results per page (`max_results`).
+   * @property maxResults
+   * @type Number
+   * @default 100
+   */
+  maxResults: 100,
+
+  /**
+   * Page size (`max_results`) of the query that was run. The continuations
+   * are only valid for this page size, so later edits to `maxResults` do
+   * not apply until the query is run again.
+   * @property queryPageSize
+   * @type Number
+   * @default 100
+   */
+  queryPageSize: 100,
+
+  /**
+   * Results for the current page, as returned by `ExplorerService.queryIndex`
+   * @property results
+   * @type Array<Hash>
+   */
+  results: null,
+
+  /**
+   * Continuations for each page discovered so far. The first page has none,
+   * so the list starts out as `[null]`.
+   * @property continuations
+   * @type Array<String>
+   */
+  continuations: [null],
+
+  /**
+   * Index of the first result on the current page (1-based).
+   * @property firstItemIndex
+   * @type Number
+   * @default 1
+   */
+  firstItemIndex: 1,
+
+  /**
+   * Number of results known so far. Grows as more pages are discovered.
+   * Used by the pagination component.
+   * @property totalSize
+   * @type Number
+   * @default 0
+   */
+  totalSize: 0,
+
+  /**
+   * Has the last page of results been reached?
+   * @property isComplete
+   * @type Boolean
+   * @default false
+   */
+  isComplete: false,
+
+  /**
+   * Error message to display to the user, if the query failed.
+   * @property errorMessage
+   * @type String
+   */
+  errorMessage: null,
+
+  /**
+   * Is a query request in progress?
+   * @property isQuerying
+   * @type Boolean
+   * @default false
+   */
+  isQuerying: false,
+
+  /**
+   * Is this a query on an integer (`_int`) index?
+   * (The special `$key` and `$bucket` indexes are binary.)
+   * @property isIntegerIndex
+   * @type Boolean
+   */
+  isIntegerIndex: function() {
+    return this.get('indexName').trim().endsWith('_int');
+  }.property('indexName'),
+
+  /**
+   * The special `$bucket` index only supports exact match queries.
+   * @property isBucketIndex
+   * @type Boolean
+   */
+  isBucketIndex: function() {
+    return this.get('indexName').trim() === '$bucket';
+  }.property('indexName'),
+
+  /**
+   * Index of the last result on the current page (1-based).
+   * @property lastItemIndex
+   * @type Number
+   */
+  lastItemIndex: function() {
+    return this.get('firstItemIndex') + this.get('results.length') - 1;
+  }.property('firstItemIndex', 'results'),
+
+  /**
+   * Returns the query hash for `ExplorerService.queryIndex`, for a given page.
+   *
+   * @method queryFor
+   * @param page {Number} 1-based page number
+   * @return {Hash}
+   */
+  queryFor: function(page) {
+    let query = {
+      indexName: this.get('indexName').trim(),
+      maxResults: this.get('queryPageSize'),
+      continuation: this.get('continuations')[page - 1]
+    };
+
+    if (this.get('isRange') && !this.get('isBucketIndex')) {
+      query.start = this.get('start');
+      query.end = this.get('end');
+      query.returnTerms = this.get('returnTerms');
+    } else {
+      query.value = this.get('value');
+    }
+    return query;
+  },
+
+  /**
+   * Clears out the query and its results.
+   * Called by +BucketIndexQueryRoute.setupController+.
+   *
+   * @method resetQuery
+   */
+  resetQuery: function() {
+    this.setProperties({
+      indexName: '',
+      isRange: false,
+      value: '',
+      start: '',
+      end: '',
+      returnTerms: false,
+      errorMessage: null
+    });
+    this.resetResults();
+  },
+
+  /**
+   * Clears out the results and the paging state.
+   *
+   * @method resetResults
+   */
+  resetResults: function() {
+    this.setProperties({
+      results: null,
+      continuations: [null],
+      firstItemIndex: 1,
+      totalSize: 0,
+      isComplete: false
+    });
+  },
+
+  /**
+   * Fetches a given page of results, and records the continuation
+   * for the next page (if any).
+   *
+   * @method retrievePage
+   * @param bucket {Bucket}
+   * @param page {Number} 1-based page number
+   * @return {Ember.RSVP.Promise}
+   */
+  retrievePage: function(bucket, page) {
+    let self = this;
+    let pageSize = this.get('queryPageSize');
+
+    this.setProperties({errorMessage: null, isQuerying: true});
+
+    return this.get('explorer')
+      .queryIndex(bucket, this.queryFor(page), this.get('store'))
+      .then(function(response) {
+        let continuations = self.get('continuations');
+
+        if (response.continuation) {
+          continuations[page] = response.continuation;
+        }
+        self.setProperties({
+          results: response.results,
+          firstItemIndex: (page - 1) * pageSize + 1,
+          isQuerying: false
+        });
+        if (response.continuation) {
+          self.set('totalSize',
+            Math.max(self.get('totalSize'), continuations.length * pageSize));
+        } else {
+          self.setProperties({
+            totalSize: (page - 1) * pageSize + response.results.length,
+            isComplete: true
+          });
+        }
+      }, function(jqXHR) {
+        self.setProperties({
+          errorMessage: jqXHR.responseText || 'Something went wrong, query failed.',
+          isQuerying: false
+        });
+      });
+  },
+
+  /**
+   * Returns an error message if the query is invalid, `null` otherwise.
+   *
+   * @method validationError
+   * @return {String|Null}
+   */
+  validationError: function() {
+    let indexName = this.get('indexName').trim();
+    let maxResults = parseInt(this.get('maxResults'), 10);
+    let values;
+
+    if (!/^(\$key|\$bucket|.+_(bin|int))$/.test(indexName)) {
+      return `Index name must be '$key', '$bucket', or end in '_bin' or '_int'.`;
+    }
+    if (isNaN(maxResults) || maxResults < 1) {
+      return 'Max results must be a positive number.';
+    }
+    if (this.get('isRange') && !this.get('isBucketIndex')) {
+      values = [this.get('start'), this.get('end')];
+    } else {
+      values = [this.get('value')];
+    }
+    if (values.any(Ember.isBlank)) {
+      return 'Please enter the index value(s) to query.';
+    }
+    if (this.get('isIntegerIndex') &&
+      values.any(function(value) { return !/^-?\d+$/.test(value.trim()); })) {
+      return 'Integer index values must be integers.';
+    }
+    return null;
+  },
+
+  actions: {
+    runQuery: function(bucket) {
+      let error = this.validationError();
+
+      if (error) {
+        this.set('errorMessage', error);
+        return;
+      }
+      // Clearing the results also resets the pagination component
+      this.resetResults();
+      this.set('queryPageSize', parseInt(this.get('maxResults'), 10));
+      this.retrievePage(bucket, 1);
+    },
+
+    retrieveRequestedResults: function(startIndex) {
+      let page = Math.floor((startIndex - 1) / this.get('queryPageSize')) + 1;
+
+      return this.retrievePage(this.get('model'), page);
+    }
+  }
+});
+
+export default BucketIndexQueryController;
@@ -148,24 +148,7 @@ var Bucket = DS.Model.extend({
    * @default 'riak-object'
    */
   objectModelName: function() {
-    let modelType = null;
-
-    switch (true) {
-      case this.get('props').get('isCounter'):
-        modelType = 'riak-object.counter';
-        break;
-      case this.get('props').get('isSet'):
-        modelType = 'riak-object.set';
-        break;
-      case this.get('props').get('isMap'):
-        modelType = 'riak-object.map';
-        break;
-      default:
-        modelType = 'riak-object';
-        break;
-    }
-
-    return modelType;
+    return this.get('props').get('objectModelName');
   }.property('props'),
 
   /**
@@ -24,6 +24,8 @@ export default Ember.Route.extend(SideBarSelect, {
    */
   setupController: function(controller, model) {
     this._super(controller, model);
+    controller.setProperties({bulkOperation: null, bulkMessage: null, keyListPage: 1});
+    controller.resetKeyFilter();
     // When user follows a bucket link from the Bucket Type view,
     //   the props are not yet initialized. Also, the model()
     //   function, above, is not called. Handle this case.
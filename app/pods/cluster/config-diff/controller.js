@@ -0,0 +1,174 @@
+import Ember from 'ember';
+import lineDiff from '../../../utils/line-diff';
+
+var ClusterConfigDiffController = Ember.Controller.extend({
+  explorer: Ember.inject.service('explorer'),
+
+  /**
+   * Nodes being compared (with their configuration loaded).
+   * @property comparedNodes
+   * @type Array<Node>
+   */
+  comparedNodes: null,
+
+  /**
+   * @property errorMessage
+   * @type String
+   */
+  errorMessage: null,
+
+  /**
+   * Are the node configurations being loaded?
+   * @property isLoading
+   * @type Boolean
+   * @default false
+   */
+  isLoading: false,
+
+  /**
+   * One entry per node in the cluster, tracking whether the user has
+   * selected that node for comparison.
+   * @property nodeChoices
+   * @type Array<Ember.Object>
+   */
+  nodeChoices: null,
+
+  /**
+   * Line diffs of each compared node's `advanced.config` against the first
+   * compared node (the baseline).
+   *
+   * @property advancedConfigDiffs
+   * @type Array<Hash>
+   * @example
+   *     [ { nodeId: 'riak@node2', hasChanges: true, lines: [ ... ] } ]
+   * @see lineDiff
+   */
+  advancedConfigDiffs: function() {
+    let nodes = this.get('comparedNodes') || [];
+    let baseline = nodes[0];
+
+    return nodes.slice(1).map(function(node) {
+      let lines = lineDiff((baseline.get('advancedConfig') || []).join('\n'),
+        (node.get('advancedConfig') || []).join('\n'));
+
+      return {
+        nodeId: node.get('id'),
+        hasChanges: lines.some(function(line) {
+          return line.type !== 'same';
+        }),
+        lines: lines
+      };
+    });
+  }.property('comparedNodes.@each.advancedConfig'),
+
+  /**
+   * The first compared node, which the others are diffed against.
+   * @property baselineNode
+   * @type Node
+   */
+  baselineNode: function() {
+    return (this.get('comparedNodes') || [])[0];
+  }.property('comparedNodes'),
+
+  /**
+   * `riak.conf` settings that differ between the compared nodes, or that are
+   * missing from some of them. One row per setting, one cell per node.
+   *
+   * @property configRows
+   * @type Array<Hash>
+   * @example
+   *     [ { key: 'ring_size', cells: [ { value: '64', isMissing: false }, ... ] } ]
+   */
+  configRows: function() {
+    let nodes = this.get('comparedNodes') || [];
+    let keys = {};
+
+    nodes.forEach(function(node) {
+      Object.keys(node.get('config') || {}).forEach(function(key) {
+        keys[key] = true;
+      });
+    });
+
+    return Object.keys(keys).sort().map(function(key) {
+      let cells = nodes.map(function(node) {
+        let config = node.get('config') || {};
+        let isMissing = !config.hasOwnProperty(key);
+
+        return {value: isMissing ? null : String(config[key]), isMissing: isMissing};
+      });
+      return {key: key, cells: cells};
+    }).filter(function(row) {
+      return row.cells.some(function(cell) {
+        return cell.isMissing || cell.value !== row.cells[0].value;
+      });
+    });
+  }.property('comparedNodes.@each.config'),
+
+  /**
+   * Nodes currently selected by the user.
+   * @property selectedNodes
+   * @type Array<Node>
+   */
+  selectedNodes: function() {
+    return (this.get('nodeChoices') || []).filterBy('selected').mapBy('node');
+  }.property('nodeChoices.@each.selected'),
+
+  /**
+   * Loads the configuration of the selected nodes, and compares them.
+   *
+   * @method compareSelected
+   */
+  compareSelected() {
+    let self = this;
+    let explorer = this.get('explorer');
+    let nodes = this.get('selectedNodes');
+
+    if (nodes.length < 2) {
+      this.set('errorMessage', 'Please select at least two nodes to compare.');
+      return;
+    }
+
+    this.setProperties({errorMessage: null, isLoading: true});
+    Ember.RSVP.allSettled(nodes.map(function(node) {
+      return explorer.getNodeConfig(node);
+    })).then(function(results) {
+      let failed = nodes.filter(function(node, i) {
+        return results[i].state === 'rejected';
+      });
+
+      if (failed.length) {
+        self.set('errorMessage', 'Could not load the configuration of: ' +
+          failed.mapBy('id').join(', '));
+      }
+      self.set('comparedNodes', nodes);
+    }).finally(function() {
+      self.set('isLoading', false);
+    });
+  },
+
+  /**
+   * Builds the node selection list from the cluster's nodes.
+   * Called by ClusterConfigDiffRoute.
+   *
+   * @method resetSelection
+   */
+  resetSelection() {
+    let nodes = this.get('model.nodes') || [];
+
+    this.setProperties({
+      nodeChoices: nodes.map(function(node) {
+        return Ember.Object.create({node: node, selected: false});
+      }),
+      comparedNodes: null,
+      errorMessage: null
+    });
+  },
+
+  actions: {
+    compareNodes() {
+      this.compareSelected();
+    }
+  }
+});
+
+export default ClusterConfigDiffController;
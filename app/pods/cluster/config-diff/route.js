@@ -0,0 +1,14 @@
+import ClusterRoute from '../route';
+
+export default ClusterRoute.extend({
+  afterModel: function(model, transition) {
+    this._super(model, transition);
+    // Make sure the node list is loaded before building the node picker
+    return this.explorer.getNodesForCluster(model, this.store);
+  },
+
+  setupController: function(controller, model) {
+    this._super(controller, model);
+    controller.resetSelection();
+  }
+});
@@ -0,0 +1,19 @@
+import Ember from 'ember';
+
+/**
+ * Handles the Cluster Query screen (search indexes and MapReduce).
+ *
+ * @class ClusterQueryController
+ * @extends Ember.Controller
+ */
+var ClusterQueryController = Ember.Controller.extend({
+  /**
+   * Error message to display to the user, if a search index could not be
+   * deleted. Set by +ClusterQueryRoute+.
+   * @property errorMessage
+   * @type String
+   */
+  errorMessage: null
+});
+
+export default ClusterQueryController;
@@ -1,3 +1,21 @@
 import ClusterRoute from '../route';
 
-export default ClusterRoute.extend({});
+export default ClusterRoute.extend({
+  setupController: function(controller, model) {
+    this._super(controller, model);
+    controller.set('errorMessage', null);
+  },
+
+  actions: {
+    deleteIndex: function(index) {
+      let controller = this.controller;
+
+      controller.set('errorMessage', null);
+      this.explorer.deleteSearchIndex(index)
+        .catch(function(jqXHR) {
+          controller.set('errorMessage',
+            jqXHR.responseText || 'Something went wrong, index was not deleted.');
+        });
+    }
+  }
+});
@@ -0,0 +1,186 @@
+import Ember from 'ember';
+import downloadFile from '../../../utils/download-file';
+import statOutliers from '../../../utils/stat-outliers';
+
+/**
+ * Formats a stat value for display (or CSV export).
+ *
+ * @method formatStatValue
+ * @param value {*}
+ * @return {String}
+ * @private
+ */
+function formatStatValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Escapes a single CSV field (RFC 4180).
+ *
+ * @method csvField
+ * @param value {String}
+ * @return {String}
+ * @private
+ */
+function csvField(value) {
+  if (/[",\r\n]/.test(value)) {
+    return '"' + value.replace(/"/g, '""') + '"';
+  }
+  return value;
+}
+
+var ClusterStatsController = Ember.Controller.extend({
+  explorer: Ember.inject.service('explorer'),
+
+  /**
+   * Filter on the stat names (case-insensitive substring match).
+   * @property filter
+   * @type String
+   */
+  filter: '',
+
+  /**
+   * Are the node stats being loaded?
+   * @property isLoading
+   * @type Boolean
+   * @default false
+   */
+  isLoading: false,
+
+  /**
+   * Nodes in the cluster (with their stats loaded).
+   * @property nodes
+   * @type Array<Node>
+   */
+  nodes: null,
+
+  /**
+   * Only display stats whose values differ between nodes?
+   * @property onlyDiffering
+   * @type Boolean
+   * @default false
+   */
+  onlyDiffering: false,
+
+  /**
+   * Only display stats with at least one outlier?
+   * @property onlyOutliers
+   * @type Boolean
+   * @default false
+   */
+  onlyOutliers: false,
+
+  /**
+   * One row per stat, one cell per node.
+   *
+   * @property allRows
+   * @type Array<Hash>
+   * @example
+   *     [ { name: 'node_gets', differs: true, hasOutlier: false,
+   *         cells: [ { value: '12', isOutlier: false }, ... ] }, ... ]
+   */
+  allRows: function() {
+    let nodes = this.get('nodes') || [];
+    let names = {};
+
+    nodes.forEach(function(node) {
+      Object.keys(node.get('stats') || {}).forEach(function(name) {
+        names[name] = true;
+      });
+    });
+
+    return Object.keys(names).sort().map(function(name) {
+      let values = nodes.map(function(node) {
+        return (node.get('stats') || {})[name];
+      });
+      let outliers = statOutliers(values);
+      let cells = values.map(function(value, i) {
+        return {value: formatStatValue(value), isOutlier: outliers[i]};
+      });
+
+      return {
+        name: name,
+        cells: cells,
+        differs: cells.some(function(cell) {
+          return cell.value !== cells[0].value;
+        }),
+        hasOutlier: outliers.indexOf(true) >= 0
+      };
+    });
+  }.property('nodes.@each.stats'),
+
+  /**
+   * Rows left after applying the filters.
+   *
+   * @property rows
+   * @type Array<Hash>
+   */
+  rows: function() {
+    let filter = (this.get('filter') || '').trim().toLowerCase();
+    let onlyDiffering = this.get('onlyDiffering');
+    let onlyOutliers = this.get('onlyOutliers');
+
+    return this.get('allRows').filter(function(row) {
+      if (filter && row.name.toLowerCase().indexOf(filter) < 0) {
+        return false;
+      }
+      if (onlyDiffering && !row.differs) {
+        return false;
+      }
+      return !onlyOutliers || row.hasOutlier;
+    });
+  }.property('allRows', 'filter', 'onlyDiffering', 'onlyOutliers'),
+
+  /**
+   * Returns the currently displayed stat matrix as CSV.
+   *
+   * @method toCsv
+   * @return {String}
+   */
+  toCsv() {
+    let header = ['stat'].concat(this.get('nodes').mapBy('id'));
+    let lines = [header.map(csvField).join(',')];
+
+    this.get('rows').forEach(function(row) {
+      let fields = [row.name].concat(row.cells.mapBy('value'));
+      lines.push(fields.map(csvField).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+  },
+
+  /**
+   * Loads the stats of every node in the cluster.
+   *
+   * @method loadStats
+   */
+  loadStats() {
+    let self = this;
+
+    this.set('isLoading', true);
+    this.get('explorer').getNodeStatsForCluster(this.get('model'), this.store)
+      .then(function(nodes) {
+        self.set('nodes', nodes);
+      })
+      .finally(function() {
+        self.set('isLoading', false);
+      });
+  },
+
+  actions: {
+    exportCsv() {
+      downloadFile(this.toCsv(), `${this.get('model.id')}-node-stats.csv`, 'text/csv');
+    },
+
+    refreshStats() {
+      this.loadStats();
+    }
+  }
+});
+
+export default ClusterStatsController;
@@ -0,0 +1,8 @@
+import ClusterRoute from '../route';
+
+export default ClusterRoute.extend({
+  setupController: function(controller, model) {
+    this._super(controller, model);
+    controller.loadStats();
+  }
+});
@@ -0,0 +1,244 @@
+import Ember from 'ember';
+
+/**
+ * Statistics plotted by default in the live Node Statistics view.
+ * @property DEFAULT_CHARTED_STATS
+ * @type Array<String>
+ * @private
+ */
+const DEFAULT_CHARTED_STATS = [
+  'node_gets',
+  'node_puts',
+  'node_get_fsm_time_95',
+  'node_get_fsm_time_99',
+  'node_put_fsm_time_95',
+  'node_put_fsm_time_99',
+  'memory_total',
+  'vnode_gets',
+  'vnode_puts'
+];
+
+var NodeController = Ember.Controller.extend({
+  explorer: Ember.inject.service('explorer'),
+
+  /**
+   * Names of the statistics currently being charted.
+   * @property chartedStats
+   * @type Array<String>
+   */
+  chartedStats: null,
+
+  /**
+   * Rolling, in-memory history of stats samples, oldest first.
+   * @property history
+   * @type Array<Hash>
+   * @example
+   *     [ { time: Date, stats: { node_gets: 12, ... } }, ... ]
+   */
+  history: null,
+
+  /**
+   * Maximum number of samples kept in the history.
+   * @property historySize
+   * @type Number
+   * @default 60
+   */
+  historySize: 60,
+
+  /**
+   * Is the live stats polling mode on?
+   * @property isPolling
+   * @type Boolean
+   * @default false
+   */
+  isPolling: false,
+
+  /**
+   * Available polling intervals, in seconds.
+   * @property pollIntervals
+   * @type Array<Number>
+   */
+  pollIntervals: [1, 5, 10, 30, 60],
+
+  /**
+   * Polling interval, in seconds.
+   * @property pollInterval
+   * @type Number
+   * @default 5
+   */
+  pollInterval: 5,
+
+  /**
+   * Handle of the pending `Ember.run.later` poll (used to cancel it).
+   * @property pollTimer
+   * @type Object
+   * @private
+   */
+  pollTimer: null,
+
+  /**
+   * Incremented whenever polling starts or stops, so that responses to
+   * requests made by an earlier poll chain (for example, before the user
+   * restarted polling, or for a node they navigated away from) are ignored.
+   * @property pollGeneration
+   * @type Number
+   * @default 0
+   * @private
+   */
+  pollGeneration: 0,
+
+  /**
+   * Chart series for each of the charted stats.
+   *
+   * @property charts
+   * @type Array<Hash>
+   * @example
+   *     [ { name: 'node_gets', values: [ 10, 12, 9 ] }, ... ]
+   */
+  charts: function() {
+    let history = this.get('history') || [];
+
+    return (this.get('chartedStats') || []).map(function(name) {
+      return {
+        name: name,
+        values: history.map(function(sample) {
+          return sample.stats[name];
+        })
+      };
+    });
+  }.property('chartedStats.[]', 'history.[]'),
+
+  /**
+   * Names of all the numeric stats reported by the node that are not
+   * already being charted (options for the stat picker).
+   *
+   * @property chartableStats
+   * @type Array<String>
+   */
+  chartableStats: function() {
+    let stats = this.get('model.stats') || {};
+    let charted = this.get('chartedStats') || [];
+
+    return Object.keys(stats).filter(function(name) {
+      return typeof stats[name] === 'number' && charted.indexOf(name) < 0;
+    }).sort();
+  }.property('model.stats', 'chartedStats.[]'),
+
+  /**
+   * Time of the most recent sample.
+   * @property lastSampled
+   * @type Date
+   */
+  lastSampled: function() {
+    let last = this.get('history.lastObject');
+    return last ? last.time : null;
+  }.property('history.[]'),
+
+  /**
+   * Fetches the node's stats, appends them to the history and schedules the
+   * next poll (while polling is on). Responses that arrive after polling was
+   * stopped (or restarted) are discarded.
+   *
+   * @method pollStats
+   * @return {Ember.RSVP.Promise}
+   */
+  pollStats() {
+    let self = this;
+    let node = this.get('model');
+    let generation = this.get('pollGeneration');
+    let isCurrent = function() {
+      return generation === self.get('pollGeneration') && !self.get('isDestroyed');
+    };
+
+    return this.get('explorer').getNodeStats(node)
+      .then(function() {
+        if (isCurrent()) {
+          self.recordSample(node.get('stats'));
+        }
+      })
+      .finally(function() {
+        if (isCurrent() && self.get('isPolling')) {
+          self.set('pollTimer', Ember.run.later(self, self.pollStats,
+            self.get('pollInterval') * 1000));
+        }
+      });
+  },
+
+  /**
+   * Appends a stats sample to the rolling history, discarding the oldest
+   * samples once `historySize` is exceeded.
+   *
+   * @method recordSample
+   * @param stats {Hash}
+   */
+  recordSample(stats) {
+    let history = this.get('history');
+
+    history.pushObject({time: new Date(), stats: stats});
+    if (history.get('length') > this.get('historySize')) {
+      history.removeAt(0, history.get('length') - this.get('historySize'));
+    }
+  },
+
+  /**
+   * Resets the history and the charted stats. Called by NodeRoute.
+   *
+   * @method resetStats
+   */
+  resetStats() {
+    this.stopPolling();
+    this.setProperties({
+      chartedStats: DEFAULT_CHARTED_STATS.slice(),
+      history: Ember.A()
+    });
+    if (this.get('model.stats')) {
+      this.recordSample(this.get('model.stats'));
+    }
+  },
+
+  /**
+   * @method startPolling
+   */
+  startPolling() {
+    this.incrementProperty('pollGeneration');
+    this.set('isPolling', true);
+    this.pollStats();
+  },
+
+  /**
+   * @method stopPolling
+   */
+  stopPolling() {
+    Ember.run.cancel(this.get('pollTimer'));
+    this.incrementProperty('pollGeneration');
+    this.setProperties({isPolling: false, pollTimer: null});
+  },
+
+  actions: {
+    addChartedStat(name) {
+      this.get('chartedStats').pushObject(name);
+    },
+
+    clearHistory() {
+      this.set('history', Ember.A());
+    },
+
+    removeChartedStat(name) {
+      this.get('chartedStats').removeObject(name);
+    },
+
+    selectPollInterval(interval) {
+      this.set('pollInterval', interval);
+    },
+
+    togglePolling() {
+      if (this.get('isPolling')) {
+        this.stopPolling();
+      } else {
+        this.startPolling();
+      }
+    }
+  }
+});
+
+export default NodeController;
@@ -23,5 +23,15 @@ export default Ember.Route.extend(SideBarSelect, {
 
   afterModel: function(model, transition) {
     this.setSidebarCluster(model.get('cluster'));
+  },
+
+  setupController: function(controller, model) {
+    this._super(controller, model);
+    controller.resetStats();
+  },
+
+  resetController: function(controller) {
+    // Do not keep polling for stats once the user has left the page
+    controller.stopPolling();
   }
 });
@@ -1,16 +1,157 @@
 import Ember from 'ember';
+import { effectiveRequestOptions } from '../../utils/request-options';
 
 var RiakObjectController = Ember.Controller.extend({
   explorer: Ember.inject.service('explorer'),
+  bucketController: Ember.inject.controller('bucket'),
+
+  /**
+   * Quorum and write options set in the advanced options panel, used for
+   * the requests made from this page instead of the bucket's defaults.
+   * Reset by +RiakObjectRoute.setupController+.
+   * @see requestOptionsQuery
+   * @property requestOptions
+   * @type Hash
+   */
+  requestOptions: null,
+
+  /**
+   * Operations performed from this page (determines which options are
+   * shown in the advanced options panel).
+   * @property requestOperations
+   * @type Array<String>
+   */
+  requestOperations: ['fetch', 'delete'],
+
+  /**
+   * Operation and effective option values of the last request made from
+   * this page, displayed next to its result.
+   * @property lastRequest
+   * @type Hash
+   */
+  lastRequest: null,
+
+  /**
+   * Records the option values that were in effect for a request.
+   *
+   * @method recordRequest
+   * @param operation {String} `'fetch'`, `'update'` or `'delete'`
+   */
+  recordRequest: function(operation) {
+    this.set('lastRequest', {
+      operation: operation,
+      values: effectiveRequestOptions(operation,
+        this.get('model.bucket.props.quorum'), this.get('requestOptions'))
+    });
+  },
 
   actions: {
+    /**
+     * Deletes the object, then returns to the bucket's Key List view, where
+     * the option values used for the Delete request are displayed.
+     *
+     * @event deleteObject
+     * @param object {RiakObject}
+     */
     deleteObject: function(object) {
-      this.get('explorer').deleteObject(object);
-      this.get('explorer').markDeletedKey(object);
+      let self = this;
+      let explorer = this.get('explorer');
+
+      this.set('errorMessage', null);
+      explorer.deleteObject(object, this.get('requestOptions'))
+        .then(function(status) {
+          if (!status) {
+            object.set('markedDeleted', false);
+            self.set('errorMessage', 'Something went wrong, the object was not deleted.');
+            return;
+          }
+          explorer.markDeletedKey(object);
+          self.recordRequest('delete');
+          let options = self.get('lastRequest').values.map(function(option) {
+            return `${option.name}=${option.value}`;
+          });
+          return self.transitionToRoute('bucket', object.get('bucket')).then(function() {
+            self.get('bucketController').set('bulkMessage',
+              `Deleted ${object.get('key')} (${options.join(', ')}).`);
+          });
+        });
+    },
+
+    /**
+     * Fetches the object again, with the options set in the advanced
+     * options panel.
+     *
+     * @event fetchObject
+     */
+    fetchObject: function() {
+      let self = this;
+      let object = this.get('model');
+
+      this.set('errorMessage', null);
+      this.get('explorer').getRiakObject(object.get('bucket'), object.get('key'),
+        this.store, this.get('requestOptions'))
+        .then(function(fetchedObject) {
+          self.set('model', fetchedObject);
+          self.recordRequest('fetch');
+        }, function(jqXHR) {
+          self.set('errorMessage', (jqXHR && jqXHR.responseText) ||
+            'Something went wrong, the object was not fetched.');
+        });
+    },
+
+    /**
+     * Records the option values that were in effect for a request made by
+     * a component on this page.
+     *
+     * @event recordRequest
+     * @param operation {String}
+     */
+    recordRequest: function(operation) {
+      this.recordRequest(operation);
+    },
+
+    /**
+     * Restores the object to a previous value from its edit history.
+     *
+     * @event restoreSnapshot
+     * @param snapshot {Hash}
+     */
+    restoreSnapshot: function(snapshot) {
+      let self = this;
+      let explorer = this.get('explorer');
+      let object = this.get('model');
+
+      this.set('errorMessage', null);
+      explorer.restoreObjectSnapshot(object, snapshot, this.store)
+        .then(function() {
+          return explorer.getRiakObject(object.get('bucket'),
+            object.get('key'), self.store);
+        })
+        .then(function(restoredObject) {
+          self.set('model', restoredObject);
+        }, function(jqXHR) {
+          self.set('errorMessage', (jqXHR && jqXHR.responseText) ||
+            'Something went wrong, the previous value was not restored.');
+        });
+    },
+
+    resolveSiblings: function(object, sibling, contents) {
+      let self = this;
+      let explorer = this.get('explorer');
 
-      // Once the delete has been issued,
-      // return to the bucket's Key List view.
-      this.transitionToRoute('bucket', object.get('bucket'));
+      this.set('errorMessage', null);
+      explorer.resolveSiblings(object, sibling, contents)
+        .then(function() {
+          // Reload the object, now that the siblings have been resolved
+          return explorer.getRiakObject(object.get('bucket'),
+            object.get('key'), self.store);
+        })
+        .then(function(resolvedObject) {
+          self.set('model', resolvedObject);
+        }, function(jqXHR) {
+          self.set('errorMessage', (jqXHR && jqXHR.responseText) ||
+            'Something went wrong, siblings were not resolved.');
+        });
     }
   }
 });
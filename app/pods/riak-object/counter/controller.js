@@ -2,14 +2,22 @@ import Ember from 'ember';
 import RiakObjectController from "../controller";
 
 var RiakObjectCounterController = RiakObjectController.extend({
+  /**
+   * @property requestOperations
+   * @type Array<String>
+   */
+  requestOperations: ['fetch', 'update', 'delete'],
+
   actions: {
     incrementCounter: function(object) {
-      this.get('explorer').updateDataType(object, 'increment');
+      this.get('explorer').updateDataType(object, 'increment', null,
+        this.get('requestOptions')).then(this.recordRequest.bind(this, 'update'));
 
       object.increment(object.get('incrementBy'));
     },
     decrementCounter: function(object) {
-      this.get('explorer').updateDataType(object, 'decrement');
+      this.get('explorer').updateDataType(object, 'decrement', null,
+        this.get('requestOptions')).then(this.recordRequest.bind(this, 'update'));
 
       object.decrement(object.get('decrementBy'));
     },
@@ -24,7 +32,7 @@ var RiakObjectCounterController = RiakObjectController.extend({
     refreshModel: function(object) {
       var controller = this;
       controller.get('explorer').getRiakObject(object.get('bucket'),
-        object.get('key'), controller.store)
+        object.get('key'), controller.store, controller.get('requestOptions'))
         .then(function(object) {
           controller.set('model', object);
         });
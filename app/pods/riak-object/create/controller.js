@@ -0,0 +1,368 @@
+import Ember from 'ember';
+
+/**
+ * A Map field entered on the 'New Data Type' form, before it is turned into
+ * a `RiakObjectMapField`.
+ *
+ * @class NewMapFieldEntry
+ * @extends Ember.Object
+ * @private
+ */
+var NewMapFieldEntry = Ember.Object.extend({
+  name: '',
+  fieldType: 'register',
+  value: '',
+
+  isFlag: Ember.computed.equal('fieldType', 'flag')
+});
+
+/**
+ * Handles the 'New Object' form for plain Riak objects, and the
+ * 'New Data Type' form for Counter, Set and Map buckets.
+ *
+ * @class RiakObjectCreateController
+ * @extends Ember.Controller
+ */
+var RiakObjectCreateController = Ember.Controller.extend({
+  explorer: Ember.inject.service('explorer'),
+
+  /**
+   * Key of the new object. When left blank, Riak generates one.
+   * @property key
+   * @type String
+   */
+  key: '',
+
+  /**
+   * @property contentType
+   * @type String
+   * @default 'application/json'
+   */
+  contentType: 'application/json',
+
+  /**
+   * Object value/payload
+   * @property contents
+   * @type String
+   */
+  contents: '',
+
+  /**
+   * User-defined custom headers, as a list of `{name, value}` pairs.
+   * (The `x-riak-meta-` prefix is added on save.)
+   * @property customHeaders
+   * @type Array<Hash>
+   */
+  customHeaders: [],
+
+  /**
+   * Secondary Indexes, as a list of `{name, value}` pairs.
+   * Index names must end in `_bin` or `_int`.
+   * (The `x-riak-index-` prefix is added on save.)
+   * @property indexes
+   * @type Array<Hash>
+   */
+  indexes: [],
+
+  /**
+   * Initial value of a new Counter.
+   * @property counterValue
+   * @type String
+   * @default '0'
+   */
+  counterValue: '0',
+
+  /**
+   * Elements of a new Set, one per line.
+   * @property setElements
+   * @type String
+   */
+  setElements: '',
+
+  /**
+   * Fields of a new Map. Set field values are entered as comma-separated
+   * elements.
+   * @property mapFields
+   * @type Array<NewMapFieldEntry>
+   */
+  mapFields: [],
+
+  /**
+   * Field types that can be added to a new Map.
+   * @property mapFieldTypes
+   * @type Array<String>
+   */
+  mapFieldTypes: ['register', 'flag', 'counter', 'set'],
+
+  /**
+   * Error message to display to the user, if the object could not be created.
+   * @property errorMessage
+   * @type String
+   */
+  errorMessage: null,
+
+  /**
+   * Is a create request in progress?
+   * @property isSaving
+   * @type Boolean
+   * @default false
+   */
+  isSaving: false,
+
+  /**
+   * Converts a list of `{name, value}` pairs entered by the user into
+   * a list of headers (`{key, value}`), the way `ObjectMetadata` stores them.
+   * Rows with a blank name are skipped.
+   *
+   * @method headersFor
+   * @param prefix {String} Header prefix, such as `x-riak-meta-`
+   * @param pairs {Array<Hash>}
+   * @return {Array<Hash>}
+   */
+  headersFor: function(prefix, pairs) {
+    return pairs.filter(function(pair) {
+      return !Ember.isBlank(pair.name);
+    }).map(function(pair) {
+      return {
+        key: prefix + pair.name.trim().toLowerCase(),
+        value: pair.value
+      };
+    });
+  },
+
+  /**
+   * Converts the Map fields entered by the user into (normalized)
+   * `RiakObjectMapField` instances. Rows with a blank name are skipped.
+   *
+   * @method mapFieldsFor
+   * @param entries {Array<NewMapFieldEntry>}
+   * @return {Array<RiakObjectMapField>}
+   */
+  mapFieldsFor: function(entries) {
+    let store = this.get('store');
+
+    return entries.filter(function(entry) {
+      return !Ember.isBlank(entry.get('name'));
+    }).map(function(entry) {
+      let value = entry.get('value');
+
+      switch (entry.get('fieldType')) {
+        case 'flag':
+          value = !!value;
+          break;
+        case 'counter':
+          value = parseInt(value, 10);
+          break;
+        case 'set':
+          value = (value || '').split(',').map(function(element) {
+            return element.trim();
+          }).filter(function(element) {
+            return element.length > 0;
+          });
+          break;
+      }
+
+      let field = store.createRecord('riak-object.map-field', {
+        fieldType: entry.get('fieldType'),
+        name: entry.get('name').trim(),
+        value: value
+      });
+      field.normalizeName();
+      return field;
+    });
+  },
+
+  /**
+   * Returns the initial value of the new Data Type object, depending on the
+   * bucket's data type (see `ExplorerService.dataTypeCreateOperation`),
+   * or throws an `Ember.Error` if the form contents are invalid.
+   *
+   * @method dataTypeValue
+   * @param bucket {Bucket}
+   * @return {Number|Array<String>|Array<RiakObjectMapField>}
+   */
+  dataTypeValue: function(bucket) {
+    let props = bucket.get('props');
+    let value;
+
+    if (props.get('isCounter')) {
+      value = parseInt(this.get('counterValue'), 10);
+      if (isNaN(value)) {
+        throw new Ember.Error('Counter value must be an integer.');
+      }
+    } else if (props.get('isSet')) {
+      value = this.get('setElements').split('\n').map(function(element) {
+        return element.trim();
+      }).filter(function(element) {
+        return element.length > 0;
+      });
+      if (Ember.isEmpty(value)) {
+        throw new Ember.Error('A new Set must have at least one element.');
+      }
+    } else if (props.get('isMap')) {
+      value = this.mapFieldsFor(this.get('mapFields'));
+      if (Ember.isEmpty(value)) {
+        throw new Ember.Error('A new Map must have at least one field.');
+      }
+      value.forEach(function(field) {
+        if (field.get('fieldType') === 'counter' && isNaN(field.get('value'))) {
+          throw new Ember.Error(`Counter field '${field.get('name')}' must be an integer.`);
+        }
+      });
+    }
+    return value;
+  },
+
+  /**
+   * Clears out the form. Called by +RiakObjectCreateRoute.setupController+.
+   *
+   * @method resetForm
+   */
+  resetForm: function() {
+    this.setProperties({
+      key: '',
+      contentType: 'application/json',
+      contents: '',
+      customHeaders: [],
+      indexes: [],
+      counterValue: '0',
+      setElements: '',
+      mapFields: [],
+      errorMessage: null,
+      isSaving: false
+    });
+  },
+
+  /**
+   * Returns an error message if the form contents are invalid,
+   * `null` otherwise.
+   *
+   * @method validationError
+   * @return {String|Null}
+   */
+  validationError: function() {
+    let invalidIndex = this.get('indexes').find(function(index) {
+      return !Ember.isBlank(index.name) &&
+        !/_(bin|int)$/.test(index.name.trim());
+    });
+
+    if (Ember.isBlank(this.get('contentType'))) {
+      return 'Content type is required.';
+    }
+    if (invalidIndex) {
+      return `Secondary index name '${invalidIndex.name}' must end in '_bin' or '_int'.`;
+    }
+    return null;
+  },
+
+  actions: {
+    addCustomHeader: function() {
+      this.get('customHeaders').pushObject({name: '', value: ''});
+    },
+
+    addIndex: function() {
+      this.get('indexes').pushObject({name: '', value: ''});
+    },
+
+    addMapField: function() {
+      this.get('mapFields').pushObject(NewMapFieldEntry.create());
+    },
+
+    removeCustomHeader: function(header) {
+      this.get('customHeaders').removeObject(header);
+    },
+
+    removeIndex: function(index) {
+      this.get('indexes').removeObject(index);
+    },
+
+    removeMapField: function(field) {
+      this.get('mapFields').removeObject(field);
+    },
+
+    selectMapFieldType: function(field, fieldType) {
+      field.setProperties({fieldType: fieldType, value: ''});
+    },
+
+    createDataType: function(bucket) {
+      let self = this;
+      let value;
+
+      try {
+        value = this.dataTypeValue(bucket);
+      } catch (error) {
+        this.set('errorMessage', error.message);
+        return;
+      }
+
+      let object = this.get('store').createRecord(bucket.get('objectModelName'), {
+        key: this.get('key').trim(),
+        bucket: bucket,
+        bucketType: bucket.get('bucketType'),
+        cluster: bucket.get('cluster')
+      });
+      let explorer = this.get('explorer');
+      let operation = explorer.dataTypeCreateOperation(bucket, value);
+
+      this.setProperties({errorMessage: null, isSaving: true});
+
+      explorer.createDataType(object, operation)
+        .then(function(newObject) {
+          self.set('isSaving', false);
+          // Not loaded, so that the View page fetches it from Riak
+          self.transitionToRoute(bucket.get('objectModelName'), newObject);
+        }, function(error) {
+          self.setProperties({
+            errorMessage: (error && error.keyExists) ? error.message :
+              'Something went wrong, data type was not created.',
+            isSaving: false
+          });
+        });
+    },
+
+    createObject: function(bucket) {
+      let self = this;
+      let store = this.get('store');
+      let error = this.validationError();
+
+      if (error) {
+        this.set('errorMessage', error);
+        return;
+      }
+
+      let metadata = store.createRecord('object-metadata', {
+        headers: {
+          custom: this.headersFor('x-riak-meta-', this.get('customHeaders')),
+          indexes: this.headersFor('x-riak-index-', this.get('indexes')),
+          links: [],
+          other: {'content-type': this.get('contentType').trim()}
+        }
+      });
+      let object = store.createRecord(bucket.get('objectModelName'), {
+        key: this.get('key').trim(),
+        bucket: bucket,
+        bucketType: bucket.get('bucketType'),
+        cluster: bucket.get('cluster'),
+        metadata: metadata,
+        contents: this.get('contents')
+      });
+
+      this.setProperties({errorMessage: null, isSaving: true});
+
+      this.get('explorer').createObject(object)
+        .then(function(newObject) {
+          self.set('isSaving', false);
+          // Not loaded, so that the View Object page fetches it from Riak
+          self.transitionToRoute('riak-object', newObject);
+        }, function(jqXHR) {
+          let message = 'Something went wrong, object was not created.';
+
+          if (jqXHR.status === 412) {
+            message = `An object with the key '${object.get('key')}' already exists.`;
+          }
+          self.setProperties({errorMessage: message, isSaving: false});
+        });
+    }
+  }
+});
+export default RiakObjectCreateController;
@@ -1,13 +1,177 @@
 import Ember from 'ember';
+import { effectiveRequestOptions } from '../../../utils/request-options';
 
 var RiakObjectEditController = Ember.Controller.extend({
   explorer: Ember.inject.service('explorer'),
+  objectController: Ember.inject.controller('riak-object'),
+
+  /**
+   * Snapshot of the object's value before editing, added to its local
+   * edit history when the edited value is saved.
+   * Also the "original" value of the three-way view, if the object was
+   * changed on the server in the meantime.
+   * Set by +RiakObjectEditRoute.setupController+.
+   * @see ExplorerService.objectSnapshot
+   * @property previousSnapshot
+   * @type Hash
+   */
+  previousSnapshot: null,
+
+  /**
+   * Current server-side version of the object, when it was changed on the
+   * server while being edited (a stale write was detected on save).
+   * @see ExplorerService.checkForConcurrentChange
+   * @property serverObject
+   * @type RiakObject
+   */
+  serverObject: null,
+
+  /**
+   * Error message to display to the user, if the save failed.
+   * @property errorMessage
+   * @type String
+   */
+  errorMessage: null,
+
+  /**
+   * Write options set in the advanced options panel, used for the save
+   * instead of the bucket's defaults.
+   * @see requestOptionsQuery
+   * @property requestOptions
+   * @type Hash
+   */
+  requestOptions: null,
+
+  /**
+   * @property requestOperations
+   * @type Array<String>
+   */
+  requestOperations: ['store'],
+
+  /**
+   * Is a save in progress?
+   * @property isSaving
+   * @type Boolean
+   * @default false
+   */
+  isSaving: false,
+
+  /**
+   * Saves the edited object (recording the value it replaced in the edit
+   * history), and returns to the object view, where the option values used
+   * for the Store request are displayed.
+   * If the server reports that the object changed since it was loaded
+   * (`412 Precondition Failed`), checks it again (once) and displays the
+   * three-way view instead.
+   *
+   * @method writeObject
+   * @param object {RiakObject}
+   * @param [isRetry] {Boolean} Is this the write that follows a 412?
+   * @return {Ember.RSVP.Promise}
+   */
+  writeObject: function(object, isRetry) {
+    let self = this;
+    let explorer = this.get('explorer');
+
+    return explorer.putObject(object, this.get('requestOptions')).then(function() {
+      let lastRequest = {
+        operation: 'store',
+        values: effectiveRequestOptions('store',
+          object.get('bucket.props.quorum'), self.get('requestOptions'))
+      };
+
+      if (self.get('previousSnapshot')) {
+        explorer.recordObjectHistory(object, self.get('previousSnapshot'));
+      }
+      self.setProperties({isSaving: false, serverObject: null});
+      object.set('isLoaded', false);
+      return self.transitionToRoute('riak-object', object).then(function() {
+        // Set once the object view has been set up (which resets it)
+        self.get('objectController').set('lastRequest', lastRequest);
+      });
+    }, function(jqXHR) {
+      if (jqXHR.status === 412 && !isRetry) {
+        return self.detectConcurrentChange(object, true);
+      }
+      self.setProperties({
+        isSaving: false,
+        errorMessage: (jqXHR.status === 412) ?
+          'The object is still being changed on the server, it was not saved. Please try again.' :
+          (jqXHR.responseText || 'Something went wrong, the object was not saved.')
+      });
+    });
+  },
+
+  /**
+   * Checks whether the object was changed on the server since it was
+   * loaded. If so, displays the three-way view; otherwise, saves it.
+   *
+   * @method detectConcurrentChange
+   * @param object {RiakObject}
+   * @param [isRetry] {Boolean} Is this the check that follows a 412?
+   *     (The save is then not retried again.)
+   * @return {Ember.RSVP.Promise}
+   */
+  detectConcurrentChange: function(object, isRetry) {
+    let self = this;
+
+    return this.get('explorer').checkForConcurrentChange(object, this.store)
+      .then(function(serverObject) {
+        if (serverObject) {
+          self.setProperties({isSaving: false, serverObject: serverObject});
+          return;
+        }
+        return self.writeObject(object, isRetry);
+      }, function() {
+        self.setProperties({
+          isSaving: false,
+          errorMessage: 'Could not check the object for changes on the server, it was not saved.'
+        });
+      });
+  },
+
+  /**
+   * Supersedes the current server-side version, and saves the object.
+   * That version is the one recorded in the edit history, so that the
+   * overwritten changes can be recovered.
+   *
+   * @method overwriteServerVersion
+   * @param object {RiakObject}
+   * @return {Ember.RSVP.Promise}
+   */
+  overwriteServerVersion: function(object) {
+    let explorer = this.get('explorer');
+    let serverObject = this.get('serverObject');
+
+    explorer.adoptServerVersion(object, serverObject);
+    this.setProperties({
+      previousSnapshot: explorer.objectSnapshot(serverObject),
+      isSaving: true,
+      errorMessage: null
+    });
+    return this.detectConcurrentChange(object);
+  },
 
   actions: {
-    saveObject: function(object) {
-      this.get('explorer').saveObject(object);
+    cancelSave: function(object) {
+      this.set('serverObject', null);
+      // Discard the edits (the object is reloaded by the riak-object route)
       object.set('isLoaded', false);
       this.transitionToRoute('riak-object', object);
+    },
+
+    mergeWithServerVersion: function(object, mergedContents) {
+      object.set('contents', mergedContents);
+      this.overwriteServerVersion(object);
+    },
+
+    overwriteServerVersion: function(object) {
+      this.overwriteServerVersion(object);
+    },
+
+    saveObject: function(object) {
+      this.setProperties({isSaving: true, errorMessage: null});
+      this.detectConcurrentChange(object);
     }
   }
 });
@@ -15,6 +15,18 @@ var RiakObjectEditRoute = Ember.Route.extend(SideBarSelect, {
 
   afterModel: function(model, transition) {
     this.setSidebarCluster(model.get('cluster'));
+  },
+
+  setupController: function(controller, model) {
+    this._super(controller, model);
+    // Keep the value from before the edit, for the object's edit history
+    controller.setProperties({
+      previousSnapshot: model.get('isLoaded') ? this.explorer.objectSnapshot(model) : null,
+      serverObject: null,
+      errorMessage: null,
+      requestOptions: {},
+      isSaving: false
+    });
   }
 });
 
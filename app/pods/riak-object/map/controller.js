@@ -7,6 +7,12 @@ import RiakObjectController from "../controller";
  * @constructor
  */
 var RiakObjectMapController = RiakObjectController.extend({
+  /**
+   * @property requestOperations
+   * @type Array<String>
+   */
+  requestOperations: ['fetch', 'update', 'delete'],
+
   actions: {
     /**
      Polls the server to refresh the model
@@ -30,7 +36,7 @@ var RiakObjectMapController = RiakObjectController.extend({
     refreshModel: function(model) {
       var controller = this;
       controller.get('explorer').getRiakObject(model.get('bucket'),
-        model.get('key'), controller.store)
+        model.get('key'), controller.store, controller.get('requestOptions'))
         .then(function(model) {
           controller.set('model', model);
         });
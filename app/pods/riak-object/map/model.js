@@ -1,5 +1,7 @@
+import DS from 'ember-data';
 import RiakObject from "../model";
 import Ember from 'ember';
+import mapContentsToJSON from '../../../utils/map-json';
 
 /**
  * Represents a Riak Map server-side Data Type.
@@ -32,8 +34,19 @@ import Ember from 'ember';
  * @param [contents] {Object} Hashmap of map fields, by field type.
  *            Empty contents:
  *            `{ counters: {}, flags: {}, registers: {}, sets: {}, maps: {} }`
+ * @param [context] {String} Opaque causal context of the map
  */
 var RiakObjectMap = RiakObject.extend({
+  /**
+   * Causal context returned by the Data Types HTTP API when the map was
+   * fetched. Riak requires it for removing fields (and set elements).
+   * @see ExplorerService.dataTypeBatchMapOperation
+   *
+   * @property context
+   * @type String
+   */
+  context: DS.attr('string'),
+
   /**
    * Adds a field to the appropriate field collection for this Map.
    *
@@ -74,15 +87,16 @@ var RiakObjectMap = RiakObject.extend({
   }.property(),
 
   /**
-   * The JSON string representation of the Map contents.
+   * The JSON string representation of the Map contents (without the
+   * back-references of its field models).
+   * @see mapContentsToJSON
    *
    * @method contentsForDisplay
    * @return {String}
    */
-  // TODO: this is throwing "Converting circular structure to JSON" error
-  //contentsForDisplay: function() {
-  //    return JSON.stringify(this.get('contents'));
-  //}.property('contents'),
+  contentsForDisplay: function() {
+    return JSON.stringify(mapContentsToJSON(this.get('contents')), null, 2);
+  }.property('contents'),
 
   /**
    * Returns a list of Counters for this map, sorted by field name.
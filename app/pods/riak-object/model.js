@@ -1,4 +1,5 @@
 import DS from 'ember-data';
+import Ember from 'ember';
 
 /**
  * Represents a plain (non Data Type) Riak Object.
@@ -92,6 +93,16 @@ var RiakObject = DS.Model.extend({
    */
   rawUrl: DS.attr('string'),
 
+  /**
+   * Sibling versions of this object, when `allow_mult` is enabled and
+   * concurrent writes have occurred (the object was fetched with a
+   * '300 Multiple Choices' response). Each sibling has its own metadata.
+   * @see ExplorerService.createSiblings
+   * @property siblings
+   * @type Array<RiakObject>
+   */
+  siblings: DS.attr(),
+
   /**
    * @property bucketId
    * @type String
@@ -161,6 +172,15 @@ var RiakObject = DS.Model.extend({
     return displayContents;
   }.property('contents', 'metadata'),
 
+  /**
+   * Does this object have unresolved siblings?
+   * @property hasSiblings
+   * @type Boolean
+   */
+  hasSiblings: function() {
+    return !Ember.isEmpty(this.get('siblings'));
+  }.property('siblings'),
+
   /**
    * Returns true if the object has been deleted either on the server
    *    or via the Explorer app.
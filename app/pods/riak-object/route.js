@@ -30,6 +30,11 @@ var RiakObjectRoute = Ember.Route.extend(SideBarSelect, {
 
   setupController: function(controller, model) {
     this._super(controller, model);
+    controller.setProperties({
+      errorMessage: null,
+      requestOptions: {},
+      lastRequest: null
+    });
     if (!model.get('isLoaded')) {
       this.explorer.getRiakObject(model.get('bucket'),
         model.get('key'), this.store)
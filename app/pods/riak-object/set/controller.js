@@ -2,6 +2,12 @@ import Ember from 'ember';
 import RiakObjectController from "../controller";
 
 var RiakObjectSetController = RiakObjectController.extend({
+  /**
+   * @property requestOperations
+   * @type Array<String>
+   */
+  requestOperations: ['fetch', 'update', 'delete'],
+
   actions: {
     /**
      * Adds an element to the set.
@@ -10,7 +16,8 @@ var RiakObjectSetController = RiakObjectController.extend({
      * @param {String} newItem Element to be added
      */
     addElement: function(set, newItem) {
-      this.get('explorer').updateDataType(set, 'addElement', newItem);
+      this.get('explorer').updateDataType(set, 'addElement', newItem,
+        this.get('requestOptions')).then(this.recordRequest.bind(this, 'update'));
       set.addElement(newItem);
     },
 
@@ -34,7 +41,7 @@ var RiakObjectSetController = RiakObjectController.extend({
     refreshModel: function(model) {
       var controller = this;
       controller.get('explorer').getRiakObject(model.get('bucket'),
-        model.get('key'), controller.store)
+        model.get('key'), controller.store, controller.get('requestOptions'))
         .then(function(model) {
           controller.set('model', model);
         });
@@ -47,7 +54,8 @@ var RiakObjectSetController = RiakObjectController.extend({
      * @param item {String} Element to be removed
      */
     removeElement: function(set, item) {
-      this.get('explorer').updateDataType(set, 'removeElement', item);
+      this.get('explorer').updateDataType(set, 'removeElement', item,
+        this.get('requestOptions')).then(this.recordRequest.bind(this, 'update'));
       set.removeElement(item);
     }
   }
@@ -0,0 +1,19 @@
+import Ember from 'ember';
+
+/**
+ * Handles the Search Index details screen.
+ *
+ * @class SearchIndexController
+ * @extends Ember.Controller
+ */
+var SearchIndexController = Ember.Controller.extend({
+  /**
+   * Error message to display to the user, if the index could not be
+   * deleted. Set by +SearchIndexRoute+.
+   * @property errorMessage
+   * @type String
+   */
+  errorMessage: null
+});
+
+export default SearchIndexController;
@@ -0,0 +1,60 @@
+import Ember from 'ember';
+
+export default Ember.Controller.extend({
+  explorer: Ember.inject.service('explorer'),
+
+  indexName: '',
+  schemaName: '_yz_default',
+  nVal: 3,
+  errorMessage: null,
+
+  /**
+   * Names of the schemas that the new index can use.
+   * Riak's built-in `_yz_default` schema is always available.
+   *
+   * @property schemaNames
+   * @type Array<String>
+   */
+  schemaNames: function() {
+    let names = this.get('model.searchSchemas').mapBy('name');
+
+    if (names.indexOf('_yz_default') === -1) {
+      names.unshift('_yz_default');
+    }
+    return names.uniq();
+  }.property('model.searchSchemas.[]'),
+
+  actions: {
+    createIndex: function(cluster, indexName, schemaName, nVal) {
+      let self = this;
+      let n = parseInt(nVal, 10);
+
+      if (!/^[a-zA-Z0-9_\-]+$/.test(indexName)) {
+        this.set('errorMessage', 'Index names can only contain letters, numbers, underscores and dashes.');
+        return;
+      }
+
+      if (cluster.get('searchIndexes').findBy('name', indexName)) {
+        this.set('errorMessage', `An index named '${indexName}' already exists.`);
+        return;
+      }
+
+      if (isNaN(n) || n < 1) {
+        this.set('errorMessage', 'n_val must be a positive number.');
+        return;
+      }
+
+      return this.get('explorer').createSearchIndex(cluster, indexName, schemaName, n, this.get('store'))
+        .then(function() {
+          self.transitionToRoute('cluster.query', cluster.get('id'));
+        }, function(jqXHR) {
+          self.set('errorMessage',
+            jqXHR.responseText || 'Something went wrong, index was not created.');
+        });
+    },
+
+    selectSchema: function(schemaName) {
+      this.set('schemaName', schemaName);
+    }
+  }
+});
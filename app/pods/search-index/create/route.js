@@ -0,0 +1,22 @@
+import Ember from 'ember';
+import SideBarSelect from '../../../mixins/sidebar-select';
+
+export default Ember.Route.extend(SideBarSelect, {
+  model(params) {
+    return this.explorer.getCluster(params.clusterId, this.store);
+  },
+
+  afterModel(model, transition) {
+    this.setSidebarCluster(model);
+  },
+
+  setupController(controller, model) {
+    this._super(controller, model);
+    controller.setProperties({
+      indexName: '',
+      schemaName: '_yz_default',
+      nVal: 3,
+      errorMessage: null
+    });
+  }
+});
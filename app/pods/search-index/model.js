@@ -1,4 +1,5 @@
 import DS from 'ember-data';
+import Ember from 'ember';
 
 var SearchIndex = DS.Model.extend({
   /**
@@ -50,7 +51,26 @@ var SearchIndex = DS.Model.extend({
     let bucketTypes = this.get('cluster').get('bucketTypes');
 
     return bucketTypes.filterBy('index.name', this.get('name'));
-  }.property('cluster.bucketTypes')
+  }.property('cluster.bucketTypes'),
+
+  /**
+   * Confirmation message displayed to the user before deleting the index.
+   * Warns when the index is still associated with bucket types (in which
+   * case Riak will refuse to delete it).
+   * @property deleteConfirmation
+   * @type String
+   */
+  deleteConfirmation: function() {
+    let message = `Delete search index '${this.get('name')}'?`;
+    let bucketTypes = this.get('bucketTypesUsing');
+
+    if (!Ember.isEmpty(bucketTypes)) {
+      message += '\n\nWarning: this index is still used by the following bucket types: ' +
+        bucketTypes.mapBy('bucketTypeId').join(', ') +
+        '.\nRiak will not delete an index while buckets are associated with it.';
+    }
+    return message;
+  }.property('name', 'bucketTypesUsing')
 });
 
 export default SearchIndex;
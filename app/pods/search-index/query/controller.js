@@ -0,0 +1,315 @@
+import Ember from 'ember';
+
+/**
+ * Handles the Riak Search (Solr) query console for a search index.
+ * @see ExplorerService.searchQuery
+ *
+ * @class SearchIndexQueryController
+ * @extends Ember.Controller
+ */
+var SearchIndexQueryController = Ember.Controller.extend({
+  explorer: Ember.inject.service('explorer'),
+
+  /**
+   * Solr query (`q`)
+   * @property q
+   * @type String
+   * @default '*:*'
+   */
+  q: '*:*',
+
+  /**
+   * Filter query (`fq`)
+   * @property fq
+   * @type String
+   */
+  fq: '',
+
+  /**
+   * Sort order (`sort`), for example `age_i desc`
+   * @property sort
+   * @type String
+   */
+  sort: '',
+
+  /**
+   * Offset of the first hit (`start`, 0-based)
+   * @property start
+   * @type Number
+   * @default 0
+   */
+  start: 0,
+
+  /**
+   * Number of hits per page (`rows`)
+   * @property rows
+   * @type Number
+   * @default 10
+   */
+  rows: 10,
+
+  /**
+   * Comma-separated list of fields to return (`fl`)
+   * @property fl
+   * @type String
+   */
+  fl: '',
+
+  /**
+   * Response format (`wt`)
+   * @property wt
+   * @type String
+   * @default 'json'
+   */
+  wt: 'json',
+
+  /**
+   * Available response formats
+   * @property formats
+   * @type Array<String>
+   */
+  formats: ['json', 'xml'],
+
+  /**
+   * Comma-separated list of fields to facet on (`facet.field`)
+   * @property facetFields
+   * @type String
+   */
+  facetFields: '',
+
+  /**
+   * Raw response body of the last query
+   * @property raw
+   * @type String
+   */
+  raw: null,
+
+  /**
+   * Parsed (JSON) response of the last query, if available
+   * @property response
+   * @type Hash
+   */
+  response: null,
+
+  /**
+   * Error message to display to the user, if the query failed.
+   * @property errorMessage
+   * @type String
+   */
+  errorMessage: null,
+
+  /**
+   * Is a query request in progress?
+   * @property isQuerying
+   * @type Boolean
+   * @default false
+   */
+  isQuerying: false,
+
+  /**
+   * Returns the facet counts of the last query, as a list of
+   * `{field, counts: [{term, count}]}` hashes.
+   * (Solr returns them as flat `[term, count, term, count, ...]` lists.)
+   *
+   * @property facets
+   * @type Array<Hash>
+   */
+  facets: function() {
+    let facetCounts = this.get('response.facet_counts');
+    let facets = [];
+
+    if (!facetCounts || !facetCounts.facet_fields) {
+      return facets;
+    }
+    for (let field in facetCounts.facet_fields) {
+      let values = facetCounts.facet_fields[field];
+      let counts = [];
+
+      for (let i = 0; i < values.length; i += 2) {
+        counts.push({term: values[i], count: values[i + 1]});
+      }
+      facets.push({field: field, counts: counts});
+    }
+    return facets;
+  }.property('response'),
+
+  /**
+   * Returns the names of all the fields present in the hits of the last query,
+   * sorted alphabetically. The Riak-internal `_yz_*` fields are left out.
+   *
+   * @property fieldNames
+   * @type Array<String>
+   */
+  fieldNames: function() {
+    let docs = this.get('response.response.docs') || [];
+    let names = [];
+
+    docs.forEach(function(doc) {
+      Object.keys(doc).forEach(function(name) {
+        if (!name.startsWith('_yz_') && names.indexOf(name) === -1) {
+          names.push(name);
+        }
+      });
+    });
+    return names.sort();
+  }.property('response'),
+
+  /**
+   * Returns the hits of the last query, as a list of
+   * `{values, clusterId, bucketTypeId, bucketId, key, routeName}` hashes.
+   * The object location comes from the `_yz_rt`, `_yz_rb` and `_yz_rk`
+   * fields, and `routeName` depends on the bucket type's data type.
+   *
+   * @property hits
+   * @type Array<Hash>
+   */
+  hits: function() {
+    let docs = this.get('response.response.docs') || [];
+    let fieldNames = this.get('fieldNames');
+    let cluster = this.get('model.cluster');
+
+    return docs.map(function(doc) {
+      let bucketType = cluster.get('bucketTypes').findBy('originalId', doc._yz_rt);
+      let routeName = 'riak-object';
+
+      if (bucketType && bucketType.get('props')) {
+        routeName = bucketType.get('props').get('objectModelName');
+      }
+      return {
+        values: fieldNames.map(function(name) {
+          return Ember.isNone(doc[name]) ? '' : JSON.stringify(doc[name]);
+        }),
+        clusterId: cluster.get('clusterId'),
+        bucketTypeId: doc._yz_rt,
+        bucketId: doc._yz_rb,
+        key: doc._yz_rk,
+        routeName: routeName
+      };
+    });
+  }.property('response', 'fieldNames'),
+
+  /**
+   * Total number of hits for the last query.
+   * @property numFound
+   * @type Number
+   */
+  numFound: function() {
+    return this.get('response.response.numFound') || 0;
+  }.property('response'),
+
+  /**
+   * Returns the raw response of the last query, pretty-printed if it's JSON.
+   *
+   * @property rawForDisplay
+   * @type String
+   */
+  rawForDisplay: function() {
+    if (this.get('response')) {
+      return JSON.stringify(this.get('response'), null, 2);
+    }
+    return this.get('raw');
+  }.property('raw', 'response'),
+
+  /**
+   * Returns the Solr query parameters, as sent to the server.
+   * (Not named `queryParams`, which is reserved by Ember controllers.)
+   *
+   * @method searchParams
+   * @return {Hash}
+   */
+  searchParams: function() {
+    let params = {
+      q: this.get('q'),
+      start: parseInt(this.get('start'), 10) || 0,
+      rows: this.get('rows'),
+      wt: this.get('wt')
+    };
+    let facetFields = this.get('facetFields').split(',').map(function(field) {
+      return field.trim();
+    }).filter(function(field) {
+      return field.length > 0;
+    });
+
+    ['fq', 'sort', 'fl'].forEach(function(name) {
+      if (!Ember.isBlank(this.get(name))) {
+        params[name] = this.get(name);
+      }
+    }, this);
+    if (facetFields.length) {
+      params['facet'] = true;
+      params['facet.field'] = facetFields;
+    }
+    return params;
+  },
+
+  /**
+   * Clears out the query and its results.
+   * Called by +SearchIndexQueryRoute.setupController+.
+   *
+   * @method resetQuery
+   */
+  resetQuery: function() {
+    this.setProperties({
+      q: '*:*',
+      fq: '',
+      sort: '',
+      start: 0,
+      rows: 10,
+      fl: '',
+      wt: 'json',
+      facetFields: '',
+      raw: null,
+      response: null,
+      errorMessage: null
+    });
+  },
+
+  /**
+   * Runs the query with the current parameters.
+   *
+   * @method runQuery
+   * @return {Ember.RSVP.Promise}
+   */
+  runQuery: function() {
+    let self = this;
+
+    this.setProperties({errorMessage: null, isQuerying: true});
+
+    return this.get('explorer')
+      .searchQuery(this.get('model'), this.searchParams())
+      .then(function(result) {
+        self.setProperties({
+          raw: result.raw,
+          response: result.response,
+          isQuerying: false
+        });
+      }, function(error) {
+        self.setProperties({
+          raw: null,
+          response: null,
+          errorMessage: error.responseText || error.message || 'Something went wrong, query failed.',
+          isQuerying: false
+        });
+      });
+  },
+
+  actions: {
+    runQuery: function() {
+      // A new query starts from the offset entered in the form. Clearing
+      // the results also resets the pagination component.
+      this.setProperties({raw: null, response: null});
+      this.runQuery();
+    },
+
+    retrieveRequestedHits: function(startIndex) {
+      this.set('start', startIndex - 1);
+      return this.runQuery();
+    },
+
+    selectFormat: function(format) {
+      this.set('wt', format);
+    }
+  }
+});
+
+export default SearchIndexQueryController;
@@ -11,5 +11,27 @@ export default Ember.Route.extend(SideBarSelect, {
 
   afterModel: function(model, transition) {
     this.setSidebarCluster(model.get('cluster'));
+  },
+
+  setupController: function(controller, model) {
+    this._super(controller, model);
+    controller.set('errorMessage', null);
+  },
+
+  actions: {
+    deleteIndex: function(index) {
+      let self = this;
+      let controller = this.controller;
+      let clusterId = index.get('cluster').get('id');
+
+      controller.set('errorMessage', null);
+      this.explorer.deleteSearchIndex(index)
+        .then(function() {
+          self.transitionTo('cluster.query', clusterId);
+        }, function(jqXHR) {
+          controller.set('errorMessage',
+            jqXHR.responseText || 'Something went wrong, index was not deleted.');
+        });
+    }
   }
 });
@@ -11,14 +11,21 @@ Router.map(function() {
 
   // Cluster Routes
   this.route('cluster.ops', {path: '/cluster/:clusterId/ops'});
+  this.route('cluster.stats', {path: '/cluster/:clusterId/ops/stats'});
+  this.route('cluster.config-diff', {path: '/cluster/:clusterId/ops/config_diff'});
   this.route('cluster.data', {path: '/cluster/:clusterId/data'});
   this.route('cluster.query', {path: '/cluster/:clusterId/query'});
 
   // Cluster-Data Routes
   this.route('bucket-type', {path: '/cluster/:clusterId/data/bucket_type/:bucketTypeId'});
+  this.route('bucket-type.edit', {path: '/cluster/:clusterId/data/bucket_type/:bucketTypeId/edit'});
   this.route('bucket', {path: '/cluster/:clusterId/data/bucket_type/:bucketTypeId/bucket/:bucketId'});
+  this.route('bucket.edit', {path: '/cluster/:clusterId/data/bucket_type/:bucketTypeId/bucket/:bucketId/edit'});
+  this.route('bucket.index-query', {path: '/cluster/:clusterId/data/bucket_type/:bucketTypeId/bucket/:bucketId/index_query'});
+  this.route('bucket.import', {path: '/cluster/:clusterId/data/bucket_type/:bucketTypeId/bucket/:bucketId/import'});
   this.route('riak-object', {path: '/cluster/:clusterId/data/bucket_type/:bucketTypeId/bucket/:bucketId/key/:key'});
   this.route('riak-object.edit', {path: '/cluster/:clusterId/data/bucket_type/:bucketTypeId/bucket/:bucketId/key/:key/edit'});
+  this.route('riak-object.create', {path: '/cluster/:clusterId/data/bucket_type/:bucketTypeId/bucket/:bucketId/create'});
   this.route('riak-object.counter', {path: '/cluster/:clusterId/data/bucket_type/:bucketTypeId/bucket/:bucketId/counter/:key'});
   this.route('riak-object.set', {path: '/cluster/:clusterId/data/bucket_type/:bucketTypeId/bucket/:bucketId/set/:key'});
   this.route('riak-object.map', {path: '/cluster/:clusterId/data/bucket_type/:bucketTypeId/bucket/:bucketId/map/:key'});
@@ -28,6 +35,8 @@ Router.map(function() {
 
   // Cluster-Query Routes
   this.route('search-index', {path: '/cluster/:clusterId/query/index/:searchIndexId'});
+  this.route('search-index.query', {path: '/cluster/:clusterId/query/index/:searchIndexId/search'});
+  this.route('search-index.create', {path: '/cluster/:clusterId/query/index/create'});
   this.route('search-schema', {path: '/cluster/:clusterId/query/schema/:searchSchemaId'});
   this.route('search-schema.edit', {path: '/cluster/:clusterId/query/schema/:searchSchemaId/edit'});
   this.route('search-schema.create', {path: '/cluster/:clusterId/query/schema/create'});
@@ -1,6 +1,88 @@
 import Ember from 'ember';
 import config from '../config/environment';
 import objectToArray from '../utils/riak-util';
+import mapContentsToJSON from '../utils/map-json';
+import mergeMapOperations from '../utils/map-operations';
+import promisePool from '../utils/promise-pool';
+import { requestOptionsQuery } from '../utils/request-options';
+import parseLinkHeader, { linkMatchesStep } from '../utils/riak-links';
+
+/**
+ * Encodes raw bytes as a base64 string.
+ *
+ * @method bytesToBase64
+ * @param {Uint8Array} bytes
+ * @return {String}
+ * @private
+ */
+function bytesToBase64(bytes) {
+  var binary = '';
+  var chunkSize = 0x8000;
+
+  // Convert in chunks, to avoid exceeding the maximum number of arguments
+  for (var i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return window.btoa(binary);
+}
+
+/**
+ * Decodes a base64 string into raw bytes.
+ *
+ * @method base64ToBytes
+ * @param {String} base64
+ * @return {Uint8Array}
+ * @private
+ */
+function base64ToBytes(base64) {
+  var binary = window.atob(base64);
+  var bytes = new Uint8Array(binary.length);
+
+  for (var i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Adds the request options (quorum and write options) that were set for a
+ * single operation to a Riak HTTP API URL.
+ * @see requestOptionsQuery
+ *
+ * @method withRequestOptions
+ * @param {String} url
+ * @param {String} operation `'fetch'`, `'store'`, `'update'` or `'delete'`
+ * @param {Hash} [options]
+ * @return {String}
+ * @private
+ */
+function withRequestOptions(url, operation, options) {
+  var query = requestOptionsQuery(operation, options);
+  return query ? `${url}?${query}` : url;
+}
+
+/**
+ * Appends the next page of items to a cached (bucket or key) list.
+ * An empty page means that the end of the list has been reached.
+ *
+ * @method appendPage
+ * @param {CachedList} list
+ * @param {String} itemsProperty `'buckets'` or `'keys'`
+ * @param {Array} items
+ * @return {CachedList}
+ * @private
+ */
+function appendPage(list, itemsProperty, items) {
+  list.get(itemsProperty).pushObjects(items);
+  list.setProperties({
+    count: list.get('count') + items.length,
+    loadedPages: list.get('loadedPages') + 1
+  });
+  if (Ember.isEmpty(items)) {
+    list.set('total', list.get('lastItemIndex'));
+  }
+  return list;
+}
 
 /**
  * An Ember service responsible for AJAX communication with the Explorer API.
@@ -34,6 +116,8 @@ export default Ember.Service.extend({
   /**
    * Default chunk size for requests that can potentially have large amounts of records
    * i.e. buckets and keys
+   * Can be changed by the user (see `setPageSize`), and the choice is
+   * remembered in the browser's local storage.
    *
    * @property pageSize
    * @type Integer
@@ -41,6 +125,54 @@ export default Ember.Service.extend({
    */
   pageSize: 500,
 
+  /**
+   * Page sizes the user can choose from.
+   *
+   * @property pageSizes
+   * @type Array<Integer>
+   */
+  pageSizes: [100, 250, 500, 1000, 2500],
+
+  /**
+   * Local storage key under which the user's page size choice is saved.
+   *
+   * @property pageSizeStorageKey
+   * @type String
+   */
+  pageSizeStorageKey: 'riak-explorer.pageSize',
+
+  /**
+   * Maximum number of edit history snapshots kept (in local storage)
+   * for each object. The oldest snapshots are dropped first.
+   * @see ExplorerService.recordObjectHistory
+   *
+   * @property historySize
+   * @type Integer
+   * @default 20
+   */
+  historySize: 20,
+
+  /**
+   * Maximum number of parallel requests issued by bulk operations
+   * (such as deleting or exporting the keys selected in a key list).
+   *
+   * @property bulkConcurrency
+   * @type Integer
+   * @default 4
+   */
+  bulkConcurrency: 4,
+
+  /**
+   * Number of keys fetched per request when loading a bucket's entire
+   * cached key list (for client-side key filtering).
+   * @see ExplorerService.getAllCachedKeys
+   *
+   * @property keyScanPageSize
+   * @type Integer
+   * @default 10000
+   */
+  keyScanPageSize: 10000,
+
   /**
    * The 'deleted' cache is a way for the Ember GUI to keep track of which
    * objects have been deleted via user actions.
@@ -65,6 +197,73 @@ export default Ember.Service.extend({
     clusters: {}
   },
 
+  /**
+   * The 'created' cache is the counterpart to the 'deleted' cache, above.
+   * It keeps track of objects created via the Explorer UI, so that their keys
+   * show up in the bucket's Key List right away, without waiting for a
+   * (potentially expensive) key list cache refresh.
+   *
+   * This cache tracks object creations keyed by cluster/bucket type/bucket,
+   * and is cleared for a bucket whenever its key list cache is refreshed.
+   *
+   * @property created
+   * @type Hash
+   */
+  created: {
+    clusters: {}
+  },
+
+  /**
+   * Client-side copies of entire key list caches (plain key strings),
+   * used for filtering keys across the whole list. Keyed by
+   * 'cluster/bucket type/bucket', each entry is `{ created, keys }`, where
+   * `created` is the timestamp of the Explorer API key list cache it was
+   * loaded from. Entries are dropped when the key list cache is refreshed.
+   *
+   * @property allKeys
+   * @type Hash
+   */
+  allKeys: {},
+
+  /**
+   * Restores the user's page size choice (if any) from local storage.
+   *
+   * @method init
+   */
+  init() {
+    this._super(...arguments);
+    let pageSize;
+
+    try {
+      pageSize = parseInt(window.localStorage.getItem(this.pageSizeStorageKey), 10);
+    } catch (error) {
+      // Local storage is not available (disabled by the user, for example)
+    }
+    if (pageSize > 0) {
+      this.set('pageSize', pageSize);
+    }
+  },
+
+  /**
+   * Makes an edited object supersede the current server-side version of it
+   * (after a concurrent change), by adopting that version's causal context
+   * and etag. The next save then overwrites the server-side value.
+   * @see ExplorerService.checkForConcurrentChange
+   *
+   * @method adoptServerVersion
+   * @param object {RiakObject} Edited object
+   * @param serverObject {RiakObject} Current version of the object on the server
+   */
+  adoptServerVersion(object, serverObject) {
+    var metadata = object.get('metadata');
+    var serverHeaders = serverObject.get('metadata').get('headers').other;
+    var headers = metadata.get('headers');
+
+    headers.other['x-riak-vclock'] = serverHeaders['x-riak-vclock'];
+    headers.other['etag'] = serverHeaders['etag'];
+    metadata.notifyPropertyChange('headers');
+  },
+
   /**
    * Re-populates the Bucket List cached by the Explorer API.
    * Currently, this is done via a Streaming List Buckets HTTP call to Riak,
@@ -117,6 +316,53 @@ export default Ember.Service.extend({
     });
   },
 
+  /**
+   * Checks whether a plain object was changed on the server since it was
+   * loaded (by someone else, for example), by re-fetching it and comparing
+   * its causal context (vclock) and etag to the loaded ones.
+   * An object that was deleted on the server since it was loaded is
+   * considered changed: its server-side version is then an empty object
+   * with no causal context or etag, marked as deleted.
+   *
+   * @method checkForConcurrentChange
+   * @param object {RiakObject} Object being edited
+   * @param store {DS.Store}
+   * @return {Ember.RSVP.Promise<RiakObject|Null>} Resolves with the current
+   *     server-side version of the object if it changed, or `null` otherwise
+   */
+  checkForConcurrentChange(object, store) {
+    var metadata = object.get('metadata');
+    var existedWhenLoaded = !!(metadata.get('causalContext') || metadata.get('etag'));
+
+    return this.getRiakObject(object.get('bucket'), object.get('key'), store)
+      .then(function(serverObject) {
+        var serverMetadata = serverObject.get('metadata');
+
+        if (serverMetadata.get('causalContext') !== metadata.get('causalContext') ||
+          serverMetadata.get('etag') !== metadata.get('etag')) {
+          return serverObject;
+        }
+        return null;
+      }, function(jqXHR) {
+        if (jqXHR && jqXHR.status === 404) {
+          if (!existedWhenLoaded) {
+            return null;
+          }
+          return store.createRecord('riak-object', {
+            key: object.get('key'),
+            bucket: object.get('bucket'),
+            bucketType: object.get('bucketType'),
+            cluster: object.get('cluster'),
+            metadata: store.createRecord('object-metadata'),
+            contents: '',
+            isLoaded: true,
+            markedDeleted: true
+          });
+        }
+        throw jqXHR;
+      });
+  },
+
   /**
    * Returns a Contents hash containing map data type fields sorted by
    * field type (Counters, Flags, Registers, Sets, nested Maps).
@@ -247,6 +493,47 @@ export default Ember.Service.extend({
     });
   },
 
+  /**
+   * Creates a new Riak Data Type object (Counter, Set or Map) by sending its
+   * initial update operation to the Riak Data Type HTTP API, and records its
+   * key in the `ExplorerService.created` cache.
+   * If the key is left blank, Riak generates one (which is then read
+   * from the `Location` response header).
+   * Existing keys are refused: the update operation would be merged with
+   * the existing data type, instead of replacing it.
+   * @see http://docs.basho.com/riak/latest/dev/using/data-types/
+   * @see ExplorerService.dataTypeCreateOperation
+   *
+   * @method createDataType
+   * @param {RiakObjectCounter|RiakObjectSet|RiakObjectMap} object New object
+   * @param {Object} operation Initial update operation
+   * @return {Ember.RSVP.Promise<RiakObject>} The stored object, with its key
+   *     set. Rejects with an `Ember.Error` (with `keyExists` set) if the key
+   *     already exists, and with the jqXHR if the request fails.
+   */
+  createDataType(object, operation) {
+    var explorer = this;
+    var clusterUrl = this.getClusterProxyUrl(object.get('clusterId'));
+    var bucketType = object.get('bucketTypeId');
+    var bucketId = object.get('bucketId');
+    var key = object.get('key');
+
+    var url = `${clusterUrl}/types/${bucketType}/buckets/${bucketId}/datatypes`;
+
+    if (!key) {
+      return this.postNewDataType(object, url, operation);
+    }
+    return this.objectExists(object.get('bucket'), key).then(function(exists) {
+      if (exists) {
+        let error = new Ember.Error(`The key ${key} already exists.`);
+
+        error.keyExists = true;
+        throw error;
+      }
+      return explorer.postNewDataType(object, `${url}/${encodeURIComponent(key)}`, operation);
+    });
+  },
+
   /**
    * Creates and returns a KeyList instance, given the results of a
    * 'fetch cached Key List' call to the Explorer API.
@@ -259,7 +546,6 @@ export default Ember.Service.extend({
    * @return {KeyList}
    */
   createKeyList(data, bucket, store, startItemIndex) {
-    var explorer = this;
     if (!data) {
       // No data, return an empty KeyList
       return store.createRecord('key-list', {
@@ -268,11 +554,49 @@ export default Ember.Service.extend({
         keys: []
       });
     }
+    var keys = data.keys.keys;
+    var total = data.keys.total;
+    var count = data.keys.count;
+
+    // Keys created via the Explorer UI are not yet in the API-side cache.
+    // Show them at the top of the first page.
+    if (!startItemIndex || startItemIndex === 1) {
+      let createdKeys = this.keysCreatedFor(bucket).filter(function(key) {
+        return keys.indexOf(key) === -1;
+      });
+      keys = createdKeys.concat(keys);
+      total += createdKeys.length;
+      count += createdKeys.length;
+    }
+
+    return store.createRecord('key-list', {
+      bucket: bucket,
+      cluster: bucket.get('cluster'),
+      created: data.keys.created,
+      count: count,
+      keys: this.createObjectsForKeys(bucket, keys, store),
+      total: total,
+      firstItemIndex: startItemIndex,
+      pageSize: this.pageSize
+    });
+  },
+
+  /**
+   * Creates (not yet loaded) object instances for a list of keys, marking
+   * the ones deleted via the Explorer UI.
+   *
+   * @method createObjectsForKeys
+   * @param bucket {Bucket}
+   * @param keys {Array<String>}
+   * @param store {DS.Store}
+   * @return {Array<RiakObject>}
+   */
+  createObjectsForKeys(bucket, keys, store) {
+    var explorer = this;
     // The model name depends on the "object type" - plain Object, CRDT, etc
     var modelName = bucket.get('objectModelName');
 
-    // Cycle through the list of keys and create actual RiakObject instances
-    var keyList = data.keys.keys.map(function(key) {
+    return keys.map(function(key) {
       var obj = store.createRecord(modelName, {
         key: key,
         bucket: bucket,
@@ -285,17 +609,6 @@ export default Ember.Service.extend({
       }
       return obj;
     });
-
-    return store.createRecord('key-list', {
-      bucket: bucket,
-      cluster: bucket.get('cluster'),
-      created: data.keys.created,
-      count: data.keys.count,
-      keys: keyList,
-      total: data.keys.total,
-      firstItemIndex: startItemIndex,
-      pageSize: this.pageSize
-    });
   },
 
   /**
@@ -322,6 +635,111 @@ export default Ember.Service.extend({
     return schema;
   },
 
+  /**
+   * Creates a Riak Search index via the Explorer cluster proxy, and adds
+   * a corresponding SearchIndex instance to the cluster.
+   * @see http://docs.basho.com/riak/latest/dev/references/http/search-index-info/
+   * @see http://docs.basho.com/riak/latest/dev/using/search/#Index-Creation
+   *
+   * @method createSearchIndex
+   * @param {Cluster} cluster
+   * @param {String} name Index name
+   * @param {String} schemaName Name of the schema to use
+   * @param {Number} nVal Number of index replicas
+   * @param {DS.Store} store
+   * @return {Ember.RSVP.Promise<SearchIndex>}
+   */
+  createSearchIndex(cluster, name, schemaName, nVal, store) {
+    var explorer = this;
+    var url = `${cluster.get('proxyUrl')}/search/index/${encodeURIComponent(name)}`;
+
+    return new Ember.RSVP.Promise(function(resolve, reject) {
+      Ember.$.ajax({
+        type: 'PUT',
+        url: url,
+        contentType: 'application/json',
+        processData: false,
+        data: JSON.stringify({schema: schemaName, n_val: nVal})
+      }).then(
+        function() {
+          // The `cluster` inverse relationship also adds the new index
+          // to `cluster.searchIndexes`
+          let index = store.createRecord('search-index', {
+            id: `${cluster.get('id')}/${name}`,
+            cluster: cluster,
+            name: name,
+            nVal: nVal,
+            schemaRef: schemaName
+          });
+          index.set('schema', explorer.createSchema(schemaName, cluster, store));
+          Ember.run(null, resolve, index);
+        },
+        function(jqXHR) {
+          Ember.run(null, reject, jqXHR);
+        }
+      );
+    });
+  },
+
+  /**
+   * Stores a new (plain, non Data Type) Riak Object via a proxied Riak
+   * HTTP API request, and records its key in the `ExplorerService.created`
+   * cache.
+   *
+   * If the object has a key, it is written with a PUT, guarded by an
+   * `If-None-Match: *` header (so that an existing object does not get
+   * overwritten by accident). If the key is left blank, the object is
+   * written with a POST, and Riak generates the key (which is then read
+   * from the `Location` response header).
+   * @see http://docs.basho.com/riak/latest/dev/references/http/store-object/
+   *
+   * @method createObject
+   * @param {RiakObject} object New (not yet stored) object
+   * @return {Ember.RSVP.Promise<RiakObject>} The stored object, with its key set
+   */
+  createObject(object) {
+    var explorer = this;
+    var clusterUrl = this.getClusterProxyUrl(object.get('clusterId'));
+    var bucketType = object.get('bucketTypeId');
+    var bucketId = object.get('bucketId');
+    var key = object.get('key');
+    var metadata = object.get('metadata');
+    var headers = Ember.merge({}, metadata.get('headersForUpdate'));
+    var type = 'POST';
+
+    var url = `${clusterUrl}/types/${bucketType}/buckets/${bucketId}/keys`;
+
+    if (key) {
+      url = `${url}/${encodeURIComponent(key)}`;
+      type = 'PUT';
+      headers['If-None-Match'] = '*';
+    }
+
+    return new Ember.RSVP.Promise(function(resolve, reject) {
+      Ember.$.ajax({
+        type: type,
+        processData: false,
+        contentType: metadata.get('contentType'),
+        url: url,
+        headers: headers,
+        data: object.get('contents')
+      }).then(
+        function(data, textStatus, jqXHR) {
+          if (!key) {
+            // Riak-generated key, e.g. '/types/t/buckets/b/keys/<key>'
+            let location = jqXHR.getResponseHeader('Location');
+            object.set('key', decodeURIComponent(location.split('/').pop()));
+          }
+          explorer.markCreatedKey(object);
+          Ember.run(null, resolve, object);
+        },
+        function(jqXHR) {
+          Ember.run(null, reject, jqXHR);
+        }
+      );
+    });
+  },
+
   /**
    * Parses and returns the contents/value of a Riak Object, depending on
    * whether it's a CRDT or a plain object.
@@ -372,6 +790,10 @@ export default Ember.Service.extend({
     });
     let contents = this.createObjectContents(bucket, newObject, payload, store);
     newObject.set('contents', contents);
+    if (bucket.get('props').get('isMap') && payload) {
+      // Opaque causal context, sent back with (field removal) updates
+      newObject.set('context', payload.context);
+    }
     return newObject;
   },
 
@@ -393,6 +815,71 @@ export default Ember.Service.extend({
     });
   },
 
+  /**
+   * Creates one RiakObject instance per sibling, from the `multipart/mixed`
+   * body of a '300 Multiple Choices' Fetch Object response.
+   * Each sibling gets its own metadata (parsed from its part headers), plus
+   * the causal context (vclock) shared by all the siblings, so that any one
+   * of them can be written back to resolve the conflict.
+   * @see http://docs.basho.com/riak/latest/dev/using/conflict-resolution/#Siblings
+   *
+   * @method createSiblings
+   * @param object {RiakObject} Parent object (with the response's metadata)
+   * @param body {String} Raw multipart response body
+   * @param store {DS.Store}
+   * @return {Array<RiakObject>}
+   */
+  createSiblings(object, body, store) {
+    let explorer = this;
+    let metadata = object.get('metadata');
+    let vclock = metadata.get('causalContext');
+    let parts = this.parseMultipartBody(metadata.get('contentType'), body);
+
+    return parts.map(function(part) {
+      let headerString = part.headerString;
+      if (vclock) {
+        headerString += `\r\nx-riak-vclock: ${vclock}`;
+      }
+      let siblingMetadata = explorer.createObjectMetadata(headerString, store);
+      let etag = siblingMetadata.get('etag');
+      let rawUrl = object.get('rawUrl');
+
+      if (etag) {
+        rawUrl += `?vtag=${encodeURIComponent(etag.replace(/"/g, ''))}`;
+      }
+      return store.createRecord('riak-object', {
+        key: object.get('key'),
+        bucket: object.get('bucket'),
+        bucketType: object.get('bucketType'),
+        cluster: object.get('cluster'),
+        metadata: siblingMetadata,
+        contents: part.payload,
+        isLoaded: true,
+        rawUrl: rawUrl
+      });
+    });
+  },
+
+  /**
+   * Fetch the cache of Keys created via the Explorer UI.
+   * Initialize objects whenever missing.
+   * See the `@property created` comments above, for explanation.
+   *
+   * @method createdCacheFor
+   * @param {String} clusterId
+   * @param {String} bucketTypeId
+   * @return {Hash}
+   */
+  createdCacheFor(clusterId, bucketTypeId) {
+    if (!this.created.clusters[clusterId]) {
+      this.created.clusters[clusterId] = {types: {}};
+    }
+    if (!this.created.clusters[clusterId].types[bucketTypeId]) {
+      this.created.clusters[clusterId].types[bucketTypeId] = {buckets: {}};
+    }
+    return this.created.clusters[clusterId].types[bucketTypeId];
+  },
+
   /**
    * Composes the JSON action object for the specified operation type for use
    * with the Riak Data Type HTTP API.
@@ -425,6 +912,174 @@ export default Ember.Service.extend({
     return JSON.stringify(operation);
   },
 
+  /**
+   * Combines a list of staged changes to a Map (and its nested fields, at
+   * any depth) into a single update operation, carrying the map's causal
+   * context. (Will be converted to a JSON string payload, upstream.)
+   * @see mergeMapOperations
+   *
+   * @method dataTypeBatchMapOperation
+   * @param map {RiakObjectMap}
+   * @param changes {Array<Hash>} List of `{ object, operationType, item }`
+   *     changes, in the order they were made
+   *     (@see ExplorerService.dataTypeUpdateNestedField)
+   * @return {Object} Update map operation
+   * @example
+   *     {
+   *       "update": {
+   *         "name_register": "Joe",
+   *         "address_map": { "update": { "city_register": "Paris" } }
+   *       },
+   *       "remove": "interests_set",
+   *       "context": "g2wAAAABaAJtAAAADCMJ/vn2jOEXAAAAAWEBag=="
+   *     }
+   */
+  dataTypeBatchMapOperation(map, changes) {
+    let operation = changes.reduce(function(combined, change) {
+      return mergeMapOperations(combined, this.dataTypeUpdateNestedField(
+        change.object, change.operationType, change.item));
+    }.bind(this), {});
+
+    if (map.get('context')) {
+      operation.context = map.get('context');
+    }
+    return operation;
+  },
+
+  /**
+   * Returns the update operation that sets the initial value of a map field.
+   * New nested maps are created along with their fields (at any depth).
+   *
+   * @method dataTypeCreateMapField
+   * @param field {RiakObjectMapField|RiakObjectEmbeddedMap}
+   * @return {String|Number|Object} Field update operation
+   */
+  dataTypeCreateMapField(field) {
+    let value = field.get('value');
+    switch (field.get('fieldType')) {
+      case 'flag':
+        return value ? 'enable' : 'disable';
+      case 'set':
+        return {add_all: value};
+      case 'map':
+        // { "update": { "<nested field name>": <nested field operation>, ... } }
+        return {
+          update: ['counters', 'flags', 'registers', 'sets', 'maps'].reduce(function(update, fieldsName) {
+            let fields = value[fieldsName] || {};
+            Object.keys(fields).forEach(function(fieldName) {
+              update[fieldName] = this.dataTypeCreateMapField(fields[fieldName]);
+            }, this);
+            return update;
+          }.bind(this), {})
+        };
+      default:
+        // Registers take the value as is, counters are incremented from 0
+        return value;
+    }
+  },
+
+  /**
+   * Returns the initial update operation used to create a new Data Type
+   * object, depending on the bucket's data type.
+   * (Will be converted to a JSON string payload, upstream.)
+   * @see ExplorerService.createDataType
+   *
+   * @method dataTypeCreateOperation
+   * @param bucket {Bucket}
+   * @param value {Number|Array<String>|Array<RiakObjectMapField>}
+   *            Initial counter value, set elements, or map fields
+   * @return {Object} Create data type operation
+   * @example
+   *   Counter: '{ "increment": 5 }'
+   *   Set: '{ "add_all": ["interest1", "interest2"] }'
+   *   Map: '{
+   *      "update": {
+   *          "name_register": "Joe",
+   *          "enterprise_customer_flag": "enable",
+   *          "page_visits_counter": 1,
+   *          "interests_set": { "add_all": ["riak"] }
+   *      }
+   *    }'
+   */
+  dataTypeCreateOperation(bucket, value) {
+    let operation;
+    if (bucket.get('props').get('isCounter')) {
+      operation = {increment: value};
+    } else if (bucket.get('props').get('isSet')) {
+      operation = {add_all: value};
+    } else if (bucket.get('props').get('isMap')) {
+      operation = {update: {}};
+      value.forEach(function(field) {
+        operation.update[field.get('name')] =
+          this.dataTypeCreateMapField(field);
+      }, this);
+    }
+    if (!operation) {
+      throw new Ember.Error('Invalid data type, cannot create object');
+    }
+    return operation;
+  },
+
+  /**
+   * Converts a plain JSON Map value into the `update` part of a Map
+   * operation (recursively, for nested maps).
+   *
+   * @method dataTypeImportMapUpdate
+   * @param value {Hash}
+   * @return {Hash}
+   */
+  dataTypeImportMapUpdate(value) {
+    let update = {};
+
+    Object.keys(value).forEach(function(fieldName) {
+      let fieldValue = value[fieldName];
+
+      if (fieldName.endsWith('_flag')) {
+        update[fieldName] = fieldValue ? 'enable' : 'disable';
+      } else if (fieldName.endsWith('_set')) {
+        update[fieldName] = {add_all: fieldValue};
+      } else if (fieldName.endsWith('_map')) {
+        update[fieldName] = {update: this.dataTypeImportMapUpdate(fieldValue)};
+      } else if (fieldName.endsWith('_counter') || fieldName.endsWith('_register')) {
+        update[fieldName] = fieldValue;
+      } else {
+        throw new Ember.Error(`Invalid map field name: ${fieldName}`);
+      }
+    }, this);
+    return update;
+  },
+
+  /**
+   * Builds the Data Type update operation that recreates an imported
+   * (or exported) JSON value, for the bucket's data type.
+   * Counters are incremented by the imported value, and set elements are
+   * added to any existing ones.
+   * @see ExplorerService.exportRecordFor
+   *
+   * @method dataTypeImportOperation
+   * @param bucket {Bucket}
+   * @param value {Number|Array|Hash} Plain JSON value (as returned by the
+   *     HTTP API), e.g. `{ "name_register": "Joe", "visits_counter": 3 }`
+   * @return {Hash} Operation to POST to the Data Types HTTP API endpoint
+   */
+  dataTypeImportOperation(bucket, value) {
+    let props = bucket.get('props');
+
+    if (props.get('isMap')) {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Ember.Error('Map values must be JSON objects');
+      }
+      return {update: this.dataTypeImportMapUpdate(value)};
+    }
+    if (props.get('isCounter') && typeof value !== 'number') {
+      throw new Ember.Error('Counter values must be numbers');
+    }
+    if (props.get('isSet') && !Array.isArray(value)) {
+      throw new Ember.Error('Set values must be JSON arrays');
+    }
+    return this.dataTypeCreateOperation(bucket, value);
+  },
+
   /**
    * Returns the operation for updating a Counter data type.
    * (Will be converted to a JSON string payload, upstream.)
@@ -516,7 +1171,7 @@ export default Ember.Service.extend({
         // }
         fieldName = item.get('name');
         object = item;  // In this case, the item is the nested field
-        fieldOperation.update[fieldName] = item.get('value');
+        fieldOperation.update[fieldName] = this.dataTypeCreateMapField(item);
         break;
       case 'addElement':
       case 'removeElement':
@@ -532,8 +1187,13 @@ export default Ember.Service.extend({
         break;
       case 'increment':
       case 'decrement':
-        fieldOperation.update[fieldName] =
-          this.dataTypeUpdateCounter(object, operationType);
+        // Nested counters are changed by the amount given as the item
+        if (item) {
+          fieldOperation.update[fieldName] = {[operationType]: item};
+        } else {
+          fieldOperation.update[fieldName] =
+            this.dataTypeUpdateCounter(object, operationType);
+        }
         break;
       default:
         throw new Ember.Error(`Unsupported Update Map operation: ${operationType}`);
@@ -627,31 +1287,45 @@ export default Ember.Service.extend({
 
   /**
    * Performs a Delete Object operation, via a proxied Riak HTTP API request.
-   * Also records its key in the `ExplorerService.deleted` cache
+   * Also records its key in the `ExplorerService.deleted` cache.
+   * The object's vclock is sent along when it has one. Objects that were
+   * not fetched (for example, keys selected in a key list) are deleted
+   * without it, so Riak cannot tell which version is being deleted.
    *
    * @see http://docs.basho.com/riak/latest/ops/advanced/deletion/
    * @see http://docs.basho.com/riak/latest/dev/references/http/delete-object/
    *
    * @method deleteObject
    * @param object {RiakObject} RiakObject instance or subclasses (Maps, Sets, etc)
-   * @return {Ember.RSVP.Promise} Result of the AJAX request.
+   * @param [options] {Hash} Request options (`rw`, `r`, `w` etc),
+   *     @see requestOptionsQuery
+   * @return {Ember.RSVP.Promise} Result of the AJAX request (the HTTP status
+   *     code, or `undefined` if the delete failed).
    */
-  deleteObject(object) {
+  deleteObject(object, options) {
     var cluster = object.get('clusterId');
     var bucketType = object.get('bucketTypeId');
     var bucket = object.get('bucketId');
     var key = object.get('key');
     var clusterUrl = this.getClusterProxyUrl(cluster);
 
-    var url = `${clusterUrl}/types/${bucketType}/buckets/${bucket}/keys/${key}`;
+    var url = `${clusterUrl}/types/${bucketType}/buckets/${bucket}/keys/${encodeURIComponent(key)}`;
 
-    object.set('markedDeleted', true);
+    var metadata = object.get('metadata');
+    var headers = {};
+
+    // Objects from a key list have not been fetched, and have no vclock yet
+    if (metadata && metadata.get('causalContext')) {
+      headers['X-Riak-Vclock'] = metadata.get('causalContext');
+    }
+
+    object.set('markedDeleted', true);
 
     var request = new Ember.RSVP.Promise(function(resolve, reject) {
       Ember.$.ajax({
         type: "DELETE",
-        url: url,
-        headers: {'X-Riak-Vclock': object.get('metadata').get('causalContext')}
+        url: withRequestOptions(url, 'delete', options),
+        headers: headers
       }).then(
         function(data, textStatus, jqXHR) {
           resolve(jqXHR.status);
@@ -667,6 +1341,315 @@ export default Ember.Service.extend({
     });
   },
 
+  /**
+   * Deletes a list of objects (for example, keys selected in a key list),
+   * with a limited number of Delete requests in flight at any given time.
+   * Successfully deleted keys are recorded in the `ExplorerService.deleted`
+   * cache, so that they are hidden from the key list right away.
+   * @see ExplorerService.deleteObject
+   *
+   * @method deleteObjects
+   * @param objects {Array<RiakObject>}
+   * @param [onProgress] {Function} Called with `(completedCount, total)`
+   * @param [concurrency] {Number} Maximum number of parallel requests
+   * @return {Ember.RSVP.Promise<Hash>} Resolves with
+   *     `{ deleted: Array<RiakObject>, failed: Array<RiakObject> }`
+   */
+  deleteObjects(objects, onProgress, concurrency = this.bulkConcurrency) {
+    var self = this;
+
+    return promisePool(objects, concurrency, function(object) {
+      return self.deleteObject(object).then(function(status) {
+        if (!status) {
+          object.set('markedDeleted', false);
+          throw new Ember.Error(`Could not delete ${object.get('key')}`);
+        }
+        self.markDeletedKey(object);
+        return status;
+      });
+    }, onProgress).then(function(results) {
+      return {
+        deleted: results.filterBy('state', 'fulfilled').mapBy('item'),
+        failed: results.filterBy('state', 'rejected').mapBy('item')
+      };
+    });
+  },
+
+  /**
+   * Deletes a Riak Search index via the Explorer cluster proxy, and removes
+   * it from its cluster's `searchIndexes`.
+   * Note: Riak refuses to delete an index that is still associated with
+   * a bucket or bucket type.
+   * @see SearchIndex.bucketTypesUsing
+   * @see http://docs.basho.com/riak/latest/dev/references/http/search-index-info/
+   *
+   * @method deleteSearchIndex
+   * @param {SearchIndex} index
+   * @return {Ember.RSVP.Promise} Result of the AJAX request
+   */
+  deleteSearchIndex(index) {
+    var cluster = index.get('cluster');
+    var url = `${cluster.get('proxyUrl')}/search/index/${encodeURIComponent(index.get('name'))}`;
+
+    return new Ember.RSVP.Promise(function(resolve, reject) {
+      Ember.$.ajax({
+        type: 'DELETE',
+        url: url
+      }).then(
+        function(data, textStatus, jqXHR) {
+          cluster.get('searchIndexes').removeObject(index);
+          index.unloadRecord();
+          Ember.run(null, resolve, jqXHR.status);
+        },
+        function(jqXHR) {
+          Ember.run(null, reject, jqXHR);
+        }
+      );
+    });
+  },
+
+  /**
+   * Returns a human-readable reason for a failed request (or other error),
+   * for use in reports.
+   *
+   * @method errorReason
+   * @param error {jqXHR|XMLHttpRequest|Error|String}
+   * @return {String}
+   */
+  errorReason(error) {
+    if (error && error.status !== undefined) {
+      let text = (error.responseText || '').trim();
+      return `${error.status} ${error.statusText || ''}`.trim() + (text ? `: ${text}` : '');
+    }
+    return (error && error.message) || String(error);
+  },
+
+  /**
+   * Exports every object in a bucket, by walking the cached key list page by
+   * page and fetching each object.
+   * Rejects (instead of exporting an empty file) when the bucket has no key
+   * list cache. The cache is checked with `keyListCacheExists`, so that a
+   * missing cache does not start a key list refresh.
+   * @see ExplorerService.exportObjects
+   *
+   * @method exportBucket
+   * @param bucket {Bucket}
+   * @param store {DS.Store}
+   * @param [onProgress] {Function} Called with `(completedCount, total)`
+   *     (the total is the size of the key list cache)
+   * @return {Ember.RSVP.Promise<Hash>} Resolves with
+   *     `{ ndjson: String, exported: Number, failed: Array<RiakObject> }`
+   *     (`exported` counts objects, as in `exportObjects`)
+   */
+  exportBucket(bucket, store, onProgress) {
+    var self = this;
+    var pageSize = this.pageSize;
+    var result = {ndjson: '', exported: 0, failed: []};
+
+    function exportPage(start) {
+      return self.getKeyList(bucket, store, start, pageSize)
+        .then(function(keyList) {
+          let keys = keyList.get('keys').rejectBy('markedDeleted');
+          let total = keyList.get('total') || 0;
+
+          if (Ember.isEmpty(keyList.get('keys'))) {
+            return result;
+          }
+          return self.exportObjects(keys, store, function(completed) {
+            if (onProgress) {
+              onProgress(result.exported + result.failed.length + completed, total);
+            }
+          }).then(function(pageResult) {
+            result.ndjson += pageResult.ndjson;
+            result.exported += pageResult.exported;
+            result.failed = result.failed.concat(pageResult.failed);
+
+            if (start + pageSize > total) {
+              return result;
+            }
+            return exportPage(start + pageSize);
+          });
+        });
+    }
+
+    return this.keyListCacheExists(bucket).then(function(cachePresent) {
+      if (!cachePresent) {
+        throw new Ember.Error('The key list cache was not found, refresh it before exporting the bucket.');
+      }
+      return exportPage(1);
+    });
+  },
+
+  /**
+   * Fetches a list of objects (with limited parallelism) and serializes them
+   * as newline-delimited JSON (one object per line).
+   * The contents of binary objects are fetched separately (as raw bytes),
+   * so that they can be exported as base64.
+   * Objects with siblings are exported as one line per sibling (all with
+   * the object's key).
+   * @see ExplorerService.exportRecordFor
+   *
+   * @method exportObjects
+   * @param objects {Array<RiakObject>} Objects to export (they do not need to
+   *     be loaded, for example keys from a key list)
+   * @param store {DS.Store}
+   * @param [onProgress] {Function} Called with `(completedCount, total)`
+   * @param [concurrency] {Number} Maximum number of parallel requests
+   * @return {Ember.RSVP.Promise<Hash>} Resolves with
+   *     `{ ndjson: String, exported: Number, failed: Array<RiakObject> }`
+   *     (`exported` counts objects, not lines: an object with siblings is
+   *     exported as several lines)
+   */
+  exportObjects(objects, store, onProgress, concurrency = this.bulkConcurrency) {
+    var self = this;
+
+    function exportLine(loaded) {
+      let metadata = loaded.get('metadata');
+
+      if (!metadata || !metadata.get('isBinary')) {
+        return Ember.RSVP.resolve(JSON.stringify(self.exportRecordFor(loaded)));
+      }
+      // Siblings are fetched by their vtag (part of their raw URL)
+      return self.getObjectBytes(loaded).then(function(bytes) {
+        return JSON.stringify(self.exportRecordFor(loaded, bytes));
+      });
+    }
+
+    return promisePool(objects, concurrency, function(object) {
+      return self.getRiakObject(object.get('bucket'), object.get('key'), store)
+        .then(function(loaded) {
+          let versions = loaded.get('hasSiblings') ? loaded.get('siblings') : [loaded];
+
+          return Ember.RSVP.all(versions.map(exportLine));
+        })
+        .then(function(lines) {
+          return lines.join('\n');
+        });
+    }, onProgress).then(function(results) {
+      let lines = results.filterBy('state', 'fulfilled').mapBy('value');
+
+      return {
+        ndjson: lines.length ? lines.join('\n') + '\n' : '',
+        exported: lines.length,
+        failed: results.filterBy('state', 'rejected').mapBy('item')
+      };
+    });
+  },
+
+  /**
+   * Returns a JSON-serializable representation of a (loaded) object, used
+   * for exporting objects.
+   * Plain objects are exported with their content type, body, user metadata
+   * and secondary indexes. Binary bodies are base64-encoded (with `encoding`
+   * set to `base64`).
+   * Data Type objects are exported with their type and (JSON) value.
+   *
+   * @method exportRecordFor
+   * @param object {RiakObject|RiakObjectCounter|RiakObjectSet|RiakObjectMap}
+   * @param [bytes] {Uint8Array} Raw contents of a binary object
+   * @return {Hash}
+   * @example
+   *     { "key": "user123", "content_type": "application/json",
+   *       "encoding": "utf8", "body": "{...}",
+   *       "usermeta": { "source": "web" },
+   *       "indexes": { "email_bin": ["joe@example.com"] } }
+   *     { "key": "visits", "type": "counter", "value": 12 }
+   */
+  exportRecordFor(object, bytes) {
+    let props = object.get('bucket').get('props');
+    let metadata = object.get('metadata');
+    let record = {key: object.get('key')};
+
+    if (props.get('isCRDT')) {
+      record.type = props.get('props').datatype;
+      if (props.get('isMap')) {
+        record.value = this.mapFieldsToPayload(object.get('contents'));
+      } else {
+        record.value = object.get('contents').value;
+      }
+      return record;
+    }
+
+    record.content_type = metadata.get('contentType');
+    if (bytes) {
+      record.encoding = 'base64';
+      record.body = bytesToBase64(bytes);
+    } else {
+      record.encoding = 'utf8';
+      record.body = object.get('contents');
+    }
+    record.usermeta = metadata.get('userMeta');
+    record.indexes = metadata.get('indexValues');
+    return record;
+  },
+
+  /**
+   * Loads a bucket's entire cached key list (as plain key strings, in pages
+   * of `keyScanPageSize` keys), so that it can be filtered client-side.
+   * The loaded list is kept until the key list cache is refreshed.
+   * Keys created via the Explorer UI (not yet in the cache) come first, and
+   * keys deleted via the Explorer UI (see `ExplorerService.deleted`) are
+   * left out.
+   *
+   * @method getAllCachedKeys
+   * @param bucket {Bucket}
+   * @param [onProgress] {Function} Called with `(loadedCount, total)`
+   * @return {Ember.RSVP.Promise<Array<String>>}
+   */
+  getAllCachedKeys(bucket, onProgress) {
+    var self = this;
+    var cacheId = [bucket.get('clusterId'), bucket.get('bucketTypeId'), bucket.get('bucketId')].join('/');
+    var cached = this.allKeys[cacheId];
+    var pageSize = this.keyScanPageSize;
+    var url = `${this.apiURL}explore/clusters/${bucket.get('clusterId')}/bucket_types/${bucket.get('bucketTypeId')}/buckets/${bucket.get('bucketId')}/keys`;
+    var keys = [];
+
+    function withLocalChanges(cachedKeys) {
+      let deleted = self.deletedCacheFor(bucket.get('clusterId'),
+        bucket.get('bucketTypeId')).buckets[bucket.get('bucketId')];
+      let keysDeleted = deleted ? deleted.keysDeleted : {};
+      let createdKeys = self.keysCreatedFor(bucket).filter(function(key) {
+        return cachedKeys.indexOf(key) === -1;
+      });
+
+      return createdKeys.concat(cachedKeys).filter(function(key) {
+        return !keysDeleted[key];
+      });
+    }
+
+    function loadPage(start) {
+      return new Ember.RSVP.Promise(function(resolve, reject) {
+        Ember.$.ajax({
+          url: `${url}?start=${start}&rows=${pageSize}`,
+          dataType: 'json',
+          type: 'GET'
+        }).then(
+          function(data) {
+            Ember.run(null, resolve, data.keys);
+          },
+          function(jqXHR) {
+            Ember.run(null, reject, jqXHR);
+          }
+        );
+      }).then(function(page) {
+        Array.prototype.push.apply(keys, page.keys || []);
+        if (onProgress) {
+          onProgress(keys.length, page.total);
+        }
+        if (Ember.isEmpty(page.keys) || keys.length >= page.total) {
+          self.allKeys[cacheId] = {created: page.created, keys: keys};
+          return keys;
+        }
+        return loadPage(start + pageSize);
+      });
+    }
+
+    if (cached && cached.created === bucket.get('keyList.created')) {
+      return Ember.RSVP.resolve(withLocalChanges(cached.keys));
+    }
+    return loadPage(1).then(withLocalChanges);
+  },
+
   /**
    * Creates and returns a Bucket instance by fetching the necessary data:
    * the bucket properties, as well as a Bucket Type instance (which also
@@ -997,6 +1980,65 @@ export default Ember.Service.extend({
     });
   },
 
+  /**
+   * Looks up the buckets that an object's links point to (links are
+   * resolved within the object's own bucket type).
+   *
+   * @method getLinkedBuckets
+   * @param {RiakObject} object Object that has the links
+   * @param {Array<Hash>} links List of `{ bucket, key, riaktag }` links
+   * @param {DS.Store} store
+   * @return {Ember.RSVP.Promise<Hash>} Buckets, by bucket name (buckets that
+   *     could not be looked up are left out)
+   */
+  getLinkedBuckets(object, links, store) {
+    var self = this;
+    var bucketNames = links.mapBy('bucket').uniq();
+
+    return Ember.RSVP.allSettled(bucketNames.map(function(bucketName) {
+      if (bucketName === object.get('bucketId')) {
+        return object.get('bucket');
+      }
+      return self.getBucket(object.get('clusterId'), object.get('bucketTypeId'),
+        bucketName, store);
+    })).then(function(results) {
+      var buckets = {};
+
+      results.forEach(function(result, index) {
+        if (result.state === 'fulfilled') {
+          buckets[bucketNames[index]] = result.value;
+        }
+      });
+      return buckets;
+    });
+  },
+
+  /**
+   * Returns the objects that an object's links point to, for display
+   * (they are not fetched).
+   *
+   * @method getLinkedObjects
+   * @param {RiakObject} object Object that has the links
+   * @param {Array<Hash>} links List of `{ bucket, key, riaktag }` links
+   * @param {DS.Store} store
+   * @return {Ember.RSVP.Promise<Array<Hash>>} List of `{ link, object }`
+   *     hashes (`object` is `null` if its bucket could not be looked up)
+   */
+  getLinkedObjects(object, links, store) {
+    var self = this;
+
+    return this.getLinkedBuckets(object, links, store).then(function(buckets) {
+      return links.map(function(link) {
+        var bucket = buckets[link.bucket];
+
+        return {
+          link: link,
+          object: bucket ? self.createObjectsForKeys(bucket, [link.key], store)[0] : null
+        };
+      });
+    });
+  },
+
   getNodeConfig(node) {
     let url = `${this.apiURL}explore/nodes/${node.get('id')}/config`;
 
@@ -1099,6 +2141,60 @@ export default Ember.Service.extend({
     });
   },
 
+  /**
+   * Fetches the statistics of every node in a given cluster (in parallel).
+   * Nodes whose stats could not be loaded are still returned (with their
+   * `stats` left empty).
+   *
+   * @method getNodeStatsForCluster
+   * @param {Cluster} cluster
+   * @param {DS.Store} store
+   * @return {Ember.RSVP.Promise<Array<Node>>}
+   */
+  getNodeStatsForCluster(cluster, store) {
+    let self = this;
+
+    return Ember.RSVP.resolve(this.getNodesForCluster(cluster, store))
+      .then(function(nodes) {
+        return Ember.RSVP.allSettled(nodes.map(function(node) {
+          return self.getNodeStats(node);
+        })).then(function() {
+          return nodes.toArray();
+        });
+      });
+  },
+
+  /**
+   * Fetches the raw contents (bytes) of a plain Riak object, for example to
+   * export or download a binary object without corrupting it.
+   * (jQuery AJAX calls always decode the response as text.)
+   *
+   * @method getObjectBytes
+   * @param object {RiakObject}
+   * @return {Ember.RSVP.Promise<Uint8Array>}
+   */
+  getObjectBytes(object) {
+    var url = object.get('rawUrl');
+
+    return new Ember.RSVP.Promise(function(resolve, reject) {
+      var xhr = new XMLHttpRequest();
+
+      xhr.open('GET', url);
+      xhr.responseType = 'arraybuffer';
+      xhr.onload = function() {
+        if (xhr.status === 200) {
+          Ember.run(null, resolve, new Uint8Array(xhr.response));
+        } else {
+          Ember.run(null, reject, xhr);
+        }
+      };
+      xhr.onerror = function() {
+        Ember.run(null, reject, xhr);
+      };
+      xhr.send();
+    });
+  },
+
   /**
    * Fetches and returns a Riak Object for the specified location
    * (bucket type, bucket and key).
@@ -1108,9 +2204,11 @@ export default Ember.Service.extend({
    * @param {Bucket} bucket
    * @param {String} key
    * @param {DS.Store} store
+   * @param {Hash} [options] Request options (`r`, `pr`, `basic_quorum`,
+   *     `notfound_ok`), @see requestOptionsQuery
    * @return {Ember.RSVP.Promise<RiakObject>} RiakObject or its subclasses (CRDTs)
    */
-  getRiakObject(bucket, key, store) {
+  getRiakObject(bucket, key, store, options) {
     var explorer = this;
 
     return new Ember.RSVP.Promise(function(resolve, reject) {
@@ -1128,7 +2226,7 @@ export default Ember.Service.extend({
       var url = `${clusterUrl}/types/${bucketType}/buckets/${bucketId}`;
 
       if (bucket.get('props').get('isCRDT')) {
-        url = `${url}/datatypes/${key}`;
+        url = `${url}/datatypes/${encodeURIComponent(key)}`;
         processData = true;  // Parse the payload as JSON
         ajaxHash.dataType = 'json';
         ajaxHash.success = function(data, textStatus, jqXHR) {
@@ -1139,7 +2237,7 @@ export default Ember.Service.extend({
         };
       } else {
         // Regular Riak object
-        url = `${url}/keys/${key}`;
+        url = `${url}/keys/${encodeURIComponent(key)}`;
         processData = false;
         ajaxHash.success = function(data, textStatus, jqXHR) {
           headerString = jqXHR.getAllResponseHeaders();
@@ -1149,7 +2247,7 @@ export default Ember.Service.extend({
         };
       }
       ajaxHash.processData = processData;
-      ajaxHash.url = url;
+      ajaxHash.url = withRequestOptions(url, 'fetch', options);
 
       ajaxHash.error = function(jqXHR, textStatus) {
         if (jqXHR.status === 200 && textStatus === 'parsererror') {
@@ -1162,8 +2260,11 @@ export default Ember.Service.extend({
         if (jqXHR.status === 300) {
           // Handle 300 Multiple Choices case for siblings
           headerString = jqXHR.getAllResponseHeaders();
-          resolve(explorer.createObjectFromAjax(key, bucket, headerString,
-            jqXHR.responseText, store, url));
+          let object = explorer.createObjectFromAjax(key, bucket, headerString,
+            jqXHR.responseText, store, url);
+          object.set('siblings',
+            explorer.createSiblings(object, jqXHR.responseText, store));
+          resolve(object);
         } else {
           reject(jqXHR);
         }
@@ -1172,6 +2273,207 @@ export default Ember.Service.extend({
     });
   },
 
+  /**
+   * Returns the local storage key under which the edit history of an
+   * object is kept (keyed by cluster/bucket type/bucket/key).
+   *
+   * @method historyStorageKeyFor
+   * @param object {RiakObject}
+   * @return {String}
+   */
+  historyStorageKeyFor(object) {
+    return ['riak-explorer.history', object.get('clusterId'), object.get('bucketTypeId'),
+      object.get('bucketId'), object.get('key')].join('/');
+  },
+
+  /**
+   * Stores a single imported record in a bucket: via the `createObject` (or,
+   * when overwriting, `putObject`) code path for plain buckets, or as a Data
+   * Type update operation for Data Type buckets.
+   * New plain objects are sent with `If-None-Match: *`, so an existing key is
+   * skipped by Riak itself (a `412 Precondition Failed` response).
+   * Existing keys are always skipped in Data Type buckets: the update
+   * operations are merged with the current value instead of replacing it
+   * (counters would be incremented again, sets and maps combined).
+   * `createDataType` checks for them itself.
+   * @see importRecords
+   *
+   * @method importRecord
+   * @param bucket {Bucket}
+   * @param record {Hash} Imported record (in the Export format)
+   * @param store {DS.Store}
+   * @param overwrite {Boolean} When false, existing keys are skipped
+   *     (ignored for Data Type buckets)
+   * @return {Ember.RSVP.Promise<String>} Resolves with `'stored'` or `'skipped'`
+   */
+  importRecord(bucket, record, store, overwrite) {
+    var self = this;
+    var request = this.importRequestFor(bucket, record);
+    var object = store.createRecord(bucket.get('objectModelName'), {
+      key: request.key,
+      bucket: bucket,
+      bucketType: bucket.get('bucketType'),
+      cluster: bucket.get('cluster')
+    });
+    var metadata;
+    var stored;
+
+    if (request.operation) {
+      stored = this.createDataType(object, request.operation).then(function() {
+        return 'stored';
+      }, function(error) {
+        if (error && error.keyExists) {
+          return 'skipped';
+        }
+        throw error;
+      });
+    } else {
+      metadata = store.createRecord('object-metadata', {headers: request.headers});
+      object.setProperties({
+        metadata: metadata,
+        contents: request.body
+      });
+      if (overwrite) {
+        stored = this.putObject(object).then(function() {
+          self.markCreatedKey(object);
+          return 'stored';
+        });
+      } else {
+        // Sent with `If-None-Match: *`, so Riak refuses to replace an existing key
+        stored = this.createObject(object).then(function() {
+          return 'stored';
+        }, function(error) {
+          if (error && error.status === 412) {
+            return 'skipped';
+          }
+          throw error;
+        });
+      }
+    }
+
+    // The records were only needed to build the request
+    return stored.finally(function() {
+      object.unloadRecord();
+      if (metadata) {
+        metadata.unloadRecord();
+      }
+    });
+  },
+
+  /**
+   * Imports a list of records (parsed from an import file) into a bucket,
+   * with a limited number of parallel requests and a maximum request rate.
+   * @see importRecords (utility, parses the import files)
+   *
+   * @method importRecords
+   * @param bucket {Bucket}
+   * @param records {Array<Hash>}
+   * @param store {DS.Store}
+   * @param options {Hash} `{ overwrite: Boolean, rate: Number }`, where
+   *     `rate` is the maximum number of records imported per second
+   * @param [onProgress] {Function} Called with `(completedCount, total)`
+   * @return {Ember.RSVP.Promise<Hash>} Resolves with
+   *     `{ stored: Array<String>, skipped: Array<String>,
+   *        failed: Array<{ key, reason }> }`
+   */
+  importRecords(bucket, records, store, options, onProgress) {
+    var self = this;
+    var interval = options.rate > 0 ? 1000 / options.rate : 0;
+    var nextSlot = 0;
+
+    // Waits for the next available request slot (throttles the rate)
+    function throttle() {
+      let now = Date.now();
+      let wait = Math.max(0, nextSlot - now);
+
+      nextSlot = Math.max(now, nextSlot) + interval;
+      return new Ember.RSVP.Promise(function(resolve) {
+        Ember.run.later(null, resolve, wait);
+      });
+    }
+
+    return promisePool(records, this.bulkConcurrency, function(record) {
+      return throttle().then(function() {
+        return self.importRecord(bucket, record, store, options.overwrite);
+      });
+    }, onProgress).then(function(results) {
+      let report = {stored: [], skipped: [], failed: []};
+
+      results.forEach(function(result) {
+        let key = result.item.key;
+
+        if (result.state === 'rejected') {
+          report.failed.push({key: key, reason: self.errorReason(result.reason)});
+        } else {
+          report[result.value].push(key);
+        }
+      });
+      return report;
+    });
+  },
+
+  /**
+   * Returns the details of the request that will store an imported record.
+   * Used both for the import itself and for its dry-run preview.
+   *
+   * @method importRequestFor
+   * @param bucket {Bucket}
+   * @param record {Hash} Imported record, e.g.
+   *     `{ key, content_type, encoding, body, usermeta, indexes }` for plain
+   *     buckets, or `{ key, value }` for Data Type buckets
+   * @return {Hash} `{ key, operation }` for Data Types, and
+   *     `{ key, headers, body }` (`headers` in the ObjectMetadata format)
+   *     for plain objects
+   * @throws {Ember.Error} If the record is invalid
+   */
+  importRequestFor(bucket, record) {
+    if (bucket.get('props').get('isCRDT')) {
+      let value = record.value;
+      if (typeof value === 'string') {
+        try {
+          value = JSON.parse(value);  // CSV values
+        } catch (error) {
+          throw new Ember.Error(`Invalid JSON value for ${record.key}`);
+        }
+      }
+      return {key: record.key, operation: this.dataTypeImportOperation(bucket, value)};
+    }
+
+    let body = record.body;
+    let contentType = record.content_type;
+
+    if (body === undefined && record.value !== undefined) {
+      // Records from a JSON array may contain a plain JSON value instead
+      body = (typeof record.value === 'string') ? record.value : JSON.stringify(record.value);
+      contentType = contentType ||
+        ((typeof record.value === 'string') ? 'text/plain' : 'application/json');
+    }
+    if (body === undefined || body === null) {
+      throw new Ember.Error(`No body for ${record.key}`);
+    }
+    if (record.encoding === 'base64') {
+      body = base64ToBytes(body);
+    }
+
+    let usermeta = record.usermeta || {};
+    let indexes = record.indexes || {};
+
+    return {
+      key: record.key,
+      body: body,
+      headers: {
+        other: {'content-type': contentType || 'application/octet-stream'},
+        custom: Object.keys(usermeta).map(function(name) {
+          return {key: `x-riak-meta-${name}`, value: usermeta[name]};
+        }),
+        indexes: Object.keys(indexes).map(function(name) {
+          return {key: `x-riak-index-${name}`, value: [].concat(indexes[name]).join(', ')};
+        }),
+        links: []
+      }
+    };
+  },
+
   /**
    * Re-populates the Key List cached by the Explorer API.
    * Currently, this is done via a Streaming List Keys HTTP call to Riak,
@@ -1191,41 +2493,367 @@ export default Ember.Service.extend({
     // For the moment, 'riak_kv' is the only implemented source of
     // cache refresh
     var url = `${this.apiURL}explore/clusters/${clusterId}/bucket_types/${bucketTypeId}/buckets/${bucketId}/refresh_keys/source/riak_kv`;
+
+    // The refreshed cache will contain any keys created via the UI
+    delete this.createdCacheFor(clusterId, bucketTypeId).buckets[bucketId];
+    delete this.allKeys[`${clusterId}/${bucketTypeId}/${bucketId}`];
+
     return this.cacheRefresh(url);
   },
 
   /**
-   * Marks a key as deleted in the client-side ExplorerService.deleted cache.
+   * Checks whether the Explorer API has a key list cache for a bucket.
+   * Unlike `getKeyList`, a missing cache does not start a refresh, and the
+   * bucket's `isKeyListLoaded` flag is left alone.
    *
-   * @method markDeletedKey
-   * @param {RiakObject} object
+   * @method keyListCacheExists
+   * @param {Bucket} bucket
+   * @return {Ember.RSVP.Promise<Boolean>}
    */
-  markDeletedKey(object) {
-    var clusterId = object.get('clusterId');
-    var bucketTypeId = object.get('bucketTypeId');
-    var bucketId = object.get('bucketId');
-    var key = object.get('key');
-
-    var bucketTypeDelCache = this.deletedCacheFor(clusterId, bucketTypeId);
-
-    if (!bucketTypeDelCache.buckets[bucketId]) {
-      bucketTypeDelCache.buckets[bucketId] = {
-        keysDeleted: {},
-        bucketDeleted: false
-      };
-    }
+  keyListCacheExists(bucket) {
+    var clusterId = bucket.get('clusterId');
+    var bucketTypeId = bucket.get('bucketTypeId');
+    var bucketId = bucket.get('bucketId');
 
-    bucketTypeDelCache.buckets[bucketId].keysDeleted[key] = true;
-  },
+    var url = `${this.apiURL}explore/clusters/${clusterId}/bucket_types/${bucketTypeId}/buckets/${bucketId}/keys?start=1&rows=1`;
 
-  /**
-   * Parses the raw AJAX headers string and returns it as a usable hash.
-   *
-   * XmlHttpRequest's getAllResponseHeaders() method returns a string of response
-   * headers according to the format described here:
+    return new Ember.RSVP.Promise(function(resolve, reject) {
+      Ember.$.ajax({
+        type: 'GET',
+        url: url,
+        dataType: 'json'
+      }).then(
+        function() {
+          Ember.run(null, resolve, true);
+        },
+        function(jqXHR) {
+          if (jqXHR.status === 404) {
+            Ember.run(null, resolve, false);
+          } else {
+            Ember.run(null, reject, jqXHR);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Returns the keys created via the Explorer UI for a given bucket
+   * (that are not yet in the Explorer API key list cache).
+   * @see ExplorerService.created
+   *
+   * @method keysCreatedFor
+   * @param {Bucket} bucket
+   * @return {Array<String>}
+   */
+  keysCreatedFor(bucket) {
+    var bucketTypeCreatedCache = this.createdCacheFor(bucket.get('clusterId'),
+      bucket.get('bucketTypeId'));
+    var bucketCache = bucketTypeCreatedCache.buckets[bucket.get('bucketId')];
+
+    if (!bucketCache) {
+      return [];
+    }
+    return Object.keys(bucketCache.keysCreated).sort();
+  },
+
+  /**
+   * Fetches the page of buckets after the loaded ones (for infinite
+   * scrolling) and appends it to the bucket type's Bucket List.
+   *
+   * @method loadMoreBuckets
+   * @param bucketType {BucketType}
+   * @param store {DS.Store}
+   * @return {Ember.RSVP.Promise<BucketList>}
+   */
+  loadMoreBuckets(bucketType, store) {
+    var bucketList = bucketType.get('bucketList');
+
+    return this.getBucketList(bucketType.get('cluster'), bucketType, store,
+      bucketList.get('nextItemIndex'), bucketList.get('pageSize'))
+      .then(function(nextPage) {
+        return appendPage(bucketList, 'buckets', nextPage.get('buckets'));
+      });
+  },
+
+  /**
+   * Fetches the page of keys after the loaded ones (for infinite
+   * scrolling) and appends it to the bucket's Key List.
+   *
+   * @method loadMoreKeys
+   * @param bucket {Bucket}
+   * @param store {DS.Store}
+   * @return {Ember.RSVP.Promise<KeyList>}
+   */
+  loadMoreKeys(bucket, store) {
+    var keyList = bucket.get('keyList');
+
+    return this.getKeyList(bucket, store, keyList.get('nextItemIndex'), keyList.get('pageSize'))
+      .then(function(nextPage) {
+        return appendPage(keyList, 'keys', nextPage.get('keys'));
+      });
+  },
+
+  /**
+   * Converts the contents of a Map data type (as built by `collectMapFields`)
+   * back to the plain JSON value returned by the Riak HTTP API.
+   * This is the inverse of `collectMapFields`.
+   * @see mapContentsToJSON
+   *
+   * @method mapFieldsToPayload
+   * @param contents {Hash} Map contents, `{ counters, flags, registers, sets, maps }`
+   * @return {Hash}
+   * @example
+   *     { "name_register": "Joe", "interests_set": ["ember"], "address_map": { ... } }
+   */
+  mapFieldsToPayload(contents) {
+    return mapContentsToJSON(contents);
+  },
+
+  /**
+   * Submits a MapReduce job to a cluster.
+   * If `onChunk` is given, the results are streamed (`?chunked=true`):
+   * `onChunk` is called with each `{ phase, data }` chunk as it arrives.
+   * Otherwise, the aggregated results are returned when the job completes.
+   * @see http://docs.basho.com/riak/latest/dev/references/http/mapreduce/
+   * @see mapReduceJob
+   *
+   * @method mapReduce
+   * @param {String} clusterId
+   * @param {Hash} job
+   * @param {Function} [onChunk]
+   * @return {Ember.RSVP.Promise<Array>} Aggregated results, or the list of
+   *     streamed chunks. Rejected with the XHR if the job fails.
+   */
+  mapReduce(clusterId, job, onChunk) {
+    var explorer = this;
+    var url = this.mapReduceUrl(clusterId);
+
+    if (!onChunk) {
+      return new Ember.RSVP.Promise(function(resolve, reject) {
+        Ember.$.ajax({
+          type: 'POST',
+          url: url,
+          contentType: 'application/json',
+          dataType: 'json',
+          data: JSON.stringify(job)
+        }).then(
+          function(data) {
+            Ember.run(null, resolve, data);
+          },
+          function(jqXHR) {
+            Ember.run(null, reject, jqXHR);
+          }
+        );
+      });
+    }
+
+    return new Ember.RSVP.Promise(function(resolve, reject) {
+      var xhr = new XMLHttpRequest();
+      var chunks = [];
+
+      // Reports the chunks that have arrived since the last call. Until the
+      // response is complete, the last part may still be incomplete.
+      var readChunks = function(isComplete) {
+        var parts = explorer.parseMultipartBody(
+          xhr.getResponseHeader('Content-Type'), xhr.responseText);
+
+        if (!isComplete) {
+          parts = parts.slice(0, -1);
+        }
+        parts.slice(chunks.length).forEach(function(part) {
+          var chunk;
+
+          try {
+            chunk = JSON.parse(part.payload);
+          } catch (error) {
+            chunk = {data: part.payload};
+          }
+          chunks.push(chunk);
+          Ember.run(null, onChunk, chunk);
+        });
+      };
+
+      xhr.open('POST', `${url}?chunked=true`);
+      xhr.setRequestHeader('Content-Type', 'application/json');
+      xhr.onprogress = function() {
+        readChunks(false);
+      };
+      xhr.onload = function() {
+        if (xhr.status === 200) {
+          readChunks(true);
+          Ember.run(null, resolve, chunks);
+        } else {
+          Ember.run(null, reject, xhr);
+        }
+      };
+      xhr.onerror = function() {
+        Ember.run(null, reject, xhr);
+      };
+      xhr.send(JSON.stringify(job));
+    });
+  },
+
+  /**
+   * Returns the URL of a cluster's MapReduce endpoint (via the Explorer
+   * proxy).
+   *
+   * @method mapReduceUrl
+   * @param {String} clusterId
+   * @return {String}
+   */
+  mapReduceUrl(clusterId) {
+    return `${this.getClusterProxyUrl(clusterId)}/mapred`;
+  },
+
+  /**
+   * Marks a key as created in the client-side ExplorerService.created cache.
+   * Also un-marks it as deleted, in case a previously deleted key was re-used.
+   *
+   * @method markCreatedKey
+   * @param {RiakObject} object
+   */
+  markCreatedKey(object) {
+    var clusterId = object.get('clusterId');
+    var bucketTypeId = object.get('bucketTypeId');
+    var bucketId = object.get('bucketId');
+    var key = object.get('key');
+
+    var bucketTypeCreatedCache = this.createdCacheFor(clusterId, bucketTypeId);
+    var bucketTypeDelCache = this.deletedCacheFor(clusterId, bucketTypeId);
+
+    if (!bucketTypeCreatedCache.buckets[bucketId]) {
+      bucketTypeCreatedCache.buckets[bucketId] = {
+        keysCreated: {}
+      };
+    }
+
+    bucketTypeCreatedCache.buckets[bucketId].keysCreated[key] = true;
+
+    if (bucketTypeDelCache.buckets[bucketId]) {
+      delete bucketTypeDelCache.buckets[bucketId].keysDeleted[key];
+    }
+  },
+
+  /**
+   * Marks a key as deleted in the client-side ExplorerService.deleted cache.
+   *
+   * @method markDeletedKey
+   * @param {RiakObject} object
+   */
+  markDeletedKey(object) {
+    var clusterId = object.get('clusterId');
+    var bucketTypeId = object.get('bucketTypeId');
+    var bucketId = object.get('bucketId');
+    var key = object.get('key');
+
+    var bucketTypeDelCache = this.deletedCacheFor(clusterId, bucketTypeId);
+
+    if (!bucketTypeDelCache.buckets[bucketId]) {
+      bucketTypeDelCache.buckets[bucketId] = {
+        keysDeleted: {},
+        bucketDeleted: false
+      };
+    }
+
+    bucketTypeDelCache.buckets[bucketId].keysDeleted[key] = true;
+  },
+
+  /**
+   * Checks whether an object exists (via a proxied HEAD request, or a GET
+   * for Data Types).
+   *
+   * @method objectExists
+   * @param bucket {Bucket}
+   * @param key {String}
+   * @return {Ember.RSVP.Promise<Boolean>}
+   */
+  objectExists(bucket, key) {
+    var clusterUrl = this.getClusterProxyUrl(bucket.get('clusterId'));
+    var bucketType = bucket.get('bucketTypeId');
+    var bucketId = bucket.get('bucketId');
+    var isCRDT = bucket.get('props').get('isCRDT');
+    var resource = isCRDT ? 'datatypes' : 'keys';
+
+    var url = `${clusterUrl}/types/${bucketType}/buckets/${bucketId}/${resource}/${encodeURIComponent(key)}`;
+
+    return new Ember.RSVP.Promise(function(resolve, reject) {
+      Ember.$.ajax({
+        type: isCRDT ? 'GET' : 'HEAD',
+        cache: false,
+        dataType: 'text',
+        url: url
+      }).then(
+        function() {
+          Ember.run(null, resolve, true);
+        },
+        function(jqXHR) {
+          if (jqXHR.status === 404) {
+            Ember.run(null, resolve, false);
+          } else if (jqXHR.status === 300) {
+            // Siblings
+            Ember.run(null, resolve, true);
+          } else {
+            Ember.run(null, reject, jqXHR);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Returns the edit history snapshots saved (in local storage) for an
+   * object, newest first.
+   * @see ExplorerService.recordObjectHistory
+   *
+   * @method objectHistoryFor
+   * @param object {RiakObject}
+   * @return {Array<Hash>} List of snapshots (see `objectSnapshot`)
+   */
+  objectHistoryFor(object) {
+    try {
+      let history = JSON.parse(window.localStorage.getItem(this.historyStorageKeyFor(object))) || [];
+
+      // Snapshots recorded before links were parsed have no links list
+      history.forEach(function(snapshot) {
+        snapshot.headers.links = snapshot.headers.links || [];
+      });
+      return history;
+    } catch (error) {
+      // Local storage is not available, or the history is corrupted
+      return [];
+    }
+  },
+
+  /**
+   * Takes a snapshot of an object's current contents and headers
+   * (for the edit history).
+   *
+   * @method objectSnapshot
+   * @param object {RiakObject}
+   * @return {Hash} `{ savedAt, contentType, contents, headers }`, where
+   *     `headers` is in the ObjectMetadata format (a copy, safe from
+   *     subsequent edits)
+   */
+  objectSnapshot(object) {
+    return {
+      savedAt: new Date().toISOString(),
+      contentType: object.get('metadata').get('contentType'),
+      contents: object.get('contents'),
+      headers: JSON.parse(JSON.stringify(object.get('metadata').get('headers')))
+    };
+  },
+
+  /**
+   * Parses the raw AJAX headers string and returns it as a usable hash.
+   *
+   * XmlHttpRequest's getAllResponseHeaders() method returns a string of response
+   * headers according to the format described here:
    * http://www.w3.org/TR/XMLHttpRequest/#the-getallresponseheaders-method
    *
    * Which we then have to parse. Like savages.
+   * The `Link` header is parsed into a list of `{ bucket, key, riaktag }`
+   * links (@see parseLinkHeader).
    *
    * @method parseHeaderString
    * @param {String} headerString
@@ -1235,6 +2863,7 @@ export default Ember.Service.extend({
     var other_headers = {};
     var indexes = [];
     var custom = [];
+    var links = [];
 
     var headerLines = headerString.split("\r\n");
 
@@ -1256,6 +2885,8 @@ export default Ember.Service.extend({
           custom.push(header);
         } else if (key.startsWith('x-riak-index')) {
           indexes.push(header);
+        } else if (key === 'link') {
+          links = links.concat(parseLinkHeader(val));
         } else {
           other_headers[key] = val;
         }
@@ -1264,10 +2895,54 @@ export default Ember.Service.extend({
     return {
       other: other_headers,
       indexes: indexes,
-      custom: custom
+      custom: custom,
+      links: links
     };
   },
 
+  /**
+   * Splits a `multipart/mixed` HTTP response body (as returned by Riak when
+   * an object has siblings) into its individual parts.
+   * @see http://docs.basho.com/riak/latest/dev/references/http/fetch-object/#Siblings-examples
+   *
+   * @method parseMultipartBody
+   * @param {String} contentType Value of the response's Content-Type header,
+   *            for example `multipart/mixed; boundary=YinLMzyUR9feB17okMytgKsylvh`
+   * @param {String} body Raw response body
+   * @return {Array<Hash>} List of `{ headerString, payload }` hashes, where
+   *            `headerString` is in the format expected by `parseHeaderString`
+   */
+  parseMultipartBody(contentType, body) {
+    var match = /boundary="?([^";]+)"?/i.exec(contentType || '');
+    var parts = [];
+
+    if (!match || !body) {
+      return parts;
+    }
+
+    var chunks = body.split(`--${match[1]}`);
+
+    // The first chunk is the preamble, and the final one (which starts
+    // with the closing '--' delimiter) is the epilogue.
+    for (var i = 1; i < chunks.length; i++) {
+      var chunk = chunks[i];
+      if (chunk.startsWith('--')) {
+        break;
+      }
+      chunk = chunk.replace(/^\r?\n/, '').replace(/\r?\n$/, '');
+
+      var separator = /\r?\n\r?\n/.exec(chunk);
+      var headerBlock = separator ? chunk.substring(0, separator.index) : chunk;
+      var payload = separator ? chunk.substring(separator.index + separator[0].length) : '';
+
+      parts.push({
+        headerString: headerBlock.replace(/\r?\n/g, '\r\n'),
+        payload: payload
+      });
+    }
+    return parts;
+  },
+
   /**
    * Pings all nodes in a given cluster and sets the nodes status
    *
@@ -1291,84 +2966,559 @@ export default Ember.Service.extend({
     });
   },
 
+  /**
+   * POSTs an operation to the Riak Data Type HTTP API endpoint of an object.
+   *
+   * @method postDataTypeOperation
+   * @param {RiakObjectCounter|RiakObjectSet|RiakObjectMap|RiakObjectMapField} object
+   * @param {String} data JSON operation payload
+   * @param {Hash} [options] Request options
+   * @return {Ember.RSVP.Promise}
+   */
+  postDataTypeOperation(object, data, options) {
+    var bucket = object.get('bucket');
+    var clusterUrl = this.getClusterProxyUrl(bucket.get('clusterId'));
+    var bucketType = bucket.get('bucketTypeId');
+    var bucketId = bucket.get('bucketId');
+    var key = object.get('key');
+
+    var url = `${clusterUrl}/types/${bucketType}/buckets/${bucketId}/datatypes/${encodeURIComponent(key)}`;
+
+    return new Ember.RSVP.Promise(function(resolve, reject) {
+      var ajaxHash = {
+        contentType: 'application/json',
+        type: 'POST',
+        dataType: 'json',
+        url: withRequestOptions(url, 'update', options),
+        data: data,
+        success: function(response) {
+          resolve(response);
+        },
+        error: function(jqXHR) {
+          if (jqXHR.status === 204) {
+            resolve(jqXHR.status);
+          } else {
+            reject(jqXHR);
+          }
+        }
+      };
+      Ember.$.ajax(ajaxHash);
+    });
+  },
+
+  /**
+   * Sends the initial update operation of a new Data Type object.
+   * @see ExplorerService.createDataType
+   *
+   * @method postNewDataType
+   * @param {RiakObjectCounter|RiakObjectSet|RiakObjectMap} object New object
+   * @param {String} url Data Type URL (without a key, for Riak-generated keys)
+   * @param {Object} operation Initial update operation
+   * @return {Ember.RSVP.Promise<RiakObject>} The stored object, with its key set
+   * @private
+   */
+  postNewDataType(object, url, operation) {
+    var explorer = this;
+    var key = object.get('key');
+
+    return new Ember.RSVP.Promise(function(resolve, reject) {
+      Ember.$.ajax({
+        type: 'POST',
+        contentType: 'application/json',
+        url: url,
+        data: JSON.stringify(operation)
+      }).then(
+        function(data, textStatus, jqXHR) {
+          if (!key) {
+            // Riak-generated key, e.g. '/types/t/buckets/b/datatypes/<key>'
+            let location = jqXHR.getResponseHeader('Location');
+            object.set('key', decodeURIComponent(location.split('/').pop()));
+          }
+          explorer.markCreatedKey(object);
+          Ember.run(null, resolve, object);
+        },
+        function(jqXHR) {
+          Ember.run(null, reject, jqXHR);
+        }
+      );
+    });
+  },
+
   /**
    * Updates a RiakObject via an HTTP Store Object request to the cluster.
+   * Unlike `saveObject`, the returned promise is rejected (with the jqXHR)
+   * if the request fails.
    *
-   * @method saveObject
+   * @method putObject
    * @param {RiakObject} object
-   * @return {Ember.RSVP.Promise} Result of the AJAX request.
+   * @param {Hash} [options] Request options (`w`, `dw`, `pw`, `returnbody`),
+   *     @see requestOptionsQuery
+   * @return {Ember.RSVP.Promise} Result of the AJAX request (HTTP status).
    */
-  saveObject(object) {
+  putObject(object, options) {
     var clusterUrl = this.getClusterProxyUrl(object.get('clusterId'));
     var bucketType = object.get('bucketTypeId');
     var bucketId = object.get('bucketId');
     var key = object.get('key');
 
-    var url = `${clusterUrl}/types/${bucketType}/buckets/${bucketId}/keys/${key}`;
+    var url = `${clusterUrl}/types/${bucketType}/buckets/${bucketId}/keys/${encodeURIComponent(key)}`;
 
-    var request = new Ember.RSVP.Promise(function(resolve, reject) {
+    var headers = Ember.merge({}, object.get('metadata').get('headersForUpdate'));
+
+    // Only overwrite the version that was loaded (412 Precondition Failed
+    // if the object was changed on the server in the meantime)
+    if (object.get('metadata').get('etag')) {
+      headers['If-Match'] = object.get('metadata').get('etag');
+    }
+
+    return new Ember.RSVP.Promise(function(resolve, reject) {
       Ember.$.ajax({
         type: "PUT",
         processData: false,
         contentType: object.get('metadata').get('contentType'),
-        url: url,
-        headers: object.get('metadata').get('headersForUpdate'),
+        url: withRequestOptions(url, 'store', options),
+        headers: headers,
         data: object.get('contents')
       }).then(
         function(data, textStatus, jqXHR) {
-          resolve(jqXHR.status);
+          Ember.run(null, resolve, jqXHR.status);
         },
-        function(jqXHR, textStatus) {
-          reject(textStatus);
+        function(jqXHR) {
+          Ember.run(null, reject, jqXHR);
         }
       );
     });
-
-    return request.catch(function(error) {
-      console.log('Error saving riak object: %O', error);
-    });
   },
 
   /**
-   * Performs an update AJAX operation to the Riak Data Type HTTP API endpoint
+   * Performs a Secondary Index (2i) query on a bucket, via a proxied Riak
+   * HTTP API request. Supports exact match and range queries on `_bin` and
+   * `_int` indexes, as well as on the special `$key` and `$bucket` indexes.
+   * @see http://docs.basho.com/riak/latest/dev/references/http/secondary-indexes/
+   * @see http://docs.basho.com/riak/latest/dev/using/2i/
    *
-   * @method updateDataType
-   * @param {RiakObjectCounter|RiakObjectSet|RiakObjectMap|RiakObjectMapField} object
-   * @param {String} operationType
-   * @param {String|RiakObjectMapField} item
+   * @method queryIndex
+   * @param {Bucket} bucket
+   * @param {Hash} query
+   * @param {String} query.indexName Index name, such as `email_bin` or `$key`
+   * @param {String} [query.value] Index value (for exact match queries)
+   * @param {String} [query.start] Start of the range (for range queries)
+   * @param {String} [query.end] End of the range (for range queries)
+   * @param {Boolean} [query.returnTerms] Return matching index terms
+   *            along with the keys (range queries only)
+   * @param {Number} [query.maxResults] Page size
+   * @param {String} [query.continuation] Continuation of a previous query,
+   *            used to fetch the next page of results
+   * @param {DS.Store} store
+   * @return {Ember.RSVP.Promise<Hash>} Query results, in the form of
+   *     `{ results: [{term: String, object: RiakObject}], continuation: String }`
+   *     (`term` is only present when `returnTerms` was requested)
    */
-  updateDataType(object, operationType, item) {
-    var bucket = object.get('bucket');
+  queryIndex(bucket, query, store) {
+    var explorer = this;
     var clusterUrl = this.getClusterProxyUrl(bucket.get('clusterId'));
     var bucketType = bucket.get('bucketTypeId');
     var bucketId = bucket.get('bucketId');
+    var modelName = bucket.get('objectModelName');
+    var isRange = !Ember.isNone(query.start);
+    var params = {};
+
+    var url = `${clusterUrl}/types/${bucketType}/buckets/${bucketId}/index/${encodeURIComponent(query.indexName)}`;
+
+    if (isRange) {
+      url = `${url}/${encodeURIComponent(query.start)}/${encodeURIComponent(query.end)}`;
+      if (query.returnTerms) {
+        params.return_terms = true;
+      }
+    } else {
+      url = `${url}/${encodeURIComponent(query.value)}`;
+    }
+    if (query.maxResults) {
+      params.max_results = query.maxResults;
+    }
+    if (query.continuation) {
+      params.continuation = query.continuation;
+    }
+
+    function createObject(key) {
+      let obj = store.createRecord(modelName, {
+        key: key,
+        bucket: bucket,
+        bucketType: bucket.get('bucketType'),
+        cluster: bucket.get('cluster'),
+        isLoaded: false
+      });
+      if (explorer.wasObjectDeleted(obj)) {
+        obj.set('markedDeleted', true);
+      }
+      return obj;
+    }
+
+    return new Ember.RSVP.Promise(function(resolve, reject) {
+      Ember.$.ajax({
+        type: 'GET',
+        url: url,
+        data: params,
+        dataType: 'json',
+        cache: false
+      }).then(
+        function(data) {
+          var results;
+          if (data.results) {
+            // With return_terms: [ {"<term>": "<key>"}, ... ]
+            results = data.results.map(function(result) {
+              let term = Object.keys(result)[0];
+              return {term: term, object: createObject(result[term])};
+            });
+          } else {
+            results = data.keys.map(function(key) {
+              return {object: createObject(key)};
+            });
+          }
+          Ember.run(null, resolve, {
+            results: results,
+            continuation: data.continuation
+          });
+        },
+        function(jqXHR) {
+          Ember.run(null, reject, jqXHR);
+        }
+      );
+    });
+  },
+
+  /**
+   * Adds a snapshot (of an object's previous value) to its edit history in
+   * local storage, keeping at most `historySize` snapshots.
+   * Called before each save, so that the previous value can be restored.
+   *
+   * @method recordObjectHistory
+   * @param object {RiakObject}
+   * @param snapshot {Hash} @see ExplorerService.objectSnapshot
+   * @return {Boolean} Whether the snapshot could be saved
+   */
+  recordObjectHistory(object, snapshot) {
+    var history = [snapshot].concat(this.objectHistoryFor(object));
+
+    history = history.slice(0, this.historySize);
+    // If the storage quota is exceeded, drop the oldest snapshots
+    while (history.length) {
+      try {
+        window.localStorage.setItem(this.historyStorageKeyFor(object), JSON.stringify(history));
+        return true;
+      } catch (error) {
+        history.pop();
+      }
+    }
+    return false;
+  },
+
+  /**
+   * Resolves an object's siblings by writing a single (chosen or merged)
+   * value back to Riak, using the causal context (vclock) shared by the
+   * siblings.
+   * @see http://docs.basho.com/riak/latest/dev/using/conflict-resolution/#Siblings
+   *
+   * @method resolveSiblings
+   * @param {RiakObject} object Object with siblings
+   * @param {RiakObject} sibling Sibling whose content type and headers
+   *            (secondary indexes, custom metadata) will be kept
+   * @param {String} contents Resolved value
+   * @return {Ember.RSVP.Promise} Result of the AJAX request.
+   */
+  resolveSiblings(object, sibling, contents) {
+    var clusterUrl = this.getClusterProxyUrl(object.get('clusterId'));
+    var bucketType = object.get('bucketTypeId');
+    var bucketId = object.get('bucketId');
     var key = object.get('key');
+    var metadata = sibling.get('metadata');
+    var headers = Ember.merge({}, metadata.get('headersForUpdate'));
+
+    headers['X-Riak-Vclock'] = object.get('metadata').get('causalContext');
+
+    var url = `${clusterUrl}/types/${bucketType}/buckets/${bucketId}/keys/${encodeURIComponent(key)}`;
+
+    return new Ember.RSVP.Promise(function(resolve, reject) {
+      Ember.$.ajax({
+        type: 'PUT',
+        processData: false,
+        contentType: metadata.get('contentType'),
+        url: url,
+        headers: headers,
+        data: contents
+      }).then(
+        function(data, textStatus, jqXHR) {
+          Ember.run(null, resolve, jqXHR.status);
+        },
+        function(jqXHR) {
+          Ember.run(null, reject, jqXHR);
+        }
+      );
+    });
+  },
 
-    var url = `${clusterUrl}/types/${bucketType}/buckets/${bucketId}/datatypes/${key}`;
+  /**
+   * Restores an object to a snapshot from its edit history, via a new
+   * Store Object (PUT) request. Once written, the value it replaced is
+   * added to the history, so that the restore can itself be undone.
+   *
+   * @method restoreObjectSnapshot
+   * @param object {RiakObject} Current version of the object
+   * @param snapshot {Hash} @see ExplorerService.objectSnapshot
+   * @param store {DS.Store}
+   * @return {Ember.RSVP.Promise} Rejects with the jqXHR if the PUT fails
+   */
+  restoreObjectSnapshot(object, snapshot, store) {
     var self = this;
+    var headers = JSON.parse(JSON.stringify(snapshot.headers));
+    var snapshotOfCurrent;
+    var restored;
+
+    // Write with the current causal context, to replace the current value
+    delete headers.other['x-riak-vclock'];
+    delete headers.other['etag'];
+    if (object.get('metadata').get('causalContext')) {
+      headers.other['x-riak-vclock'] = object.get('metadata').get('causalContext');
+    }
+    if (object.get('metadata').get('etag')) {
+      headers.other['etag'] = object.get('metadata').get('etag');
+    }
+    restored = store.createRecord('riak-object', {
+      key: object.get('key'),
+      bucket: object.get('bucket'),
+      bucketType: object.get('bucketType'),
+      cluster: object.get('cluster'),
+      metadata: store.createRecord('object-metadata', {headers: headers}),
+      contents: snapshot.contents
+    });
+
+    snapshotOfCurrent = this.objectSnapshot(object);
+    return this.putObject(restored).then(function(result) {
+      self.recordObjectHistory(object, snapshotOfCurrent);
+      return result;
+    });
+  },
+
+  /**
+   * Updates a RiakObject via an HTTP Store Object request to the cluster.
+   * Errors are logged to the console.
+   * @see ExplorerService.putObject
+   *
+   * @method saveObject
+   * @param {RiakObject} object
+   * @param {Hash} [options] Request options, @see ExplorerService.putObject
+   * @return {Ember.RSVP.Promise} Result of the AJAX request.
+   */
+  saveObject(object, options) {
+    return this.putObject(object, options).catch(function(error) {
+      console.log('Error saving riak object: %O', error);
+    });
+  },
+
+  /**
+   * Runs a Riak Search (Solr) query against a given search index, via the
+   * Explorer cluster proxy.
+   * @see http://docs.basho.com/riak/latest/dev/using/search/
+   * @see http://docs.basho.com/riak/latest/dev/references/http/search/
+   *
+   * @method searchQuery
+   * @param {SearchIndex} searchIndex
+   * @param {Hash} params Solr query parameters (`q`, `fq`, `sort`, `start`,
+   *            `rows`, `fl`, `wt`, `facet.field` and so on). Array values
+   *            are sent as repeated parameters.
+   * @return {Ember.RSVP.Promise<Hash>} Query results, in the form of
+   *     `{ raw: String, response: Hash|Null }`. The parsed `response` is only
+   *     available for JSON (`wt=json`) queries, and the promise is rejected
+   *     if it cannot be parsed.
+   */
+  searchQuery(searchIndex, params) {
+    var proxyUrl = searchIndex.get('cluster').get('proxyUrl');
+    var url = `${proxyUrl}/search/query/${encodeURIComponent(searchIndex.get('name'))}`;
 
     return new Ember.RSVP.Promise(function(resolve, reject) {
-      var ajaxHash = {
+      Ember.$.ajax({
+        type: 'GET',
+        url: url,
+        data: params,
+        traditional: true,  // facet.field=a&facet.field=b
+        dataType: 'text',
+        cache: false
+      }).then(
+        function(data) {
+          var response = null;
+          if (params.wt === 'json') {
+            try {
+              response = JSON.parse(data);
+            } catch (error) {
+              Ember.run(null, reject, new Ember.Error(`Invalid JSON response: ${error.message}`));
+              return;
+            }
+          }
+          Ember.run(null, resolve, {raw: data, response: response});
+        },
+        function(jqXHR) {
+          Ember.run(null, reject, jqXHR);
+        }
+      );
+    });
+  },
+
+  /**
+   * Changes the page size used for bucket and key lists, and remembers it
+   * in local storage.
+   *
+   * @method setPageSize
+   * @param pageSize {Integer}
+   */
+  setPageSize(pageSize) {
+    this.set('pageSize', pageSize);
+    try {
+      window.localStorage.setItem(this.pageSizeStorageKey, pageSize);
+    } catch (error) {
+      // Local storage is not available, the choice lasts for this session
+    }
+  },
+
+  /**
+   * Performs a proxied 'Set Bucket Properties' HTTP API call to Riak, for
+   * either a bucket or a bucket type. On success, the model's properties are
+   * updated in place (so that the change is reflected without a reload).
+   * @see http://docs.basho.com/riak/latest/dev/references/http/set-bucket-props/
+   *
+   * @method updateBucketProps
+   * @param {Bucket|BucketType} model
+   * @param {Hash} changes Changed properties only, e.g. `{ n_val: 5 }`
+   * @return {Ember.RSVP.Promise<BucketProps>}
+   */
+  updateBucketProps(model, changes) {
+    var clusterUrl = this.getClusterProxyUrl(model.get('clusterId'));
+    var bucketTypeId = model.get('bucketTypeId');
+    var bucketId = model.get('bucketId');
+    var url = `${clusterUrl}/types/${bucketTypeId}`;
+
+    if (bucketId) {
+      url += `/buckets/${bucketId}`;
+    }
+    url += '/props';
+
+    return new Ember.RSVP.Promise(function(resolve, reject) {
+      Ember.$.ajax({
+        type: 'PUT',
         contentType: 'application/json',
-        type: 'POST',
-        dataType: 'json',
+        processData: false,
         url: url,
-        data: self.dataTypeActionFor(object, operationType, item),
-        success: function(data) {
-          resolve(data);
+        data: JSON.stringify({props: changes})
+      }).then(
+        function() {
+          let bucketProps = model.get('props');
+          let updated = Ember.merge(Ember.merge({}, bucketProps.get('props')), changes);
+
+          bucketProps.set('props', updated);
+          Ember.run(null, resolve, bucketProps);
         },
-        error: function(jqXHR) {
-          if (jqXHR.status === 204) {
-            resolve(jqXHR.status);
-          } else {
-            reject(jqXHR);
-          }
+        function(jqXHR) {
+          Ember.run(null, reject, jqXHR);
         }
-      };
-      Ember.$.ajax(ajaxHash);
+      );
     });
   },
 
+  /**
+   * Performs an update AJAX operation to the Riak Data Type HTTP API endpoint
+   *
+   * @method updateDataType
+   * @param {RiakObjectCounter|RiakObjectSet|RiakObjectMap|RiakObjectMapField} object
+   * @param {String} operationType
+   * @param {String|RiakObjectMapField} item
+   * @param {Hash} [options] Request options (`w`, `dw`, `pw`, `returnbody`),
+   *     @see requestOptionsQuery
+   */
+  updateDataType(object, operationType, item, options) {
+    return this.postDataTypeOperation(object,
+      this.dataTypeActionFor(object, operationType, item), options);
+  },
+
+  /**
+   * Submits a list of staged changes to a Map (and its nested fields) as
+   * a single, atomic update operation.
+   * @see ExplorerService.dataTypeBatchMapOperation
+   *
+   * @method updateMap
+   * @param {RiakObjectMap} map
+   * @param {Array<Hash>} changes List of `{ object, operationType, item }`
+   * @param {Hash} [options] Request options (`w`, `dw`, `pw`, `returnbody`),
+   *     @see requestOptionsQuery
+   * @return {Ember.RSVP.Promise}
+   */
+  updateMap(map, changes, options) {
+    return this.postDataTypeOperation(map,
+      JSON.stringify(this.dataTypeBatchMapOperation(map, changes)), options);
+  },
+
+  /**
+   * Performs a link-walking query, starting from an object: each step
+   * follows the links (of the objects reached by the previous step) that
+   * match its bucket and tag, `_` matching any bucket or tag.
+   * Unlike Riak's (deprecated) link walking HTTP API, the links are followed
+   * by fetching each object, so this also works in non-default bucket types.
+   * Links to missing objects are skipped.
+   * @see http://docs.basho.com/riak/latest/dev/using/link-walking/
+   *
+   * @method walkLinks
+   * @param {RiakObject} object Starting object
+   * @param {Array<Hash>} steps List of `{ bucket, riaktag, keep }` steps.
+   *     The objects reached by a step are returned if `keep` is set, and
+   *     always for the last step.
+   * @param {DS.Store} store
+   * @return {Ember.RSVP.Promise<Array<Hash>>} List of `{ step, objects }`
+   *     hashes, where `step` is the (1-based) step number
+   */
+  walkLinks(object, steps, store) {
+    var self = this;
+    var results = [];
+
+    function walkStep(objects, stepIndex) {
+      var step = steps[stepIndex];
+      var seen = {};
+      var links = [];
+
+      if (!step) {
+        return Ember.RSVP.resolve(results);
+      }
+      objects.forEach(function(source) {
+        (source.get('metadata.headersLinks') || []).forEach(function(link) {
+          var id = `${link.bucket}/${link.key}`;
+
+          if (linkMatchesStep(link, step) && !seen[id]) {
+            seen[id] = true;
+            links.push(link);
+          }
+        });
+      });
+
+      return self.getLinkedBuckets(object, links, store)
+        .then(function(buckets) {
+          var reachable = links.filter(function(link) {
+            return buckets[link.bucket];
+          });
+
+          return promisePool(reachable, self.bulkConcurrency, function(link) {
+            return self.getRiakObject(buckets[link.bucket], link.key, store);
+          });
+        })
+        .then(function(fetched) {
+          var reached = fetched.filterBy('state', 'fulfilled').mapBy('value');
+
+          if (step.keep || stepIndex === steps.length - 1) {
+            results.push({step: stepIndex + 1, objects: reached});
+          }
+          return walkStep(reached, stepIndex + 1);
+        });
+    }
+
+    return walkStep([object], 0);
+  },
+
   /**
    * Returns true if a given object was marked as deleted in the client-side
    * ExplorerService.deleted key cache.
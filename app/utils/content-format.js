@@ -0,0 +1,255 @@
+/**
+ * Returns the line number (1-based) of a character position in a text.
+ *
+ * @method lineAt
+ * @param {String} text
+ * @param {Number} position
+ * @return {Number}
+ * @private
+ */
+function lineAt(text, position) {
+  return text.slice(0, position).split('\n').length;
+}
+
+/**
+ * Checks whether a JSON document parses.
+ *
+ * @method jsonParseError
+ * @param {String} text
+ * @return {String|Null} Error message (with the line number, when the
+ *     browser reports the position of the error), or `null` if valid
+ * @private
+ */
+function jsonParseError(text) {
+  try {
+    JSON.parse(text);
+    return null;
+  } catch (error) {
+    let position = /at position (\d+)/.exec(error.message);
+    if (position) {
+      return `Line ${lineAt(text, parseInt(position[1], 10))}: ${error.message}`;
+    }
+    return error.message;
+  }
+}
+
+/**
+ * Checks whether an XML document parses.
+ *
+ * @method xmlParseError
+ * @param {String} text
+ * @return {String|Null} Error message, or `null` if valid
+ * @private
+ */
+function xmlParseError(text) {
+  let doc = new window.DOMParser().parseFromString(text, 'application/xml');
+  let errors = doc.getElementsByTagName('parsererror');
+
+  if (errors.length) {
+    return errors[0].textContent.trim() || 'Invalid XML';
+  }
+  return null;
+}
+
+/**
+ * Matches the markup of an XML document: comments, CDATA sections,
+ * processing instructions, the doctype (with its internal subset) and tags
+ * (whose quoted attribute values may contain `>`).
+ *
+ * @property XML_MARKUP
+ * @type RegExp
+ * @private
+ */
+const XML_MARKUP = new RegExp('(' + [
+  '<!--[\\s\\S]*?-->',
+  '<!\\[CDATA\\[[\\s\\S]*?\\]\\]>',
+  '<\\?[\\s\\S]*?\\?>',
+  '<!DOCTYPE(?:\\[[\\s\\S]*?\\]|[^>\\[])*>',
+  '<(?:"[^"]*"|\'[^\']*\'|[^\'">])*>'
+].join('|') + ')');
+
+/**
+ * Splits an XML document into tags and text nodes. Elements that directly
+ * contain text have mixed content, in which the whitespace between tags is
+ * significant (as in `<p><b>a</b> <i>b</i></p>`). Whitespace that spans
+ * lines is taken to be indentation, and does not count as text.
+ * CDATA sections are text; comments and processing instructions are kept
+ * as they are, on a line of their own.
+ *
+ * @method xmlTokens
+ * @param {String} text
+ * @return {Array<Hash>} List of `{ text, isText, isOpening, isClosing }`
+ *     tokens. Opening tags also have `isMixed` and `end` (the index of the
+ *     matching closing tag), and text nodes have the opening tag of their
+ *     `parent` element.
+ * @private
+ */
+function xmlTokens(text) {
+  let open = [];
+  let tokens = text.split(XML_MARKUP).filter(function(token) {
+    return token !== '';
+  }).map(function(token) {
+    let isTag = /^</.test(token) && !/^<!\[CDATA\[/.test(token);
+
+    return {
+      text: token,
+      isText: !isTag,
+      isOpening: isTag && /^<[^\/!?]/.test(token) && !/\/>$/.test(token),
+      isClosing: /^<\//.test(token),
+      isMixed: false
+    };
+  });
+
+  tokens.forEach(function(token, index) {
+    let parent = open[open.length - 1];
+
+    if (token.isOpening) {
+      open.push(token);
+    } else if (token.isClosing && parent) {
+      open.pop();
+      parent.end = index;
+    } else if (token.isText) {
+      token.parent = parent;
+      if (parent && (token.text.trim() !== '' || !/\n/.test(token.text))) {
+        parent.isMixed = true;
+      }
+    }
+  });
+  return tokens;
+}
+
+/**
+ * Is a token whitespace that can be removed (or re-indented)? Only the
+ * indentation of elements without mixed content (and the whitespace around
+ * the root element) can be.
+ *
+ * @method isInsignificantWhitespace
+ * @param {Hash} token @see xmlTokens
+ * @return {Boolean}
+ * @private
+ */
+function isInsignificantWhitespace(token) {
+  return token.isText && token.text.trim() === '' &&
+    !(token.parent && token.parent.isMixed);
+}
+
+/**
+ * Re-indents an XML document, one element per line. Elements with mixed
+ * content (including the ones that only contain text) are kept on a single
+ * line, unchanged.
+ *
+ * @method formatXml
+ * @param {String} text
+ * @param {String} indent
+ * @return {String}
+ * @private
+ */
+function formatXml(text, indent) {
+  let tokens = xmlTokens(text);
+  let lines = [];
+  let depth = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    let token = tokens[i];
+    let padding = new Array(depth + 1).join(indent);
+
+    if (isInsignificantWhitespace(token)) {
+      continue;
+    }
+    if (token.isClosing) {
+      depth = Math.max(0, depth - 1);
+      lines.push(new Array(depth + 1).join(indent) + token.text);
+    } else if (token.isOpening && token.isMixed && token.end !== undefined) {
+      // <p>text <b>and</b> elements</p>
+      lines.push(padding + tokens.slice(i, token.end + 1).mapBy('text').join(''));
+      i = token.end;
+    } else {
+      lines.push(padding + token.text.trim());
+      if (token.isOpening) {
+        depth++;
+      }
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Determines how an object's contents should be edited, based on its
+ * content type: `'json'`, `'xml'` or `'text'` (anything else).
+ *
+ * @method contentFormat
+ * @param {String} contentType Such as `application/json; charset=utf-8`
+ * @return {String}
+ */
+export default function contentFormat(contentType) {
+  let mediaType = (contentType || '').split(';')[0].trim().toLowerCase();
+
+  if (mediaType === 'application/json' || /\+json$/.test(mediaType)) {
+    return 'json';
+  }
+  if (mediaType === 'application/xml' || mediaType === 'text/xml' ||
+    /\+xml$/.test(mediaType)) {
+    return 'xml';
+  }
+  return 'text';
+}
+
+/**
+ * Checks whether a document parses, for the formats that can be checked.
+ *
+ * @method parseError
+ * @param {String} format @see contentFormat
+ * @param {String} text
+ * @return {String|Null} Error message, or `null` if valid (or not checked)
+ */
+export function parseError(format, text) {
+  switch (format) {
+    case 'json':
+      return jsonParseError(text || '');
+    case 'xml':
+      return xmlParseError(text || '');
+    default:
+      return null;
+  }
+}
+
+/**
+ * Pretty-prints (re-indents) a JSON or XML document.
+ * The document must parse (see `parseError`).
+ *
+ * @method prettyPrint
+ * @param {String} format @see contentFormat
+ * @param {String} text
+ * @return {String}
+ */
+export function prettyPrint(format, text) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(JSON.parse(text), null, 2);
+    case 'xml':
+      return formatXml(text, '  ');
+    default:
+      return text;
+  }
+}
+
+/**
+ * Removes the insignificant whitespace from a JSON or XML document.
+ * In XML, the whitespace in elements with mixed content is kept.
+ * The document must parse (see `parseError`).
+ *
+ * @method minify
+ * @param {String} format @see contentFormat
+ * @param {String} text
+ * @return {String}
+ */
+export function minify(format, text) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(JSON.parse(text));
+    case 'xml':
+      return xmlTokens(text).reject(isInsignificantWhitespace).mapBy('text').join('');
+    default:
+      return text;
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * Copies some text to the clipboard. Must be called from a user-initiated
+ * event handler (a click, for example).
+ *
+ * @method copyToClipboard
+ * @param {String} text
+ * @return {Boolean} Was the text copied? (Not all browsers allow it.)
+ */
+export default function copyToClipboard(text) {
+  let textarea = document.createElement('textarea');
+  let copied = false;
+
+  textarea.value = text;
+  // Keep the page from scrolling to the (temporary) textarea
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  try {
+    copied = document.execCommand('copy');
+  } catch (error) {
+    copied = false;
+  }
+  document.body.removeChild(textarea);
+  return copied;
+}
@@ -0,0 +1,25 @@
+import Ember from 'ember';
+
+/**
+ * Prompts the browser to save some generated contents as a file.
+ * The object URL is revoked a little later, since some browsers start the
+ * download only after the click handler returns.
+ *
+ * @method downloadFile
+ * @param {String|Uint8Array} contents
+ * @param {String} fileName Suggested file name
+ * @param {String} [contentType='text/plain']
+ */
+export default function downloadFile(contents, fileName, contentType = 'text/plain') {
+  let blob = new Blob([contents], {type: contentType});
+  let link = document.createElement('a');
+
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  Ember.run.later(function() {
+    URL.revokeObjectURL(link.href);
+  }, 1000);
+}
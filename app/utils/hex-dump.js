@@ -0,0 +1,48 @@
+/**
+ * Left-pads a hexadecimal number with zeros.
+ *
+ * @method toHex
+ * @param {Number} value
+ * @param {Number} width Number of hex digits
+ * @return {String}
+ * @private
+ */
+function toHex(value, width) {
+  let hex = value.toString(16);
+
+  while (hex.length < width) {
+    hex = '0' + hex;
+  }
+  return hex;
+}
+
+/**
+ * Formats a range of bytes as the rows of a hex dump (like `hexdump -C`).
+ * Non-printable bytes are shown as `.` in the ASCII column.
+ *
+ * @method hexDump
+ * @param {Uint8Array} bytes
+ * @param {Number} [offset=0] Index of the first byte to dump
+ * @param {Number} [length] Number of bytes to dump (default: all the rest)
+ * @param {Number} [bytesPerRow=16]
+ * @return {Array<Hash>} List of `{ offset, hex, ascii }` rows
+ * @example
+ *     hexDump(new Uint8Array([72, 105, 0]));
+ *     // [ { offset: '00000000', hex: '48 69 00', ascii: 'Hi.' } ]
+ */
+export default function hexDump(bytes, offset = 0, length = bytes.length - offset, bytesPerRow = 16) {
+  let end = Math.min(bytes.length, offset + length);
+  let rows = [];
+
+  for (let rowStart = offset; rowStart < end; rowStart += bytesPerRow) {
+    let hex = [];
+    let ascii = '';
+
+    for (let i = rowStart; i < Math.min(end, rowStart + bytesPerRow); i++) {
+      hex.push(toHex(bytes[i], 2));
+      ascii += (bytes[i] >= 0x20 && bytes[i] < 0x7f) ? String.fromCharCode(bytes[i]) : '.';
+    }
+    rows.push({offset: toHex(rowStart, 8), hex: hex.join(' '), ascii: ascii});
+  }
+  return rows;
+}
@@ -0,0 +1,159 @@
+import Ember from 'ember';
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, escaped `""` quotes, and
+ * newlines inside quoted fields) into a list of rows.
+ *
+ * @method parseCsvRows
+ * @param {String} text
+ * @return {Array<Array<String>>}
+ * @private
+ */
+function parseCsvRows(text) {
+  let rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    let c = text[i];
+
+    if (inQuotes) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        inQuotes = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      inQuotes = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(function(cells) {
+    return cells.length > 1 || cells[0] !== '';
+  });
+}
+
+/**
+ * Converts CSV rows into records. The first row is the header; recognized
+ * columns are `key`, `content_type`, `encoding`, `body`, `type` and `value`.
+ * Columns named `usermeta.<name>` and `indexes.<name>` hold user metadata
+ * and secondary index values (several index values can be separated by
+ * commas).
+ *
+ * @method csvRecords
+ * @param {String} text
+ * @return {Array<Hash>}
+ * @private
+ */
+function csvRecords(text) {
+  let rows = parseCsvRows(text);
+  let header = rows.shift() || [];
+
+  if (header.indexOf('key') < 0) {
+    throw new Ember.Error('CSV files must have a header row with a "key" column.');
+  }
+
+  return rows.map(function(cells) {
+    let record = {};
+
+    header.forEach(function(column, i) {
+      let value = cells[i];
+      let match = /^(usermeta|indexes)\.(.+)$/.exec(column);
+
+      if (value === undefined || value === '') {
+        return;
+      }
+      if (match) {
+        record[match[1]] = record[match[1]] || {};
+        record[match[1]][match[2]] = (match[1] === 'indexes') ?
+          value.split(/\s*,\s*/) : value;
+      } else {
+        record[column] = value;
+      }
+    });
+    return record;
+  });
+}
+
+/**
+ * Converts newline-delimited JSON text (one record per line, as produced by
+ * the Export feature) into records.
+ *
+ * @method ndjsonRecords
+ * @param {String} text
+ * @return {Array<Hash>}
+ * @private
+ */
+function ndjsonRecords(text) {
+  let records = [];
+
+  text.split(/\r?\n/).forEach(function(line, i) {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      throw new Ember.Error(`Invalid JSON on line ${i + 1}: ${error.message}`);
+    }
+  });
+  return records;
+}
+
+/**
+ * Parses the contents of an import file into a list of records.
+ * Supported formats are newline-delimited JSON (the Export format), a JSON
+ * array of records, and CSV (detected by the `.csv` file extension).
+ * Every record must have a `key`.
+ * @see ExplorerService.exportRecordFor
+ *
+ * @method importRecords
+ * @param {String} text File contents
+ * @param {String} [fileName]
+ * @return {Array<Hash>} Records
+ * @throws {Ember.Error} If the file cannot be parsed
+ */
+export default function importRecords(text, fileName = '') {
+  let records;
+  let trimmed = (text || '').trim();
+
+  if (/\.csv$/i.test(fileName)) {
+    records = csvRecords(text);
+  } else if (trimmed.startsWith('[')) {
+    try {
+      records = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Ember.Error(`Invalid JSON: ${error.message}`);
+    }
+  } else {
+    records = ndjsonRecords(text || '');
+  }
+
+  records.forEach(function(record, i) {
+    if (!record || typeof record !== 'object' || Ember.isBlank(record.key)) {
+      throw new Ember.Error(`Record ${i + 1} has no key.`);
+    }
+    record.key = String(record.key);
+  });
+  return records;
+}
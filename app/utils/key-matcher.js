@@ -0,0 +1,40 @@
+import Ember from 'ember';
+
+/**
+ * Returns a predicate that tests whether a key matches a filter.
+ * Matching is case-sensitive (Riak keys are binaries).
+ * An empty pattern matches every key.
+ *
+ * @method keyMatcher
+ * @param {String} mode `'prefix'`, `'substring'` or `'regex'`
+ * @param {String} pattern Prefix, substring or regular expression
+ * @return {Function} `(key) -> Boolean`
+ * @throws {Ember.Error} If the mode is unknown or the regex is invalid
+ */
+export default function keyMatcher(mode, pattern) {
+  let regex;
+
+  pattern = pattern || '';
+
+  switch (mode) {
+    case 'prefix':
+      return function(key) {
+        return key.startsWith(pattern);
+      };
+    case 'substring':
+      return function(key) {
+        return key.indexOf(pattern) !== -1;
+      };
+    case 'regex':
+      try {
+        regex = new RegExp(pattern);
+      } catch (error) {
+        throw new Ember.Error(`Invalid regular expression: ${error.message}`);
+      }
+      return function(key) {
+        return regex.test(key);
+      };
+    default:
+      throw new Ember.Error(`Unknown key filter mode: ${mode}`);
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Splits a text into a list of lines.
+ *
+ * @method toLines
+ * @param {String|Array<String>} text
+ * @return {Array<String>}
+ * @private
+ */
+function toLines(text) {
+  if (Array.isArray(text)) {
+    return text;
+  }
+  return text ? text.split(/\r?\n/) : [];
+}
+
+/**
+ * Computes a line-by-line diff between two texts (or lists of lines), based
+ * on the Longest Common Subsequence of their lines.
+ *
+ * @method lineDiff
+ * @param {String|Array<String>} before
+ * @param {String|Array<String>} after
+ * @return {Array<Hash>} List of `{ type, line }` entries, where `type` is one
+ *    of `'same'`, `'removed'` (only in `before`) or `'added'` (only in `after`)
+ * @example
+ *     lineDiff('a\nb', 'a\nc');
+ *     // [ { type: 'same', line: 'a' }, { type: 'removed', line: 'b' },
+ *     //   { type: 'added', line: 'c' } ]
+ */
+export default function lineDiff(before, after) {
+  let a = toLines(before);
+  let b = toLines(after);
+  let lcs = [];
+  let i;
+  let j;
+
+  // lcs[i][j] holds the LCS length of a[i..] and b[j..]
+  for (i = a.length; i >= 0; i--) {
+    lcs[i] = [];
+    for (j = b.length; j >= 0; j--) {
+      if (i === a.length || j === b.length) {
+        lcs[i][j] = 0;
+      } else if (a[i] === b[j]) {
+        lcs[i][j] = lcs[i + 1][j + 1] + 1;
+      } else {
+        lcs[i][j] = Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+  }
+
+  let diff = [];
+  i = 0;
+  j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({type: 'same', line: a[i]});
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      diff.push({type: 'removed', line: a[i]});
+      i++;
+    } else {
+      diff.push({type: 'added', line: b[j]});
+      j++;
+    }
+  }
+  for (; i < a.length; i++) {
+    diff.push({type: 'removed', line: a[i]});
+  }
+  for (; j < b.length; j++) {
+    diff.push({type: 'added', line: b[j]});
+  }
+  return diff;
+}
@@ -0,0 +1,86 @@
+/**
+ * Converts the contents of a Map data type (as built by
+ * `ExplorerService.collectMapFields`) back to the plain JSON value returned
+ * by the Riak HTTP API. Only the field values are kept: the `parentMap` and
+ * `rootMap` back-references of the field models (which make the contents
+ * circular) are left out.
+ *
+ * @method mapContentsToJSON
+ * @param {Hash} contents Map contents, `{ counters, flags, registers, sets, maps }`
+ * @return {Hash}
+ * @example
+ *     { "name_register": "Joe", "interests_set": ["ember"], "address_map": { ... } }
+ */
+export default function mapContentsToJSON(contents) {
+  let payload = {};
+  let maps = contents.maps || {};
+
+  ['counters', 'flags', 'registers', 'sets'].forEach(function(fieldType) {
+    let fields = contents[fieldType] || {};
+    Object.keys(fields).forEach(function(fieldName) {
+      payload[fieldName] = fields[fieldName].get('value');
+    });
+  });
+  Object.keys(maps).forEach(function(fieldName) {
+    payload[fieldName] = mapContentsToJSON(maps[fieldName].get('value'));
+  });
+  return payload;
+}
+
+/**
+ * Builds a tree of a Map's plain JSON value, for display. Fields are sorted
+ * by name, and nested maps have child nodes.
+ *
+ * @method mapTree
+ * @param {Hash} value Plain JSON value of a Map, @see mapContentsToJSON
+ * @param {String} [parentPath] Path of the nested map
+ * @return {Array<Hash>} List of `{ name, path, fieldType, value, children }`
+ *     nodes, where `path` is the dot-separated path of the field
+ *     (e.g. `address_map.city_register`), and `value` is the JSON value of
+ *     non-map fields
+ */
+export function mapTree(value, parentPath) {
+  return Object.keys(value).sort().map(function(name) {
+    let path = parentPath ? `${parentPath}.${name}` : name;
+    let fieldType = name.slice(name.lastIndexOf('_') + 1);
+
+    if (fieldType === 'map') {
+      return {name: name, path: path, fieldType: fieldType, value: null,
+        children: mapTree(value[name], path)};
+    }
+    return {name: name, path: path, fieldType: fieldType,
+      value: JSON.stringify(value[name]), children: []};
+  });
+}
+
+/**
+ * Splits a text into the parts that match a search term (case-insensitive)
+ * and the parts that don't, for highlighting the matches.
+ *
+ * @method highlightParts
+ * @param {String} text
+ * @param {String} [term]
+ * @return {Array<Hash>} List of `{ text, isMatch }` parts
+ */
+export function highlightParts(text, term) {
+  let parts = [];
+  let lowerText = (text || '').toLowerCase();
+  let lowerTerm = (term || '').toLowerCase();
+  let start = 0;
+  let index;
+
+  if (!lowerTerm) {
+    return text ? [{text: text, isMatch: false}] : [];
+  }
+  while ((index = lowerText.indexOf(lowerTerm, start)) > -1) {
+    if (index > start) {
+      parts.push({text: text.slice(start, index), isMatch: false});
+    }
+    parts.push({text: text.slice(index, index + lowerTerm.length), isMatch: true});
+    start = index + lowerTerm.length;
+  }
+  if (start < lowerText.length) {
+    parts.push({text: text.slice(start), isMatch: false});
+  }
+  return parts;
+}
@@ -0,0 +1,193 @@
+import Ember from 'ember';
+
+/**
+ * Returns a copy of a (JSON) operation, so that merging never modifies the
+ * operations that were staged.
+ *
+ * @method copyOperation
+ * @param {Hash|String|Number} operation
+ * @return {Hash|String|Number}
+ * @private
+ */
+function copyOperation(operation) {
+  return JSON.parse(JSON.stringify(operation));
+}
+
+/**
+ * Returns the list of elements (or field names) of an `add`/`add_all` or
+ * `remove`/`remove_all` pair of operation keys.
+ *
+ * @method elementsOf
+ * @param {Hash} operation
+ * @param {String} single For example `'add'`
+ * @param {String} multiple For example `'add_all'`
+ * @return {Array<String>}
+ * @private
+ */
+function elementsOf(operation, single, multiple) {
+  let elements = [].concat(operation[multiple] || []);
+
+  if (operation.hasOwnProperty(single)) {
+    elements = elements.concat(operation[single]);
+  }
+  return elements;
+}
+
+/**
+ * Checks whether a merged field operation no longer changes anything.
+ *
+ * @method isNoOperation
+ * @param {Hash|String|Number} operation
+ * @return {Boolean}
+ * @private
+ */
+function isNoOperation(operation) {
+  if (operation && typeof operation === 'object') {
+    return !Object.keys(operation).length || operation.increment === 0;
+  }
+  return false;
+}
+
+/**
+ * Does an update replace the whole value of a field (Registers and Flags),
+ * rather than change its current value (Counters, Sets and Maps)?
+ *
+ * @method isReplaceable
+ * @param {String} fieldName
+ * @return {Boolean}
+ * @private
+ */
+function isReplaceable(fieldName) {
+  return fieldName.endsWith('_register') || fieldName.endsWith('_flag');
+}
+
+/**
+ * Merges two operations on a Set field. Adding an element that has a
+ * pending removal (or removing one that has a pending addition) cancels
+ * both out, leaving the element as it was.
+ *
+ * @method mergeSetOperations
+ * @param {Hash} target
+ * @param {Hash} operation
+ * @return {Hash} `{ add_all, remove_all }` (empty lists are left out)
+ * @private
+ */
+function mergeSetOperations(target, operation) {
+  let added = elementsOf(target, 'add', 'add_all');
+  let removed = elementsOf(target, 'remove', 'remove_all');
+  let merged = {};
+  let toggle = function(element, pending, opposite) {
+    if (opposite.indexOf(element) > -1) {
+      opposite.splice(opposite.indexOf(element), 1);
+    } else if (pending.indexOf(element) < 0) {
+      pending.push(element);
+    }
+  };
+
+  elementsOf(operation, 'add', 'add_all').forEach(function(element) {
+    toggle(element, added, removed);
+  });
+  elementsOf(operation, 'remove', 'remove_all').forEach(function(element) {
+    toggle(element, removed, added);
+  });
+  if (added.length) {
+    merged.add_all = added;
+  }
+  if (removed.length) {
+    merged.remove_all = removed;
+  }
+  return merged;
+}
+
+/**
+ * Merges two operations on a Counter field into a single increment
+ * (or decrement) by the net amount.
+ *
+ * @method mergeCounterOperations
+ * @param {Hash|Number} target
+ * @param {Hash|Number} operation
+ * @return {Hash}
+ * @private
+ */
+function mergeCounterOperations(target, operation) {
+  let amount = function(counterOperation) {
+    if (typeof counterOperation === 'number') {
+      return counterOperation;
+    }
+    return (counterOperation.increment || 0) - (counterOperation.decrement || 0);
+  };
+  let net = amount(target) + amount(operation);
+
+  return net < 0 ? {decrement: -net} : {increment: net};
+}
+
+/**
+ * Merges a Map data type operation into another one (recursively, for
+ * nested maps), so that several staged changes can be sent to Riak as a
+ * single, atomic update.
+ *  - Register and Flag updates: the last one wins
+ *  - Counter updates are added up
+ *  - Set updates are combined into `add_all`/`remove_all` lists
+ *  - Removing a field discards any earlier update to it, and updating
+ *    a Register or Flag cancels its earlier removal
+ *  - Counters, Sets and Maps cannot be updated after their removal: the
+ *    update would apply to their old value (a counter of 10, removed and
+ *    added back with 5, would be 15), so the removal has to be sent first
+ * @see ExplorerService.dataTypeBatchMapOperation
+ *
+ * @method mergeMapOperations
+ * @param {Hash} target Operation being assembled (modified in place)
+ * @param {Hash} operation For example
+ *     `{ update: { "address_map": { update: { "city_register": "Paris" } } } }`
+ * @return {Hash} The `target` operation, with `update` and/or `remove` keys
+ * @throws {Ember.Error} If a removed Counter, Set or Map field is updated
+ */
+export default function mergeMapOperations(target, operation) {
+  let removed = [].concat(target.remove || []);
+
+  delete target.remove;
+  Object.keys(operation.update || {}).forEach(function(fieldName) {
+    let fieldOperation = operation.update[fieldName];
+    let existing;
+
+    if (removed.indexOf(fieldName) > -1 && !isReplaceable(fieldName)) {
+      throw new Ember.Error(`${fieldName} was removed, submit the removal before adding it again.`);
+    }
+    target.update = target.update || {};
+    existing = target.update[fieldName];
+    removed = removed.filter(function(name) { return name !== fieldName; });
+
+    if (existing === undefined) {
+      target.update[fieldName] = copyOperation(fieldOperation);
+    } else if (fieldName.endsWith('_map')) {
+      target.update[fieldName] = mergeMapOperations(existing, fieldOperation);
+    } else if (fieldName.endsWith('_set')) {
+      target.update[fieldName] = mergeSetOperations(existing, fieldOperation);
+    } else if (fieldName.endsWith('_counter')) {
+      target.update[fieldName] = mergeCounterOperations(existing, fieldOperation);
+    } else {
+      target.update[fieldName] = copyOperation(fieldOperation);
+    }
+    if (isNoOperation(target.update[fieldName])) {
+      // For example, an element that was added and then removed again
+      delete target.update[fieldName];
+    }
+  });
+
+  [].concat(operation.remove || []).forEach(function(fieldName) {
+    if (target.update) {
+      delete target.update[fieldName];
+    }
+    if (removed.indexOf(fieldName) < 0) {
+      removed.push(fieldName);
+    }
+  });
+
+  if (target.update && !Object.keys(target.update).length) {
+    delete target.update;
+  }
+  if (removed.length) {
+    target.remove = removed.length === 1 ? removed[0] : removed;
+  }
+  return target;
+}
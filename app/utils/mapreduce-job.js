@@ -0,0 +1,164 @@
+import Ember from 'ember';
+
+/**
+ * Returns a bucket reference, as expected by MapReduce inputs: the bucket
+ * name, or a `[bucketType, bucket]` pair for non-default bucket types.
+ *
+ * @method bucketRef
+ * @param {String} bucketType
+ * @param {String} bucket
+ * @return {String|Array<String>}
+ * @private
+ */
+function bucketRef(bucketType, bucket) {
+  if (Ember.isBlank(bucket)) {
+    throw new Ember.Error('A bucket is required.');
+  }
+  if (!Ember.isBlank(bucketType) && bucketType.trim() !== 'default') {
+    return [bucketType.trim(), bucket.trim()];
+  }
+  return bucket.trim();
+}
+
+/**
+ * Builds the `inputs` of a MapReduce job.
+ * @see http://docs.basho.com/riak/latest/dev/advanced/mapreduce/
+ *
+ * @method mapReduceInputs
+ * @param {String} inputType `'keys'` (a list of bucket/key pairs),
+ *     `'bucket'` (every object in a bucket) or `'index'` (a 2i query)
+ * @param {Hash} input
+ * @param {String} [input.bucketType]
+ * @param {String} [input.bucket] For bucket and 2i inputs
+ * @param {String} [input.keys] For bucket/key inputs: one `bucket/key` per line
+ * @param {String} [input.indexName] Such as `email_bin` or `$key`
+ * @param {String} [input.indexValue] For exact match 2i queries
+ * @param {String} [input.rangeStart] For range 2i queries
+ * @param {String} [input.rangeEnd] For range 2i queries
+ * @return {String|Array|Hash}
+ * @throws {Ember.Error} If the inputs are incomplete
+ */
+export function mapReduceInputs(inputType, input) {
+  let query;
+
+  switch (inputType) {
+    case 'keys':
+      query = (input.keys || '').split(/\r?\n/).map(function(line) {
+        return line.trim();
+      }).filter(function(line) {
+        return line;
+      }).map(function(line) {
+        let separator = line.indexOf('/');
+
+        if (separator < 1 || separator === line.length - 1) {
+          throw new Ember.Error(`Inputs must be in the form bucket/key: ${line}`);
+        }
+        return [bucketRef(input.bucketType, line.slice(0, separator)),
+          line.slice(separator + 1)];
+      });
+      if (!query.length) {
+        throw new Ember.Error('At least one bucket/key input is required.');
+      }
+      return query;
+    case 'bucket':
+      return bucketRef(input.bucketType, input.bucket);
+    case 'index':
+      if (Ember.isBlank(input.indexName)) {
+        throw new Ember.Error('An index name is required.');
+      }
+      query = {bucket: bucketRef(input.bucketType, input.bucket), index: input.indexName.trim()};
+      if (!Ember.isBlank(input.indexValue)) {
+        query.key = input.indexValue;
+      } else if (!Ember.isBlank(input.rangeStart) && !Ember.isBlank(input.rangeEnd)) {
+        query.start = input.rangeStart;
+        query.end = input.rangeEnd;
+      } else {
+        throw new Ember.Error('An index value, or a range start and end, is required.');
+      }
+      return query;
+    default:
+      throw new Ember.Error(`Unknown input type: ${inputType}`);
+  }
+}
+
+/**
+ * Builds a MapReduce phase.
+ *
+ * @method mapReducePhase
+ * @param {Hash} phase
+ * @param {String} phase.type `'map'` or `'reduce'`
+ * @param {String} phase.language `'erlang'` or `'javascript'`
+ * @param {String} [phase.module] Erlang module, such as `riak_kv_mapreduce`
+ * @param {String} [phase.function] Erlang function, such as `map_object_value`
+ * @param {String} [phase.source] JavaScript function source
+ * @param {Boolean} [phase.keep] Return the results of this phase?
+ * @param {String} [phase.arg] Static argument, as JSON
+ * @return {Hash} For example `{ map: { language: 'erlang', ... } }`
+ * @throws {Ember.Error} If the phase is incomplete
+ */
+export function mapReducePhase(phase) {
+  let spec = {language: phase.language};
+
+  if (phase.language === 'erlang') {
+    if (Ember.isBlank(phase.module) || Ember.isBlank(phase.function)) {
+      throw new Ember.Error(`The ${phase.type} phase needs an Erlang module and function.`);
+    }
+    spec.module = phase.module.trim();
+    spec.function = phase.function.trim();
+  } else {
+    if (Ember.isBlank(phase.source)) {
+      throw new Ember.Error(`The ${phase.type} phase needs a JavaScript function.`);
+    }
+    spec.source = phase.source;
+  }
+  if (!Ember.isBlank(phase.arg)) {
+    try {
+      spec.arg = JSON.parse(phase.arg);
+    } catch (error) {
+      throw new Ember.Error(`The ${phase.type} phase argument is not valid JSON: ${error.message}`);
+    }
+  }
+  if (phase.keep) {
+    spec.keep = true;
+  }
+  return {[phase.type]: spec};
+}
+
+/**
+ * Builds a MapReduce job, to be POSTed to Riak's `/mapred` endpoint.
+ * @see http://docs.basho.com/riak/latest/dev/references/http/mapreduce/
+ *
+ * @method mapReduceJob
+ * @param {String|Array|Hash} inputs @see mapReduceInputs
+ * @param {Array<Hash>} phases @see mapReducePhase
+ * @param {Number} [timeout] In milliseconds
+ * @return {Hash}
+ * @throws {Ember.Error} If there are no phases, or a phase is incomplete
+ */
+export default function mapReduceJob(inputs, phases, timeout) {
+  let job;
+
+  if (Ember.isEmpty(phases)) {
+    throw new Ember.Error('At least one phase is required.');
+  }
+  job = {inputs: inputs, query: phases.map(mapReducePhase)};
+  if (timeout) {
+    job.timeout = timeout;
+  }
+  return job;
+}
+
+/**
+ * Returns a `curl` command line that submits a MapReduce job.
+ *
+ * @method curlCommand
+ * @param {String} url Riak HTTP API `/mapred` URL
+ * @param {Hash} job
+ * @return {String}
+ */
+export function curlCommand(url, job) {
+  // Single quotes are escaped for the shell as '\''
+  let data = JSON.stringify(job).replace(/'/g, `'\\''`);
+
+  return `curl -XPOST '${url}' -H 'Content-Type: application/json' -d '${data}'`;
+}
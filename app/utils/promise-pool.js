@@ -0,0 +1,58 @@
+import Ember from 'ember';
+
+/**
+ * Runs an asynchronous task for each item of a list, with at most
+ * `concurrency` tasks in flight at any given time. Like
+ * `Ember.RSVP.allSettled`, the returned promise never rejects; it resolves
+ * with the outcome of every task, in the order of the items.
+ *
+ * @method promisePool
+ * @param {Array} items
+ * @param {Number} concurrency Maximum number of tasks running in parallel
+ * @param {Function} task Called with `(item, index)`, returns a promise
+ *            (or a plain value)
+ * @param {Function} [onProgress] Called with `(completedCount, total)`
+ *            after each task settles
+ * @return {Ember.RSVP.Promise<Array<Hash>>} List of
+ *            `{ item, state: 'fulfilled', value }` or
+ *            `{ item, state: 'rejected', reason }` hashes
+ */
+export default function promisePool(items, concurrency, task, onProgress) {
+  let results = new Array(items.length);
+  let nextIndex = 0;
+  let completed = 0;
+
+  function runNext() {
+    if (nextIndex >= items.length) {
+      return Ember.RSVP.resolve();
+    }
+    let index = nextIndex++;
+    let item = items[index];
+
+    return Ember.RSVP.resolve()
+      .then(function() {
+        return task(item, index);
+      })
+      .then(function(value) {
+        results[index] = {item: item, state: 'fulfilled', value: value};
+      }, function(reason) {
+        results[index] = {item: item, state: 'rejected', reason: reason};
+      })
+      .then(function() {
+        completed++;
+        if (onProgress) {
+          onProgress(completed, items.length);
+        }
+        return runNext();
+      });
+  }
+
+  let workers = [];
+  for (let i = 0; i < Math.min(Math.max(concurrency, 1), items.length); i++) {
+    workers.push(runNext());
+  }
+
+  return Ember.RSVP.all(workers).then(function() {
+    return results;
+  });
+}
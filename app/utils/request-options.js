@@ -0,0 +1,159 @@
+/**
+ * Riak HTTP API query parameters that can be set for a single request,
+ * for each kind of object operation.
+ * @see http://docs.basho.com/riak/latest/dev/advanced/replication-properties/
+ * @see http://docs.basho.com/riak/latest/dev/references/http/fetch-object/
+ * @see http://docs.basho.com/riak/latest/dev/references/http/store-object/
+ * @see http://docs.basho.com/riak/latest/dev/references/http/delete-object/
+ *
+ * @property OPERATION_OPTIONS
+ * @type Hash
+ * @private
+ */
+const OPERATION_OPTIONS = {
+  fetch: ['r', 'pr', 'basic_quorum', 'notfound_ok'],
+  store: ['w', 'dw', 'pw', 'returnbody'],
+  update: ['w', 'dw', 'pw', 'returnbody'],
+  delete: ['rw', 'r', 'pr', 'w', 'pw', 'dw']
+};
+
+/**
+ * Request options that are either `true` or `false`.
+ *
+ * @property BOOLEAN_OPTIONS
+ * @type Array<String>
+ * @private
+ */
+const BOOLEAN_OPTIONS = ['basic_quorum', 'notfound_ok', 'returnbody'];
+
+/**
+ * Symbolic (non-numeric) values accepted by the quorum options.
+ *
+ * @property SYMBOLIC_QUORUM_VALUES
+ * @type Array<String>
+ * @private
+ */
+const SYMBOLIC_QUORUM_VALUES = ['one', 'quorum', 'all', 'default'];
+
+/**
+ * Returns the (trimmed) values of the valid, non-blank request options
+ * that apply to an operation.
+ *
+ * @method optionsSetFor
+ * @param {String} operation
+ * @param {Hash} [options] Option values, keyed by name
+ * @return {Hash}
+ * @private
+ */
+function optionsSetFor(operation, options) {
+  let values = {};
+
+  (OPERATION_OPTIONS[operation] || []).forEach(function(name) {
+    let value = options ? options[name] : null;
+
+    if (value !== undefined && value !== null && String(value).trim() &&
+      !requestOptionError(name, value)) {
+      values[name] = String(value).trim();
+    }
+  });
+  return values;
+}
+
+/**
+ * Returns the request options that apply to one or more operations
+ * (in display order, without duplicates).
+ *
+ * @method requestOptionNames
+ * @param {Array<String>} operations `'fetch'`, `'store'`, `'update'`
+ *     (Data Types) or `'delete'`
+ * @return {Array<String>}
+ */
+export default function requestOptionNames(operations) {
+  let names = [];
+
+  operations.forEach(function(operation) {
+    (OPERATION_OPTIONS[operation] || []).forEach(function(name) {
+      if (names.indexOf(name) < 0) {
+        names.push(name);
+      }
+    });
+  });
+  return names;
+}
+
+/**
+ * @method isBooleanOption
+ * @param {String} name
+ * @return {Boolean}
+ */
+export function isBooleanOption(name) {
+  return BOOLEAN_OPTIONS.indexOf(name) >= 0;
+}
+
+/**
+ * Checks the value of a request option. Blank values are valid (the bucket
+ * default is used).
+ *
+ * @method requestOptionError
+ * @param {String} name
+ * @param {String} value
+ * @return {String|Null} Error message, or `null` if valid
+ */
+export function requestOptionError(name, value) {
+  let trimmed = String(value === undefined || value === null ? '' : value).trim();
+
+  if (!trimmed) {
+    return null;
+  }
+  if (isBooleanOption(name)) {
+    return (trimmed === 'true' || trimmed === 'false') ? null : `${name} must be true or false.`;
+  }
+  if (/^\d+$/.test(trimmed) || SYMBOLIC_QUORUM_VALUES.indexOf(trimmed) >= 0) {
+    return null;
+  }
+  return `${name} must be a number, or one of: ${SYMBOLIC_QUORUM_VALUES.join(', ')}.`;
+}
+
+/**
+ * Returns the query string for the request options that were set for an
+ * operation (options that do not apply to it, or are blank, are left out).
+ *
+ * @method requestOptionsQuery
+ * @param {String} operation
+ * @param {Hash} [options] Option values, keyed by name
+ * @return {String} For example `r=all&notfound_ok=false`, or `''`
+ */
+export function requestOptionsQuery(operation, options) {
+  let values = optionsSetFor(operation, options);
+
+  return Object.keys(values).map(function(name) {
+    return `${name}=${encodeURIComponent(values[name])}`;
+  }).join('&');
+}
+
+/**
+ * Returns the values that are in effect for an operation: the options that
+ * were set for the request, or else the bucket's defaults.
+ *
+ * @method effectiveRequestOptions
+ * @param {String} operation
+ * @param {Hash} quorum Bucket defaults (see `BucketProps.quorum`)
+ * @param {Hash} [options] Option values set for the request, keyed by name
+ * @return {Array<Hash>} List of `{ name, value, isOverride }` entries
+ */
+export function effectiveRequestOptions(operation, quorum, options) {
+  let overrides = optionsSetFor(operation, options);
+
+  return (OPERATION_OPTIONS[operation] || []).map(function(name) {
+    let value = (quorum || {})[name];
+
+    if (overrides.hasOwnProperty(name)) {
+      return {name: name, value: overrides[name], isOverride: true};
+    }
+    if (value === undefined || value === null) {
+      // returnbody is not a bucket property, Riak's default is false
+      value = (name === 'returnbody') ? false : 'default';
+    }
+    return {name: name, value: String(value), isOverride: false};
+  });
+}
@@ -0,0 +1,64 @@
+/**
+ * Parses the value of a Riak `Link` header into a list of links.
+ * Both the `/buckets/<bucket>/keys/<key>` and the older `/riak/<bucket>/<key>`
+ * URL formats are recognized. The `rel="up"` link (to the object's own
+ * bucket) is left out.
+ * @see http://docs.basho.com/riak/latest/dev/using/link-walking/
+ *
+ * @method parseLinkHeader
+ * @param {String} value For example
+ *     `</buckets/people/keys/joe>; riaktag="friend", </buckets/people>; rel="up"`
+ * @return {Array<Hash>} List of `{ bucket, key, riaktag }` hashes
+ */
+export default function parseLinkHeader(value) {
+  let pattern = /<([^>]*)>\s*;\s*(riaktag|rel)="([^"]*)"/g;
+  let links = [];
+  let match;
+
+  while ((match = pattern.exec(value || ''))) {
+    let path = /^\/buckets\/([^\/]+)\/keys\/([^\/]+)$/.exec(match[1]) ||
+      /^\/riak\/([^\/]+)\/([^\/]+)$/.exec(match[1]);
+
+    if (match[2] === 'riaktag' && path) {
+      links.push({
+        bucket: decodeURIComponent(path[1]),
+        key: decodeURIComponent(path[2]),
+        riaktag: match[3]
+      });
+    }
+  }
+  return links;
+}
+
+/**
+ * Assembles the value of a `Link` header, for storing an object's links.
+ *
+ * @method formatLinkHeader
+ * @param {Array<Hash>} links List of `{ bucket, key, riaktag }` hashes
+ * @return {String}
+ */
+export function formatLinkHeader(links) {
+  return links.map(function(link) {
+    let bucket = encodeURIComponent(link.bucket);
+    let key = encodeURIComponent(link.key);
+
+    return `</buckets/${bucket}/keys/${key}>; riaktag="${link.riaktag || ''}"`;
+  }).join(', ');
+}
+
+/**
+ * Checks whether a link is followed by a link-walking step. As in Riak's
+ * link walking queries, `_` matches any bucket or tag.
+ *
+ * @method linkMatchesStep
+ * @param {Hash} link `{ bucket, key, riaktag }`
+ * @param {Hash} step `{ bucket, riaktag }`
+ * @return {Boolean}
+ */
+export function linkMatchesStep(link, step) {
+  let bucket = step.bucket || '_';
+  let riaktag = step.riaktag || '_';
+
+  return (bucket === '_' || bucket === link.bucket) &&
+    (riaktag === '_' || riaktag === link.riaktag);
+}
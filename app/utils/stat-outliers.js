@@ -0,0 +1,64 @@
+/**
+ * Returns the median of a (non-empty) list of numbers.
+ *
+ * @method median
+ * @param {Array<Number>} values
+ * @return {Number}
+ * @private
+ */
+function median(values) {
+  let sorted = values.slice().sort(function(a, b) {
+    return a - b;
+  });
+  let middle = Math.floor(sorted.length / 2);
+
+  if (sorted.length % 2) {
+    return sorted[middle];
+  }
+  return (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Flags the values that stand out from the rest of a list (for example,
+ * one node with a much higher FSM latency than the others in the cluster).
+ *
+ * Uses the Median Absolute Deviation (MAD), which is robust for the small
+ * number of values (nodes) typically compared. When most values are
+ * identical (MAD of 0), any value more than `threshold` times the median
+ * away from it is flagged instead.
+ * Non-numeric values are never flagged, and at least three numeric values
+ * are needed for any of them to be considered an outlier.
+ *
+ * @method statOutliers
+ * @param {Array} values
+ * @param {Number} [threshold=3]
+ * @return {Array<Boolean>} One flag per value (true for outliers)
+ */
+export default function statOutliers(values, threshold = 3) {
+  let numbers = values.filter(function(value) {
+    return typeof value === 'number' && isFinite(value);
+  });
+
+  if (numbers.length < 3) {
+    return values.map(function() {
+      return false;
+    });
+  }
+
+  let center = median(numbers);
+  let mad = median(numbers.map(function(value) {
+    return Math.abs(value - center);
+  }));
+
+  return values.map(function(value) {
+    if (typeof value !== 'number' || !isFinite(value)) {
+      return false;
+    }
+    let deviation = Math.abs(value - center);
+
+    if (mad > 0) {
+      return deviation / mad > threshold;
+    }
+    return deviation > 0 && deviation > Math.abs(center) * threshold;
+  });
+}
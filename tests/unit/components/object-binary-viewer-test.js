@@ -0,0 +1,42 @@
+import { moduleForComponent, test } from 'ember-qunit';
+import Ember from 'ember';
+
+moduleForComponent('object-binary-viewer', 'Unit | Component | object binary viewer', {
+  unit: true,
+  needs: ['service:explorer']
+});
+
+test('pages through the hex dump', function(assert) {
+  let component = this.subject({bytes: new Uint8Array(1200), bytesPerPage: 512});
+
+  assert.equal(component.get('byteLength'), 1200);
+  assert.equal(component.get('pageCount'), 3);
+  assert.equal(component.get('rows.length'), 32);
+  assert.notOk(component.get('hasPreviousPage'));
+
+  Ember.run(function() {
+    component.send('nextPage');
+    component.send('nextPage');
+    component.send('nextPage');
+  });
+  assert.equal(component.get('pageNumber'), 3, 'Stops at the last page');
+  assert.equal(component.get('pageStart'), 1024);
+  assert.equal(component.get('pageEnd'), 1200);
+  assert.equal(component.get('rows.length'), 11);
+  assert.equal(component.get('rows.firstObject.offset'), '00000400');
+  assert.notOk(component.get('hasNextPage'));
+});
+
+test('previews images', function(assert) {
+  let object = Ember.Object.create({
+    metadata: Ember.Object.create({contentType: 'image/png'})
+  });
+  let component = this.subject({object: object});
+
+  assert.ok(component.get('isImage'));
+
+  Ember.run(function() {
+    object.set('metadata.contentType', 'application/octet-stream');
+  });
+  assert.notOk(component.get('isImage'));
+});
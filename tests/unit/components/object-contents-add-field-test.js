@@ -0,0 +1,72 @@
+import { moduleForComponent, test } from 'ember-qunit';
+import Ember from 'ember';
+
+moduleForComponent('object-contents-add-field', 'Unit | Component | object contents add field', {
+  unit: true
+});
+
+test('parses the initial value for the field type', function(assert) {
+  let component = this.subject();
+
+  Ember.run(function() {
+    component.setProperties({fieldType: 'set', value: 'a, b,, a ,c'});
+  });
+  assert.deepEqual(component.fieldValue(), ['a', 'b', 'c']);
+
+  Ember.run(function() {
+    component.setProperties({fieldType: 'counter', value: '-3'});
+  });
+  assert.strictEqual(component.fieldValue(), -3);
+
+  Ember.run(function() {
+    component.setProperties({fieldType: 'counter', value: ''});
+  });
+  assert.strictEqual(component.fieldValue(), 0, 'counters start at 0 by default');
+
+  Ember.run(function() {
+    component.setProperties({fieldType: 'flag', isEnabled: true});
+  });
+  assert.strictEqual(component.fieldValue(), true);
+
+  Ember.run(function() {
+    component.set('fieldType', 'map');
+  });
+  assert.deepEqual(component.fieldValue(),
+    {counters: {}, flags: {}, registers: {}, sets: {}, maps: {}});
+});
+
+test('rejects invalid values', function(assert) {
+  let component = this.subject();
+
+  Ember.run(function() {
+    component.setProperties({fieldType: 'counter', value: 'ten'});
+  });
+  assert.strictEqual(component.fieldValue(), null);
+  assert.ok(component.get('errorMessage'));
+
+  Ember.run(function() {
+    component.setProperties({fieldType: 'register', value: ' ', errorMessage: null});
+  });
+  assert.strictEqual(component.fieldValue(), null);
+  assert.ok(component.get('errorMessage'));
+});
+
+test('sends the field to be added, and resets the form', function(assert) {
+  let component = this.subject({name: 'address/city', value: 'Paris'});
+  let model = {};
+
+  component.set('addField', 'addField');
+  component.set('targetObject', {
+    addField(map, fieldType, name, value) {
+      assert.equal(map, model);
+      assert.equal(fieldType, 'register');
+      assert.equal(name, 'address/city');
+      assert.equal(value, 'Paris');
+    }
+  });
+  Ember.run(function() {
+    component.send('addField', model);
+  });
+  assert.equal(component.get('name'), null);
+  assert.equal(component.get('value'), null);
+});
@@ -0,0 +1,67 @@
+import { moduleForComponent, test } from 'ember-qunit';
+import Ember from 'ember';
+
+moduleForComponent('object-contents-editor', 'Unit | Component | object contents editor', {
+  unit: true
+});
+
+function objectWith(contentType, contents) {
+  return Ember.Object.create({
+    metadata: Ember.Object.create({contentType: contentType}),
+    contents: contents
+  });
+}
+
+test('invalid JSON can only be saved with an override', function(assert) {
+  let model = objectWith('application/json', '{"name": "Joe",}');
+  let saved = [];
+  let component = this.subject({model: model});
+
+  component.sendAction = function(name, object) {
+    saved.push(object);
+  };
+
+  assert.equal(component.get('format'), 'json');
+  assert.ok(component.get('parseError'));
+  assert.notOk(component.get('canSave'));
+
+  Ember.run(function() {
+    component.send('saveObject');
+  });
+  assert.equal(saved.length, 0, 'Save is blocked');
+
+  Ember.run(function() {
+    component.set('overrideValidation', true);
+    component.send('saveObject');
+  });
+  assert.equal(saved.length, 1, 'Save goes through with the override');
+
+  Ember.run(function() {
+    model.set('contents', '{"name": "Joe"}');
+  });
+  assert.notOk(component.get('overrideValidation'), 'Fixing the document clears the override');
+  assert.ok(component.get('canSave'));
+});
+
+test('plain text is not checked, and has line numbers', function(assert) {
+  let component = this.subject({model: objectWith('text/plain', 'one\ntwo\n{')});
+
+  assert.notOk(component.get('isStructured'));
+  assert.equal(component.get('parseError'), null);
+  assert.equal(component.get('lineNumbers'), '1\n2\n3');
+});
+
+test('pretty-prints and minifies the contents', function(assert) {
+  let model = objectWith('application/json', '{"a":[1]}');
+  let component = this.subject({model: model});
+
+  Ember.run(function() {
+    component.send('prettyPrint');
+  });
+  assert.equal(model.get('contents'), '{\n  "a": [\n    1\n  ]\n}');
+
+  Ember.run(function() {
+    component.send('minify');
+  });
+  assert.equal(model.get('contents'), '{"a":[1]}');
+});
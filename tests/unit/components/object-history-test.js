@@ -0,0 +1,52 @@
+import { moduleForComponent, test } from 'ember-qunit';
+import Ember from 'ember';
+
+moduleForComponent('object-history', 'Unit | Component | object history', {
+  unit: true,
+  needs: ['service:explorer']
+});
+
+test('diffs a snapshot against the current value', function(assert) {
+  let snapshot = {
+    savedAt: '2016-01-01T00:00:00.000Z',
+    contentType: 'text/plain',
+    contents: 'line 1\nline 2',
+    headers: {
+      other: {'content-type': 'text/plain'},
+      custom: [{key: 'x-riak-meta-owner', value: 'joe'}],
+      indexes: []
+    }
+  };
+  let object = Ember.Object.create({
+    contents: 'line 1\nline 3',
+    metadata: {
+      headers: {
+        other: {'content-type': 'text/plain'},
+        custom: [],
+        indexes: [{key: 'x-riak-index-email_bin', value: 'joe@example.com'}]
+      }
+    }
+  });
+  let component = this.subject({object: object, history: [snapshot]});
+
+  assert.deepEqual(component.get('contentsDiff'), []);
+
+  Ember.run(function() {
+    component.send('compareSnapshot', snapshot);
+  });
+  assert.deepEqual(component.get('contentsDiff'), [
+    {type: 'same', line: 'line 1'},
+    {type: 'removed', line: 'line 2'},
+    {type: 'added', line: 'line 3'}
+  ]);
+  assert.deepEqual(component.get('headersDiff'), [
+    {type: 'same', line: 'content-type: text/plain'},
+    {type: 'removed', line: 'x-riak-meta-owner: joe'},
+    {type: 'added', line: 'x-riak-index-email_bin: joe@example.com'}
+  ]);
+
+  Ember.run(function() {
+    component.send('compareSnapshot', snapshot);
+  });
+  assert.equal(component.get('selectedSnapshot'), null, 'Comparing again hides the diff');
+});
@@ -0,0 +1,34 @@
+import { moduleForComponent, test } from 'ember-qunit';
+import Ember from 'ember';
+
+moduleForComponent('object-write-conflict', 'Unit | Component | object write conflict', {
+  unit: true
+});
+
+test('diffs the server and edited values against the original', function(assert) {
+  let component = this.subject({
+    original: 'line 1\nline 2',
+    serverObject: Ember.Object.create({contents: 'line 1\nline 2\nline 3'}),
+    edited: 'line 1'
+  });
+
+  assert.deepEqual(component.get('serverDiff'), [
+    {type: 'same', line: 'line 1'},
+    {type: 'same', line: 'line 2'},
+    {type: 'added', line: 'line 3'}
+  ]);
+  assert.deepEqual(component.get('editedDiff'), [
+    {type: 'same', line: 'line 1'},
+    {type: 'removed', line: 'line 2'}
+  ]);
+});
+
+test('merging starts out from the edited value', function(assert) {
+  let component = this.subject({original: 'a', edited: 'b'});
+
+  Ember.run(function() {
+    component.send('startMerge');
+  });
+  assert.ok(component.get('isMerging'));
+  assert.equal(component.get('mergedContents'), 'b');
+});
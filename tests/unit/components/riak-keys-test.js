@@ -0,0 +1,43 @@
+import { moduleForComponent, test } from 'ember-qunit';
+import Ember from 'ember';
+
+moduleForComponent('riak-keys', 'Unit | Component | riak keys', {
+  unit: true
+});
+
+test('selection and deleted keys', function(assert) {
+  let keys = [
+    Ember.Object.create({key: 'a'}),
+    Ember.Object.create({key: 'b', markedDeleted: true}),
+    Ember.Object.create({key: 'c'})
+  ];
+  let component = this.subject({keys: keys});
+
+  assert.deepEqual(component.get('visibleRows').mapBy('obj.key'), ['a', 'c'],
+    'Deleted keys are hidden');
+  assert.notOk(component.get('hasSelection'));
+
+  Ember.run(function() {
+    component.set('allSelected', true);
+  });
+  assert.deepEqual(component.get('selectedObjects').mapBy('key'), ['a', 'c']);
+
+  Ember.run(function() {
+    keys[0].set('markedDeleted', true);
+  });
+  assert.deepEqual(component.get('selectedObjects').mapBy('key'), ['c'],
+    'Keys deleted while selected drop out of the selection');
+  assert.ok(component.get('allSelected'));
+});
+
+test('selection is kept when more keys are loaded', function(assert) {
+  let keys = Ember.A([Ember.Object.create({key: 'a'})]);
+  let component = this.subject({keys: keys});
+
+  Ember.run(function() {
+    component.set('allSelected', true);
+    keys.pushObjects([Ember.Object.create({key: 'b'})]);
+  });
+  assert.deepEqual(component.get('selectedObjects').mapBy('key'), ['a']);
+  assert.notOk(component.get('allSelected'));
+});
@@ -0,0 +1,56 @@
+import { moduleForComponent, test } from 'ember-qunit';
+import Ember from 'ember';
+
+moduleForComponent('virtual-list', 'Unit | Component | virtual list', {
+  unit: true
+});
+
+function range(count) {
+  let items = [];
+  for (let i = 0; i < count; i++) {
+    items.push(i);
+  }
+  return items;
+}
+
+test('renders only the visible rows', function(assert) {
+  let component = this.subject({items: range(1000), rowHeight: 30, height: 300, overscan: 5});
+
+  assert.equal(component.get('startIndex'), 0);
+  assert.equal(component.get('endIndex'), 15);
+
+  Ember.run(function() {
+    component.set('scrollTop', 3000);  // Row 100 at the top
+  });
+  assert.equal(component.get('startIndex'), 95);
+  assert.equal(component.get('endIndex'), 115);
+  assert.deepEqual(component.get('visibleItems'), range(115).slice(95));
+  assert.equal(component.get('topSpacerStyle').toString(), 'height: 2850px;');
+  assert.equal(component.get('bottomSpacerStyle').toString(), 'height: 26550px;');
+});
+
+test('requests more items near the end of the list', function(assert) {
+  let requests = 0;
+  let component = this.subject({items: range(100), rowHeight: 30, height: 300, overscan: 5, hasMore: true});
+
+  component.sendAction = function(name) {
+    assert.equal(name, 'loadMore');
+    requests++;
+  };
+
+  Ember.run(function() {
+    component.didScroll(600);
+  });
+  assert.equal(requests, 0, 'Not yet near the end');
+
+  Ember.run(function() {
+    component.didScroll(2400);
+  });
+  assert.equal(requests, 1);
+
+  Ember.run(function() {
+    component.set('isLoadingMore', true);
+    component.didScroll(2500);
+  });
+  assert.equal(requests, 1, 'No request while a page is loading');
+});
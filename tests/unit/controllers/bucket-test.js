@@ -0,0 +1,24 @@
+import { moduleFor, test } from 'ember-qunit';
+import Ember from 'ember';
+
+moduleFor('controller:bucket', 'Unit | Controller | bucket', {
+  needs: ['service:explorer']
+});
+
+test('loading more keys keeps the pager on the last loaded page', function(assert) {
+  let controller = this.subject({
+    model: Ember.Object.create(),
+    explorer: {
+      loadMoreKeys() {
+        return Ember.RSVP.resolve(Ember.Object.create({lastItemIndex: 250, pageSize: 100}));
+      }
+    }
+  });
+
+  Ember.run(function() {
+    controller.send('loadMoreKeys');
+  });
+
+  assert.equal(controller.get('keyListPage'), 3);
+  assert.notOk(controller.get('isLoadingMoreKeys'));
+});
@@ -0,0 +1,83 @@
+import { moduleFor, test } from 'ember-qunit';
+import Ember from 'ember';
+
+moduleFor('controller:bucket/index-query', 'Unit | Controller | bucket/index query', {
+  needs: ['service:explorer']
+});
+
+test('exact match query', function(assert) {
+  let controller = this.subject({
+    indexName: ' email_bin ',
+    value: 'joe@example.com',
+    queryPageSize: 50
+  });
+
+  assert.equal(controller.validationError(), null);
+  assert.deepEqual(controller.queryFor(1), {
+    indexName: 'email_bin',
+    value: 'joe@example.com',
+    maxResults: 50,
+    continuation: null
+  });
+});
+
+test('range query uses the continuation of the requested page', function(assert) {
+  let controller = this.subject({
+    indexName: 'age_int',
+    isRange: true,
+    start: '18',
+    end: '30',
+    returnTerms: true,
+    continuations: [null, 'g2gCbQAAAAM=']
+  });
+
+  assert.deepEqual(controller.queryFor(2), {
+    indexName: 'age_int',
+    start: '18',
+    end: '30',
+    returnTerms: true,
+    maxResults: 100,
+    continuation: 'g2gCbQAAAAM='
+  });
+});
+
+test('validation', function(assert) {
+  let controller = this.subject({indexName: 'email', value: 'joe'});
+
+  assert.ok(controller.validationError(), 'index name needs a type suffix');
+
+  controller.setProperties({indexName: '$key'});
+  assert.equal(controller.validationError(), null, '$key is a valid index');
+
+  controller.setProperties({indexName: 'age_int', value: 'abc'});
+  assert.ok(controller.validationError(), 'integer index values must be integers');
+
+  controller.setProperties({indexName: 'age_int', isRange: true, start: '1', end: ''});
+  assert.ok(controller.validationError(), 'range queries need both ends');
+});
+
+test('pages with the page size the query was run with', function(assert) {
+  let requested = [];
+  let controller = this.subject({
+    indexName: '$key',
+    value: 'joe',
+    maxResults: 10,
+    explorer: {
+      queryIndex(bucket, query) {
+        requested.push(query);
+        return Ember.RSVP.resolve({results: [], continuation: 'next'});
+      }
+    }
+  });
+
+  Ember.run(function() {
+    controller.send('runQuery', {});
+  });
+  Ember.run(function() {
+    controller.set('maxResults', 50);
+    controller.send('retrieveRequestedResults', 11);
+  });
+  assert.deepEqual(requested.mapBy('maxResults'), [10, 10]);
+  assert.deepEqual(requested.mapBy('continuation'), [null, 'next']);
+  assert.equal(controller.get('firstItemIndex'), 11);
+});
@@ -0,0 +1,33 @@
+import { moduleFor, test } from 'ember-qunit';
+import Ember from 'ember';
+
+moduleFor('controller:cluster/config-diff', 'Unit | Controller | cluster/config diff', {
+  needs: ['service:explorer']
+});
+
+test('configRows lists differing and missing settings', function(assert) {
+  let controller = this.subject({
+    comparedNodes: [
+      Ember.Object.create({id: 'riak@a', config: {ring_size: 64, search: 'on', storage_backend: 'bitcask'}}),
+      Ember.Object.create({id: 'riak@b', config: {ring_size: 64, search: 'off'}})
+    ]
+  });
+  let rows = controller.get('configRows');
+
+  assert.deepEqual(rows.mapBy('key'), ['search', 'storage_backend']);
+  assert.deepEqual(rows[1].cells.mapBy('isMissing'), [false, true]);
+});
+
+test('advancedConfigDiffs compares against the first node', function(assert) {
+  let controller = this.subject({
+    comparedNodes: [
+      Ember.Object.create({id: 'riak@a', advancedConfig: ['{riak_kv,[{ttl,1}]}']}),
+      Ember.Object.create({id: 'riak@b', advancedConfig: ['{riak_kv,[{ttl,1}]}']}),
+      Ember.Object.create({id: 'riak@c', advancedConfig: ['{riak_kv,[{ttl,2}]}']})
+    ]
+  });
+  let diffs = controller.get('advancedConfigDiffs');
+
+  assert.deepEqual(diffs.mapBy('nodeId'), ['riak@b', 'riak@c']);
+  assert.deepEqual(diffs.mapBy('hasChanges'), [false, true]);
+});
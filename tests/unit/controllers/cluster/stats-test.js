@@ -0,0 +1,47 @@
+import { moduleFor, test } from 'ember-qunit';
+import Ember from 'ember';
+
+moduleFor('controller:cluster/stats', 'Unit | Controller | cluster/stats', {
+  needs: ['service:explorer']
+});
+
+function node(id, stats) {
+  return Ember.Object.create({id: id, stats: stats});
+}
+
+test('builds a stat matrix and filters it', function(assert) {
+  let controller = this.subject({
+    nodes: [
+      node('riak@a', {node_gets: 10, nodename: 'riak@a', sys_process_count: 1}),
+      node('riak@b', {node_gets: 11, nodename: 'riak@b', sys_process_count: 1}),
+      node('riak@c', {node_gets: 90, nodename: 'riak@c', sys_process_count: 1}),
+      node('riak@d', {node_gets: 12, nodename: 'riak@d'})
+    ]
+  });
+
+  assert.deepEqual(controller.get('allRows').mapBy('name'), ['node_gets', 'nodename', 'sys_process_count']);
+  assert.deepEqual(controller.get('allRows')[0].cells.mapBy('isOutlier'), [false, false, true, false]);
+
+  Ember.run(function() {
+    controller.set('onlyOutliers', true);
+  });
+  assert.deepEqual(controller.get('rows').mapBy('name'), ['node_gets']);
+
+  Ember.run(function() {
+    controller.setProperties({onlyOutliers: false, filter: 'NODE'});
+  });
+  assert.deepEqual(controller.get('rows').mapBy('name'), ['node_gets', 'nodename']);
+});
+
+test('toCsv', function(assert) {
+  let controller = this.subject({
+    nodes: [
+      node('riak@a', {ring_members: ['riak@a', 'riak@b']}),
+      node('riak@b', {ring_members: ['riak@a', 'riak@b']})
+    ]
+  });
+
+  assert.equal(controller.toCsv(),
+    'stat,riak@a,riak@b\r\n' +
+    'ring_members,"[""riak@a"",""riak@b""]","[""riak@a"",""riak@b""]"\r\n');
+});
@@ -0,0 +1,71 @@
+import { moduleFor, test } from 'ember-qunit';
+import Ember from 'ember';
+
+moduleFor('controller:node', 'Unit | Controller | node', {
+  needs: ['service:explorer']
+});
+
+test('recordSample keeps a rolling history', function(assert) {
+  let controller = this.subject({historySize: 2});
+
+  Ember.run(function() {
+    controller.resetStats();
+    controller.recordSample({node_gets: 1});
+    controller.recordSample({node_gets: 2});
+    controller.recordSample({node_gets: 3});
+  });
+
+  assert.equal(controller.get('history.length'), 2);
+  assert.deepEqual(controller.get('history').mapBy('stats.node_gets'), [2, 3]);
+});
+
+test('charts and chartableStats', function(assert) {
+  let controller = this.subject({
+    model: Ember.Object.create({
+      stats: {node_gets: 1, vnode_puts: 4, nodename: 'riak@127.0.0.1'}
+    })
+  });
+
+  Ember.run(function() {
+    controller.resetStats();
+    controller.set('chartedStats', Ember.A(['node_gets']));
+  });
+
+  assert.deepEqual(controller.get('charts'), [{name: 'node_gets', values: [1]}]);
+  assert.deepEqual(controller.get('chartableStats'), ['vnode_puts'],
+    'Only numeric stats that are not yet charted can be picked');
+});
+
+test('ignores stats that arrive after polling was stopped or restarted', function(assert) {
+  let pending = [];
+  let node = Ember.Object.create({stats: {node_gets: 1}});
+  let controller = this.subject({
+    model: node,
+    explorer: {
+      getNodeStats() {
+        let deferred = Ember.RSVP.defer();
+        pending.push(deferred);
+        return deferred.promise;
+      }
+    }
+  });
+  let stalePoll;
+
+  Ember.run(function() {
+    controller.resetStats();
+    stalePoll = controller.pollStats();
+    controller.stopPolling();
+    controller.startPolling();
+  });
+  Ember.run(function() {
+    node.set('stats', {node_gets: 2});
+    pending[0].resolve();
+  });
+
+  return stalePoll.then(function() {
+    assert.deepEqual(controller.get('history').mapBy('stats.node_gets'), [1],
+      'the stale response is not recorded');
+    assert.equal(controller.get('pollTimer'), null, 'and does not schedule another poll');
+    Ember.run(controller, 'stopPolling');
+  });
+});
@@ -0,0 +1,53 @@
+import { moduleFor, test } from 'ember-qunit';
+import Ember from 'ember';
+
+moduleFor('controller:riak-object/edit', 'Unit | Controller | riak-object/edit', {
+  needs: ['service:explorer']
+});
+
+test('a save that keeps failing with 412 is retried only once', function(assert) {
+  let puts = 0;
+  let checks = 0;
+  let controller = this.subject({
+    explorer: {
+      putObject() {
+        puts++;
+        return Ember.RSVP.reject({status: 412});
+      },
+      checkForConcurrentChange() {
+        checks++;
+        return Ember.RSVP.resolve(null);
+      }
+    }
+  });
+
+  return Ember.run(function() {
+    return controller.detectConcurrentChange(Ember.Object.create());
+  }).then(function() {
+    assert.equal(puts, 2, 'written again once, after the re-check');
+    assert.equal(checks, 2);
+    assert.ok(controller.get('errorMessage'));
+    assert.notOk(controller.get('isSaving'));
+  });
+});
+
+test('shows the three-way view when the object changed on the server', function(assert) {
+  let serverObject = Ember.Object.create({markedDeleted: true, contents: ''});
+  let controller = this.subject({
+    explorer: {
+      putObject() {
+        return Ember.RSVP.reject({status: 412});
+      },
+      checkForConcurrentChange() {
+        return Ember.RSVP.resolve(serverObject);
+      }
+    }
+  });
+
+  return Ember.run(function() {
+    return controller.detectConcurrentChange(Ember.Object.create());
+  }).then(function() {
+    assert.equal(controller.get('serverObject'), serverObject);
+    assert.notOk(controller.get('errorMessage'));
+  });
+});
@@ -0,0 +1,51 @@
+import { moduleFor, test } from 'ember-qunit';
+import Ember from 'ember';
+
+moduleFor('controller:search-index/create', 'Unit | Controller | search index/create', {
+  needs: ['service:explorer']
+});
+
+test('validation', function(assert) {
+  let controller = this.subject({
+    explorer: {
+      createSearchIndex() {
+        assert.ok(false, 'an invalid index is not created');
+      }
+    }
+  });
+  let cluster = Ember.Object.create({
+    searchIndexes: [Ember.Object.create({name: 'users'})]
+  });
+
+  Ember.run(function() {
+    controller.send('createIndex', cluster, 'bad name', '_yz_default', 3);
+  });
+  assert.equal(controller.get('errorMessage'),
+    'Index names can only contain letters, numbers, underscores and dashes.');
+
+  Ember.run(function() {
+    controller.send('createIndex', cluster, 'users', '_yz_default', 3);
+  });
+  assert.equal(controller.get('errorMessage'), "An index named 'users' already exists.");
+
+  Ember.run(function() {
+    controller.send('createIndex', cluster, 'people', '_yz_default', 0);
+  });
+  assert.equal(controller.get('errorMessage'), 'n_val must be a positive number.');
+});
+
+test('shows the error when the index is not created', function(assert) {
+  let controller = this.subject({
+    explorer: {
+      createSearchIndex() {
+        return Ember.RSVP.reject({responseText: 'Schema not found'});
+      }
+    }
+  });
+  let cluster = Ember.Object.create({searchIndexes: []});
+
+  Ember.run(function() {
+    controller.send('createIndex', cluster, 'people', 'missing', 3);
+  });
+  assert.equal(controller.get('errorMessage'), 'Schema not found');
+});
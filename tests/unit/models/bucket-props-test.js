@@ -1,4 +1,5 @@
 import { moduleForModel, test, pending } from 'ember-qunit';
+import Ember from 'ember';
 
 moduleForModel('bucket-props', 'Unit | Model | bucket props', {
   needs: []
@@ -29,3 +30,93 @@ pending('quorumRelevant ', function() {
 
 pending('warnings ', function() {
 });
+
+test('objectModelName', function(assert) {
+  let model = this.subject({props: {allow_mult: false}});
+
+  assert.equal(model.get('objectModelName'), 'riak-object');
+
+  Ember.run(function() {
+    model.set('props', {datatype: 'counter'});
+  });
+  assert.equal(model.get('objectModelName'), 'riak-object.counter');
+
+  Ember.run(function() {
+    model.set('props', {datatype: 'set'});
+  });
+  assert.equal(model.get('objectModelName'), 'riak-object.set');
+
+  Ember.run(function() {
+    model.set('props', {datatype: 'map'});
+  });
+  assert.equal(model.get('objectModelName'), 'riak-object.map');
+});
+
+test('quorum', function(assert) {
+  let model = this.subject({props: {r: 2, w: 3, pr: 0, pw: 1, dw: 'quorum'}});
+  let quorum = model.get('quorum');
+
+  assert.equal(quorum.r, 2);
+  assert.equal(quorum.w, 3);
+  assert.equal(quorum.dw, 'quorum');
+});
+
+test('editableList', function(assert) {
+  let model = this.subject({props: {allow_mult: true, n_val: 3, datatype: 'map'}});
+  let keys = model.get('editableList').mapBy('key');
+
+  assert.deepEqual(keys, ['allow_mult', 'n_val'], 'Only editable props are listed');
+  assert.equal(model.get('editableList')[0].type, 'boolean');
+});
+
+test('normalizeValue', function(assert) {
+  let model = this.subject({props: {}});
+
+  assert.strictEqual(model.normalizeValue('n_val', ' 5 '), 5);
+  assert.strictEqual(model.normalizeValue('r', 'quorum'), 'quorum');
+  assert.strictEqual(model.normalizeValue('w', '2'), 2);
+  assert.strictEqual(model.normalizeValue('allow_mult', undefined), false);
+  assert.strictEqual(model.normalizeValue('search_index', 'users'), 'users');
+});
+
+test('diffFor', function(assert) {
+  let model = this.subject({props: {n_val: 3, allow_mult: false}});
+  let diff = model.diffFor({n_val: 5, allow_mult: false});
+
+  assert.deepEqual(diff, [{key: 'n_val', before: 3, after: 5}]);
+});
+
+test('validateChanges', function(assert) {
+  let model = this.subject({props: {n_val: 3, allow_mult: false, last_write_wins: false, r: 'quorum'}});
+
+  assert.deepEqual(model.validateChanges({n_val: 5, r: 4}), [], 'Quorum checked against the new n_val');
+  assert.equal(model.validateChanges({r: 4}).length, 1, 'Quorum larger than n_val');
+  assert.equal(model.validateChanges({r: 'most'}).length, 1, 'Unknown symbolic quorum value');
+  assert.equal(model.validateChanges({n_val: 'three'}).length, 1, 'Non-numeric n_val');
+  assert.equal(model.validateChanges({n_val: 0}).length, 1, 'Zero n_val');
+  assert.equal(model.validateChanges({allow_mult: true, last_write_wins: true}).length, 1,
+    'allow_mult together with last_write_wins');
+
+  Ember.run(function() {
+    model.set('props', {n_val: 5, consistent: true, allow_mult: false});
+  });
+  assert.equal(model.validateChanges({n_val: 3}).length, 1, 'n_val of a consistent type');
+  assert.equal(model.validateChanges({consistent: false}).length, 1, 'Immutable prop');
+
+  Ember.run(function() {
+    model.set('props', {n_val: 3, datatype: 'set', allow_mult: true});
+  });
+  assert.equal(model.validateChanges({allow_mult: false}).length, 1, 'allow_mult on a Data Type bucket');
+});
+
+test('validateChanges checks the current quorum values against a new n_val', function(assert) {
+  let model = this.subject({props: {n_val: 5, r: 3, w: 4, pr: 0, dw: 'quorum', rw: 'all'}});
+
+  assert.deepEqual(model.validateChanges({n_val: 4}), []);
+  assert.deepEqual(model.validateChanges({n_val: 2}), [
+    'r (3) cannot be larger than the new n_val (2).',
+    'w (4) cannot be larger than the new n_val (2).'
+  ]);
+  assert.deepEqual(model.validateChanges({n_val: 2, r: 2, w: 'quorum'}), [],
+    'Unless they are changed as well');
+});
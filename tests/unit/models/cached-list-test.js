@@ -1,4 +1,5 @@
 import { moduleForModel, test } from 'ember-qunit';
+import Ember from 'ember';
 
 moduleForModel('cached-list', 'Unit | Model | cached list', {
   // Specify the other units that are required for this test.
@@ -11,3 +12,16 @@ test('it exists', function(assert) {
   assert.ok(!!model);
   assert.ok(!!store);
 });
+
+test('nextItemIndex and hasMorePages', function(assert) {
+  var model = this.subject({firstItemIndex: 501, pageSize: 500, total: 1800});
+
+  assert.equal(model.get('nextItemIndex'), 1001);
+  assert.ok(model.get('hasMorePages'));
+
+  Ember.run(function() {
+    model.set('loadedPages', 3);
+  });
+  assert.equal(model.get('nextItemIndex'), 2001);
+  assert.notOk(model.get('hasMorePages'));
+});
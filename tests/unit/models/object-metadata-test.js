@@ -1,4 +1,5 @@
-import { moduleForModel, test, pending } from 'ember-qunit';
+import { moduleForModel, test } from 'ember-qunit';
+import Ember from 'ember';
 
 moduleForModel('object-metadata', 'Unit | Model | object metadata', {
   // Specify the other units that are required for this test.
@@ -12,5 +13,97 @@ test('it exists', function(assert) {
   assert.ok(!!store);
 });
 
-pending('headersForUpdate', function() {
+test('headersForUpdate', function(assert) {
+  let model = this.subject({
+    headers: {
+      custom: [{key: 'x-riak-meta-user_id', value: 'user123'}],
+      indexes: [{key: 'x-riak-index-email_bin', value: 'joe@example.com'}],
+      other: {'x-riak-vclock': 'a85hYGBgzGDKBVIc'}
+    }
+  });
+
+  assert.deepEqual(model.get('headersForUpdate'), {
+    'X-Riak-Vclock': 'a85hYGBgzGDKBVIc',
+    'x-riak-index-email_bin': 'joe@example.com',
+    'x-riak-meta-user_id': 'user123'
+  });
+});
+
+test('headersForUpdate for a new object', function(assert) {
+  let model = this.subject({
+    headers: {
+      custom: [],
+      indexes: [],
+      other: {'content-type': 'application/json'}
+    }
+  });
+
+  assert.deepEqual(model.get('headersForUpdate'), {},
+    'does not send a causal context');
+});
+
+test('headersForUpdate keeps the links', function(assert) {
+  let model = this.subject({
+    headers: {
+      custom: [],
+      indexes: [],
+      links: [{bucket: 'people', key: 'joe', riaktag: 'friend'}],
+      other: {}
+    }
+  });
+
+  assert.deepEqual(model.get('headersForUpdate'), {
+    'Link': '</buckets/people/keys/joe>; riaktag="friend"'
+  });
+
+  Ember.run(function() {
+    model.get('headersLinks').pushObject({bucket: 'people', key: 'ann', riaktag: 'friend'});
+  });
+  assert.equal(model.get('headersForUpdate')['Link'],
+    '</buckets/people/keys/joe>; riaktag="friend", </buckets/people/keys/ann>; riaktag="friend"',
+    'added links are included');
+});
+
+test('headersLinks does not change the headers', function(assert) {
+  let headers = {custom: [], indexes: [], other: {}};
+  let model = this.subject({headers: headers});
+
+  assert.deepEqual(model.get('headersLinks'), []);
+  assert.notOk('links' in headers, 'no links list is added to the headers');
+});
+
+test('indexValues and userMeta', function(assert) {
+  let model = this.subject({
+    headers: {
+      custom: [{key: 'x-riak-meta-user_id', value: 'user123'}],
+      indexes: [
+        {key: 'x-riak-index-email_bin', value: 'joe@example.com, joe@example.org'},
+        {key: 'x-riak-index-age_int', value: '42'}
+      ],
+      other: {}
+    }
+  });
+
+  assert.deepEqual(model.get('indexValues'), {
+    email_bin: ['joe@example.com', 'joe@example.org'],
+    age_int: [42]
+  });
+  assert.deepEqual(model.get('userMeta'), {user_id: 'user123'});
+});
+
+test('isBinary', function(assert) {
+  let model = this.subject();
+  let isBinary = function(contentType) {
+    Ember.run(function() {
+      model.set('headers', {custom: [], indexes: [], other: {'content-type': contentType}});
+    });
+    return model.get('isBinary');
+  };
+
+  assert.notOk(isBinary('text/plain; charset=utf-8'));
+  assert.notOk(isBinary('application/json'));
+  assert.notOk(isBinary('application/vnd.api+json'));
+  assert.notOk(isBinary('application/xml'));
+  assert.ok(isBinary('image/png'));
+  assert.ok(isBinary('application/octet-stream'));
 });
@@ -52,3 +52,13 @@ test('metadata relationship', function(assert) {
 pending('contents for display', function() {
 });
 
+test('hasSiblings', function(assert) {
+  let model = this.subject();
+
+  assert.notOk(model.get('hasSiblings'));
+
+  Ember.run(function() {
+    model.set('siblings', [{}, {}]);
+  });
+  assert.ok(model.get('hasSiblings'));
+});
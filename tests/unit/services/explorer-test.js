@@ -0,0 +1,266 @@
+import { moduleFor, test } from 'ember-qunit';
+import Ember from 'ember';
+
+const HISTORY_KEY = 'riak-explorer.history/default/default/users/user123';
+
+moduleFor('service:explorer', 'Unit | Service | explorer', {
+  afterEach() {
+    window.localStorage.removeItem(HISTORY_KEY);
+  }
+});
+
+/**
+ * Minimal store, creating plain objects instead of models.
+ * (Only the computed properties used by the service are provided.)
+ */
+let store = {
+  createRecord(modelName, properties) {
+    if (modelName === 'object-metadata') {
+      return Ember.Object.create(properties, {
+        etag: properties.headers.other.etag,
+        causalContext: properties.headers.other['x-riak-vclock']
+      });
+    }
+    return Ember.Object.create(properties);
+  }
+};
+
+/**
+ * Returns a (loaded) object, with the given contents and vclock.
+ */
+function historyObject(contents, vclock) {
+  return Ember.Object.create({
+    clusterId: 'default',
+    bucketTypeId: 'default',
+    bucketId: 'users',
+    key: 'user123',
+    contents: contents,
+    metadata: Ember.Object.create({
+      contentType: 'text/plain',
+      causalContext: vclock,
+      headers: {other: {'content-type': 'text/plain', 'x-riak-vclock': vclock}, custom: [], indexes: []}
+    })
+  });
+}
+
+const BOUNDARY = 'YinLMzyUR9feB17okMytgKsylvh';
+const MULTIPART_BODY = [
+  '',
+  `--${BOUNDARY}`,
+  'Content-Type: text/plain',
+  'Link: </buckets/test>; rel="up"',
+  'Etag: 16vic4eU9ny46o4KPiDz1f',
+  'X-Riak-Meta-Owner: joe',
+  '',
+  'Hello',
+  `--${BOUNDARY}`,
+  'Content-Type: application/json',
+  'Etag: 4v5xOg4bVwUYZdMkqf0d6I',
+  'X-Riak-Index-Email_bin: joe@example.com',
+  '',
+  '{"name": "Joe"}',
+  `--${BOUNDARY}--`,
+  ''
+].join('\r\n');
+
+test('parseMultipartBody splits a multipart/mixed body into parts', function(assert) {
+  let service = this.subject();
+  let parts = service.parseMultipartBody(`multipart/mixed; boundary=${BOUNDARY}`, MULTIPART_BODY);
+
+  assert.equal(parts.length, 2, 'the preamble and epilogue are left out');
+  assert.equal(parts[0].headerString, [
+    'Content-Type: text/plain',
+    'Link: </buckets/test>; rel="up"',
+    'Etag: 16vic4eU9ny46o4KPiDz1f',
+    'X-Riak-Meta-Owner: joe'
+  ].join('\r\n'));
+  assert.equal(parts[0].payload, 'Hello');
+  assert.equal(parts[1].payload, '{"name": "Joe"}');
+
+  assert.deepEqual(service.parseMultipartBody(`multipart/mixed; boundary="${BOUNDARY}"`,
+    MULTIPART_BODY.replace(/\r\n/g, '\n')).mapBy('payload'), ['Hello', '{"name": "Joe"}'],
+    'quoted boundary, and LF line endings');
+  assert.deepEqual(service.parseMultipartBody('text/plain', MULTIPART_BODY), [],
+    'no boundary');
+});
+
+test('createSiblings creates an object per sibling, with its own metadata', function(assert) {
+  let service = this.subject();
+  let object = Ember.Object.create({
+    key: 'user123',
+    rawUrl: '/riak/clusters/default/types/default/buckets/users/keys/user123',
+    metadata: Ember.Object.create({
+      contentType: `multipart/mixed; boundary=${BOUNDARY}`,
+      causalContext: 'a85hYGBgzGDKBVIc'
+    })
+  });
+  let siblings = service.createSiblings(object, MULTIPART_BODY, store);
+
+  assert.equal(siblings.length, 2);
+  assert.deepEqual(siblings.mapBy('contents'), ['Hello', '{"name": "Joe"}']);
+  assert.deepEqual(siblings.mapBy('key'), ['user123', 'user123']);
+
+  assert.equal(siblings[0].get('metadata.headers.other')['content-type'], 'text/plain');
+  assert.deepEqual(siblings[0].get('metadata.headers.custom'),
+    [{key: 'x-riak-meta-owner', value: 'joe'}]);
+  assert.deepEqual(siblings[1].get('metadata.headers.indexes'),
+    [{key: 'x-riak-index-email_bin', value: 'joe@example.com'}]);
+
+  assert.deepEqual(siblings.mapBy('metadata.causalContext'),
+    ['a85hYGBgzGDKBVIc', 'a85hYGBgzGDKBVIc'], 'the vclock is shared by all the siblings');
+  assert.equal(siblings[0].get('rawUrl'), `${object.get('rawUrl')}?vtag=16vic4eU9ny46o4KPiDz1f`,
+    'each sibling is fetched by its vtag');
+  assert.equal(siblings[1].get('rawUrl'), `${object.get('rawUrl')}?vtag=4v5xOg4bVwUYZdMkqf0d6I`);
+});
+
+test('recordObjectHistory keeps the newest historySize snapshots', function(assert) {
+  let service = this.subject({historySize: 2});
+  let object = historyObject('v4', 'vclock4');
+
+  assert.deepEqual(service.objectHistoryFor(object), []);
+  ['v1', 'v2', 'v3'].forEach(function(contents) {
+    assert.ok(service.recordObjectHistory(object,
+      service.objectSnapshot(historyObject(contents))));
+  });
+  assert.deepEqual(service.objectHistoryFor(object).mapBy('contents'), ['v3', 'v2']);
+});
+
+test('recordObjectHistory drops the oldest snapshots when the storage quota is exceeded', function(assert) {
+  let service = this.subject();
+  let object = historyObject('v4', 'vclock4');
+  let setItem = window.Storage.prototype.setItem;
+
+  ['v1', 'v2', 'v3'].forEach(function(contents) {
+    service.recordObjectHistory(object, service.objectSnapshot(historyObject(contents)));
+  });
+  // Only room for two snapshots
+  window.Storage.prototype.setItem = function(key, value) {
+    if (JSON.parse(value).length > 2) {
+      throw new Error('QuotaExceededError');
+    }
+    return setItem.apply(this, arguments);
+  };
+  try {
+    assert.ok(service.recordObjectHistory(object, service.objectSnapshot(historyObject('v4'))));
+  } finally {
+    window.Storage.prototype.setItem = setItem;
+  }
+  assert.deepEqual(service.objectHistoryFor(object).mapBy('contents'), ['v4', 'v3']);
+});
+
+test('objectHistoryFor gives snapshots recorded without links an empty links list', function(assert) {
+  let service = this.subject();
+  let object = historyObject('v2', 'vclock2');
+
+  service.recordObjectHistory(object, service.objectSnapshot(historyObject('v1')));
+  assert.deepEqual(service.objectHistoryFor(object)[0].headers.links, []);
+});
+
+test('restoreObjectSnapshot writes the snapshot with the current vclock', function(assert) {
+  let written;
+  let service = this.subject({
+    putObject(object) {
+      written = object;
+      return Ember.RSVP.resolve(204);
+    }
+  });
+  let snapshot = service.objectSnapshot(historyObject('v1', 'vclock1'));
+  let current = historyObject('v2', 'vclock2');
+
+  return service.restoreObjectSnapshot(current, snapshot, store).then(function() {
+    assert.equal(written.get('contents'), 'v1');
+    assert.equal(written.get('metadata.headers.other')['x-riak-vclock'], 'vclock2',
+      'replaces the current value, not the one the snapshot was taken from');
+    assert.deepEqual(service.objectHistoryFor(current).mapBy('contents'), ['v2'],
+      'the current value is added to the history, so that the restore can be undone');
+  });
+});
+
+test('restoreObjectSnapshot does not add to the history if the write fails', function(assert) {
+  let service = this.subject({
+    putObject() {
+      return Ember.RSVP.reject({status: 412});
+    }
+  });
+  let snapshot = service.objectSnapshot(historyObject('v1', 'vclock1'));
+  let current = historyObject('v2', 'vclock2');
+
+  return service.restoreObjectSnapshot(current, snapshot, store).then(function() {
+    assert.ok(false, 'the restore should fail');
+  }, function(jqXHR) {
+    assert.equal(jqXHR.status, 412);
+    assert.deepEqual(service.objectHistoryFor(current), []);
+  });
+});
+
+test('importRecord skips existing keys, and unloads the records it created', function(assert) {
+  let unloaded = [];
+  let importStore = {
+    createRecord(modelName, properties) {
+      let record = store.createRecord(modelName, properties);
+
+      record.unloadRecord = function() {
+        unloaded.push(modelName);
+      };
+      return record;
+    }
+  };
+  let service = this.subject({
+    createObject(object) {
+      assert.equal(object.get('contents'), 'Hello');
+      return Ember.RSVP.reject({status: 412});
+    },
+    putObject() {
+      assert.ok(false, 'an existing key is not replaced');
+    }
+  });
+  let bucket = Ember.Object.create({
+    objectModelName: 'riak-object',
+    props: Ember.Object.create({isCRDT: false})
+  });
+
+  return service.importRecord(bucket, {key: 'user123', body: 'Hello'}, importStore, false).then(function(result) {
+    assert.equal(result, 'skipped');
+    assert.deepEqual(unloaded.sort(), ['object-metadata', 'riak-object']);
+  });
+});
+
+test('exportBucket rejects without refreshing a missing key list cache', function(assert) {
+  let service = this.subject({
+    keyListCacheExists() {
+      return Ember.RSVP.resolve(false);
+    },
+    getKeyList() {
+      assert.ok(false, 'the key list is not requested');
+    }
+  });
+  let bucket = Ember.Object.create({isKeyListLoaded: true});
+
+  return service.exportBucket(bucket, store).then(function() {
+    assert.ok(false, 'the export should fail');
+  }, function(error) {
+    assert.ok(/key list cache was not found/.test(error.message));
+    assert.ok(bucket.get('isKeyListLoaded'), 'the bucket is left as it was');
+  });
+});
+
+test('getAllCachedKeys adds the created keys, and leaves out the deleted ones', function(assert) {
+  let service = this.subject();
+  let bucket = Ember.Object.create({
+    clusterId: 'filter-test',
+    bucketTypeId: 'default',
+    bucketId: 'users',
+    keyList: {created: '2016-01-01T00:00:00Z'}
+  });
+  let objectFor = function(key) {
+    return Ember.Object.create({clusterId: 'filter-test', bucketTypeId: 'default', bucketId: 'users', key: key});
+  };
+
+  service.allKeys['filter-test/default/users'] = {created: '2016-01-01T00:00:00Z', keys: ['a', 'b', 'c']};
+  service.markCreatedKey(objectFor('new'));
+  service.markDeletedKey(objectFor('b'));
+
+  return service.getAllCachedKeys(bucket).then(function(keys) {
+    assert.deepEqual(keys, ['new', 'a', 'c']);
+  });
+});
@@ -0,0 +1,61 @@
+import contentFormat, { parseError, prettyPrint, minify } from '../../../utils/content-format';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | content format');
+
+test('determines the format from the content type', function(assert) {
+  assert.equal(contentFormat('application/json'), 'json');
+  assert.equal(contentFormat('application/json; charset=utf-8'), 'json');
+  assert.equal(contentFormat('application/vnd.api+json'), 'json');
+  assert.equal(contentFormat('text/xml'), 'xml');
+  assert.equal(contentFormat('application/atom+xml'), 'xml');
+  assert.equal(contentFormat('text/plain'), 'text');
+  assert.equal(contentFormat(undefined), 'text');
+});
+
+test('checks that documents parse', function(assert) {
+  assert.equal(parseError('json', '{"a": 1}'), null);
+  assert.ok(parseError('json', '{"a": 1,}'));
+  assert.ok(parseError('json', ''), 'An empty JSON document is invalid');
+  assert.equal(parseError('xml', '<a><b/></a>'), null);
+  assert.ok(parseError('xml', '<a><b></a>'));
+  assert.equal(parseError('text', '{"a": '), null, 'Plain text is not checked');
+});
+
+test('pretty-prints and minifies JSON', function(assert) {
+  assert.equal(prettyPrint('json', '{"a":[1]}'), '{\n  "a": [\n    1\n  ]\n}');
+  assert.equal(minify('json', '{\n  "a": [ 1 ]\n}'), '{"a":[1]}');
+});
+
+test('pretty-prints and minifies XML', function(assert) {
+  assert.equal(prettyPrint('xml', '<a x="1"><b>text</b><c/><d><e>hi</e></d></a>'),
+    '<a x="1">\n  <b>text</b>\n  <c/>\n  <d>\n    <e>hi</e>\n  </d>\n</a>');
+  assert.equal(minify('xml', '<a>\n  <b>text</b>\n</a>\n'), '<a><b>text</b></a>');
+});
+
+test('keeps the whitespace of XML mixed content', function(assert) {
+  let text = '<doc>\n  <p><b>a</b> <i>b</i></p>\n  <title> Text </title>\n</doc>';
+
+  assert.equal(minify('xml', text), '<doc><p><b>a</b> <i>b</i></p><title> Text </title></doc>');
+  assert.equal(prettyPrint('xml', '<doc><p>Some <b>bold</b>\n text</p><empty></empty></doc>'),
+    '<doc>\n  <p>Some <b>bold</b>\n text</p>\n  <empty>\n  </empty>\n</doc>');
+});
+
+test('keeps > in XML attribute values', function(assert) {
+  assert.equal(prettyPrint('xml', '<a><b x="1 > 0" y=\'&gt;\'/><c>hi</c></a>'),
+    '<a>\n  <b x="1 > 0" y=\'&gt;\'/>\n  <c>hi</c>\n</a>');
+  assert.equal(minify('xml', '<a>\n  <b x="a>b">text</b>\n</a>'), '<a><b x="a>b">text</b></a>');
+});
+
+test('keeps XML comments whole', function(assert) {
+  assert.equal(prettyPrint('xml', '<a><!-- a > b --><b/></a>'),
+    '<a>\n  <!-- a > b -->\n  <b/>\n</a>');
+  assert.equal(minify('xml', '<a>\n  <!-- <b>not an element</b> -->\n</a>'),
+    '<a><!-- <b>not an element</b> --></a>');
+});
+
+test('keeps XML CDATA sections as text', function(assert) {
+  assert.equal(prettyPrint('xml', '<a><b><![CDATA[x > 1 && <y>]]></b><c/></a>'),
+    '<a>\n  <b><![CDATA[x > 1 && <y>]]></b>\n  <c/>\n</a>');
+  assert.equal(minify('xml', '<a>\n  <b><![CDATA[ </b> ]]></b>\n</a>'), '<a><b><![CDATA[ </b> ]]></b></a>');
+});
@@ -0,0 +1,28 @@
+import hexDump from '../../../utils/hex-dump';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | hex dump');
+
+test('formats bytes as hex and ASCII', function(assert) {
+  assert.deepEqual(hexDump(new Uint8Array([72, 105, 0, 255, 10])), [
+    {offset: '00000000', hex: '48 69 00 ff 0a', ascii: 'Hi...'}
+  ]);
+});
+
+test('dumps a range of bytes, in rows', function(assert) {
+  let bytes = new Uint8Array(40);
+
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = 65 + (i % 26);
+  }
+  let rows = hexDump(bytes, 16, 20, 8);
+
+  assert.deepEqual(rows.mapBy('offset'), ['00000010', '00000018', '00000020']);
+  assert.equal(rows[0].ascii, 'QRSTUVWX');
+  assert.equal(rows[2].hex, '47 48 49 4a');
+});
+
+test('stops at the end of the bytes', function(assert) {
+  assert.equal(hexDump(new Uint8Array(20), 16, 100).length, 1);
+  assert.deepEqual(hexDump(new Uint8Array(0)), []);
+});
@@ -0,0 +1,46 @@
+import importRecords from '../../../utils/import-records';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | import records');
+
+test('newline-delimited JSON', function(assert) {
+  let text = '{"key":"a","body":"1"}\n\n{"key":2,"type":"counter","value":5}\n';
+
+  assert.deepEqual(importRecords(text, 'export.ndjson'), [
+    {key: 'a', body: '1'},
+    {key: '2', type: 'counter', value: 5}
+  ]);
+  assert.throws(function() {
+    importRecords('{"key":"a"}\n{oops', 'export.ndjson');
+  }, /line 2/);
+});
+
+test('JSON array', function(assert) {
+  assert.deepEqual(importRecords('[{"key":"a"},{"key":"b"}]', 'data.json'), [
+    {key: 'a'},
+    {key: 'b'}
+  ]);
+  assert.throws(function() {
+    importRecords('[{"value":1}]', 'data.json');
+  }, /Record 1 has no key/);
+});
+
+test('CSV', function(assert) {
+  let text = 'key,content_type,body,usermeta.source,indexes.tags_bin\r\n' +
+    'a,text/plain,"Hello, ""world""",web,"x, y"\r\n' +
+    'b,application/json,"{""n"":1}",,\r\n';
+
+  assert.deepEqual(importRecords(text, 'data.csv'), [
+    {
+      key: 'a',
+      content_type: 'text/plain',
+      body: 'Hello, "world"',
+      usermeta: {source: 'web'},
+      indexes: {tags_bin: ['x', 'y']}
+    },
+    {key: 'b', content_type: 'application/json', body: '{"n":1}'}
+  ]);
+  assert.throws(function() {
+    importRecords('name,body\nx,y', 'data.csv');
+  }, /"key" column/);
+});
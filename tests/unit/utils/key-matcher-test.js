@@ -0,0 +1,32 @@
+import keyMatcher from '../../../utils/key-matcher';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | key matcher');
+
+const KEYS = ['user:1', 'user:22', 'order:user:3', 'User:4'];
+
+test('matches by prefix', function(assert) {
+  assert.deepEqual(KEYS.filter(keyMatcher('prefix', 'user:')), ['user:1', 'user:22']);
+});
+
+test('matches by substring', function(assert) {
+  assert.deepEqual(KEYS.filter(keyMatcher('substring', 'user:')),
+    ['user:1', 'user:22', 'order:user:3']);
+});
+
+test('matches by regex', function(assert) {
+  assert.deepEqual(KEYS.filter(keyMatcher('regex', '^[uU]ser:\\d$')), ['user:1', 'User:4']);
+});
+
+test('an empty pattern matches every key', function(assert) {
+  assert.deepEqual(KEYS.filter(keyMatcher('prefix', '')), KEYS);
+});
+
+test('rejects invalid regexes and modes', function(assert) {
+  assert.throws(function() {
+    keyMatcher('regex', 'user:(');
+  }, /Invalid regular expression/);
+  assert.throws(function() {
+    keyMatcher('glob', 'user:*');
+  }, /Unknown key filter mode/);
+});
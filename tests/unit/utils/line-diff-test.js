@@ -0,0 +1,24 @@
+import lineDiff from '../../../utils/line-diff';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | line diff');
+
+test('identical texts', function(assert) {
+  assert.deepEqual(lineDiff('a\nb', 'a\nb'), [
+    {type: 'same', line: 'a'},
+    {type: 'same', line: 'b'}
+  ]);
+});
+
+test('changed, added and removed lines', function(assert) {
+  assert.deepEqual(lineDiff(['a', 'b', 'c'], ['a', 'x', 'c', 'd']), [
+    {type: 'same', line: 'a'},
+    {type: 'removed', line: 'b'},
+    {type: 'added', line: 'x'},
+    {type: 'same', line: 'c'},
+    {type: 'added', line: 'd'}
+  ]);
+  assert.deepEqual(lineDiff('a', null), [
+    {type: 'removed', line: 'a'}
+  ]);
+});
@@ -0,0 +1,69 @@
+import mapContentsToJSON, { mapTree, highlightParts } from '../../../utils/map-json';
+import { module, test } from 'qunit';
+import Ember from 'ember';
+
+module('Unit | Utility | map json');
+
+test('converts map contents to plain JSON, without back-references', function(assert) {
+  let rootMap = Ember.Object.create();
+  let field = function(value) {
+    return Ember.Object.create({value: value, rootMap: rootMap, parentMap: rootMap});
+  };
+  let contents = {
+    counters: {visits_counter: field(3)},
+    flags: {active_flag: field(true)},
+    registers: {name_register: field('Joe')},
+    sets: {tags_set: field(['a', 'b'])},
+    maps: {
+      address_map: field({
+        registers: {city_register: field('Paris')},
+        maps: {geo_map: field({registers: {lat_register: field('48.8')}})}
+      })
+    }
+  };
+  rootMap.set('contents', contents);
+
+  assert.deepEqual(mapContentsToJSON(contents), {
+    visits_counter: 3,
+    active_flag: true,
+    name_register: 'Joe',
+    tags_set: ['a', 'b'],
+    address_map: {
+      city_register: 'Paris',
+      geo_map: {lat_register: '48.8'}
+    }
+  });
+  assert.ok(JSON.stringify(mapContentsToJSON(contents)), 'is not circular');
+});
+
+test('builds a tree of fields, with their paths', function(assert) {
+  assert.deepEqual(mapTree({
+    name_register: 'Joe',
+    address_map: {city_register: 'Paris'}
+  }), [
+    {
+      name: 'address_map', path: 'address_map', fieldType: 'map', value: null,
+      children: [{
+        name: 'city_register', path: 'address_map.city_register',
+        fieldType: 'register', value: '"Paris"', children: []
+      }]
+    },
+    {name: 'name_register', path: 'name_register', fieldType: 'register', value: '"Joe"', children: []}
+  ]);
+});
+
+test('splits text into matching and non-matching parts', function(assert) {
+  assert.deepEqual(highlightParts('city_register', 'CITY'), [
+    {text: 'city', isMatch: true},
+    {text: '_register', isMatch: false}
+  ]);
+  assert.deepEqual(highlightParts('"a-b-a"', 'a'), [
+    {text: '"', isMatch: false},
+    {text: 'a', isMatch: true},
+    {text: '-b-', isMatch: false},
+    {text: 'a', isMatch: true},
+    {text: '"', isMatch: false}
+  ]);
+  assert.deepEqual(highlightParts('name_register', ''), [{text: 'name_register', isMatch: false}]);
+  assert.deepEqual(highlightParts(null, 'a'), []);
+});
@@ -0,0 +1,112 @@
+import mergeMapOperations from '../../../utils/map-operations';
+import { module, test } from 'qunit';
+import Ember from 'ember';
+
+module('Unit | Utility | map operations');
+
+function mergeAll(operations) {
+  return operations.reduce(mergeMapOperations, {});
+}
+
+test('merges register, flag and counter updates', function(assert) {
+  let operation = mergeAll([
+    {update: {name_register: 'Joe'}},
+    {update: {name_register: 'Jane'}},
+    {update: {active_flag: 'enable'}},
+    {update: {visits_counter: {increment: 3}}},
+    {update: {visits_counter: {decrement: 5}}}
+  ]);
+
+  assert.deepEqual(operation, {
+    update: {
+      name_register: 'Jane',
+      active_flag: 'enable',
+      visits_counter: {decrement: 2}
+    }
+  });
+});
+
+test('combines set updates, and drops the ones that cancel out', function(assert) {
+  assert.deepEqual(mergeAll([
+    {update: {tags_set: {add: 'a'}}},
+    {update: {tags_set: {add: 'b'}}},
+    {update: {tags_set: {remove: 'a'}}},
+    {update: {tags_set: {remove: 'c'}}}
+  ]), {update: {tags_set: {add_all: ['b'], remove_all: ['c']}}});
+
+  assert.deepEqual(mergeAll([
+    {update: {tags_set: {add: 'a'}}},
+    {update: {tags_set: {remove: 'a'}}}
+  ]), {}, 'an element added and removed again is not sent');
+  assert.deepEqual(mergeAll([
+    {update: {tags_set: {remove: 'a'}}},
+    {update: {tags_set: {add: 'a'}}},
+    {update: {tags_set: {remove: 'a'}}}
+  ]), {update: {tags_set: {remove: 'a'}}}, 'removed, added back, then removed again');
+});
+
+test('merges updates and removals in nested maps', function(assert) {
+  let operation = mergeAll([
+    {update: {address_map: {update: {city_register: 'Paris'}}}},
+    {update: {address_map: {update: {geo_map: {update: {lat_register: '48.8'}}}}}},
+    {update: {address_map: {remove: 'zip_register'}}},
+    {update: {address_map: {remove: 'country_register'}}},
+    {remove: 'notes_set'}
+  ]);
+
+  assert.deepEqual(operation, {
+    update: {
+      address_map: {
+        update: {
+          city_register: 'Paris',
+          geo_map: {update: {lat_register: '48.8'}}
+        },
+        remove: ['zip_register', 'country_register']
+      }
+    },
+    remove: 'notes_set'
+  });
+});
+
+test('removing a field discards earlier updates to it', function(assert) {
+  assert.deepEqual(mergeAll([
+    {update: {address_map: {update: {city_register: 'Paris'}}}},
+    {update: {name_register: 'Joe'}},
+    {remove: 'address_map'}
+  ]), {update: {name_register: 'Joe'}, remove: 'address_map'});
+
+  assert.deepEqual(mergeAll([
+    {remove: 'name_register'},
+    {update: {name_register: 'Joe'}}
+  ]), {update: {name_register: 'Joe'}}, 'updating a field cancels its removal');
+});
+
+test('rejects updating a removed counter, set or map', function(assert) {
+  assert.throws(function() {
+    mergeAll([
+      {remove: 'visits_counter'},
+      {update: {visits_counter: {increment: 5}}}
+    ]);
+  }, Ember.Error, 'a re-added counter would keep its old value');
+  assert.throws(function() {
+    mergeAll([
+      {remove: 'tags_set'},
+      {update: {tags_set: {add_all: ['a']}}}
+    ]);
+  }, Ember.Error);
+  assert.throws(function() {
+    mergeAll([
+      {update: {address_map: {remove: 'geo_map'}}},
+      {update: {address_map: {update: {geo_map: {update: {lat_register: '48.8'}}}}}}
+    ]);
+  }, Ember.Error, 'in nested maps as well');
+});
+
+test('does not modify the operations being merged', function(assert) {
+  let first = {update: {tags_set: {add: 'a'}}};
+  let second = {update: {tags_set: {add: 'b'}}};
+
+  mergeAll([first, second]);
+  assert.deepEqual(first, {update: {tags_set: {add: 'a'}}});
+  assert.deepEqual(second, {update: {tags_set: {add: 'b'}}});
+});
@@ -0,0 +1,52 @@
+import mapReduceJob, { mapReduceInputs, mapReducePhase, curlCommand } from '../../../utils/mapreduce-job';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | mapreduce job');
+
+test('builds bucket/key inputs', function(assert) {
+  assert.deepEqual(mapReduceInputs('keys', {bucketType: 'default', keys: 'users/joe\n\n users/ann/b '}),
+    [['users', 'joe'], ['users', 'ann/b']]);
+  assert.deepEqual(mapReduceInputs('keys', {bucketType: 'maps', keys: 'users/joe'}),
+    [[['maps', 'users'], 'joe']]);
+  assert.throws(function() {
+    mapReduceInputs('keys', {keys: 'joe'});
+  }, /bucket\/key/);
+});
+
+test('builds bucket and 2i inputs', function(assert) {
+  assert.equal(mapReduceInputs('bucket', {bucketType: 'default', bucket: 'users'}), 'users');
+  assert.deepEqual(mapReduceInputs('index', {bucket: 'users', indexName: 'age_int',
+    rangeStart: '18', rangeEnd: '30'}), {bucket: 'users', index: 'age_int', start: '18', end: '30'});
+  assert.deepEqual(mapReduceInputs('index', {bucket: 'users', indexName: 'email_bin',
+    indexValue: 'joe@example.com'}), {bucket: 'users', index: 'email_bin', key: 'joe@example.com'});
+  assert.throws(function() {
+    mapReduceInputs('index', {bucket: 'users', indexName: 'email_bin'});
+  }, /index value/);
+});
+
+test('builds phases', function(assert) {
+  assert.deepEqual(mapReducePhase({type: 'map', language: 'erlang', module: 'riak_kv_mapreduce',
+    function: 'map_object_value', keep: false}),
+    {map: {language: 'erlang', module: 'riak_kv_mapreduce', function: 'map_object_value'}});
+  assert.deepEqual(mapReducePhase({type: 'reduce', language: 'javascript',
+    source: 'function(v) { return v; }', arg: '{"limit": 10}', keep: true}),
+    {reduce: {language: 'javascript', source: 'function(v) { return v; }', arg: {limit: 10}, keep: true}});
+  assert.throws(function() {
+    mapReducePhase({type: 'map', language: 'javascript', source: 'x', arg: '{oops'});
+  }, /not valid JSON/);
+});
+
+test('builds a job, and its curl command', function(assert) {
+  let job = mapReduceJob('users', [{type: 'map', language: 'javascript', source: "function(v) { return ['it\\'s']; }"}], 5000);
+
+  assert.deepEqual(job, {
+    inputs: 'users',
+    query: [{map: {language: 'javascript', source: "function(v) { return ['it\\'s']; }"}}],
+    timeout: 5000
+  });
+  assert.equal(curlCommand('http://localhost:9000/riak/clusters/default/mapred', {inputs: "it's"}),
+    `curl -XPOST 'http://localhost:9000/riak/clusters/default/mapred' -H 'Content-Type: application/json' -d '{"inputs":"it'\\''s"}'`);
+  assert.throws(function() {
+    mapReduceJob('users', []);
+  }, /At least one phase/);
+});
@@ -0,0 +1,47 @@
+import Ember from 'ember';
+import promisePool from '../../../utils/promise-pool';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | promise pool');
+
+test('limits concurrency and reports every outcome', function(assert) {
+  let done = assert.async();
+  let running = 0;
+  let maxRunning = 0;
+  let progress = [];
+
+  let task = function(item) {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    return new Ember.RSVP.Promise(function(resolve, reject) {
+      Ember.run.later(function() {
+        running--;
+        if (item === 'bad') {
+          reject('failed');
+        } else {
+          resolve(item.toUpperCase());
+        }
+      }, 5);
+    });
+  };
+
+  promisePool(['a', 'bad', 'c', 'd'], 2, task, function(completed) {
+    progress.push(completed);
+  }).then(function(results) {
+    assert.equal(maxRunning, 2);
+    assert.deepEqual(progress, [1, 2, 3, 4]);
+    assert.deepEqual(results.mapBy('state'), ['fulfilled', 'rejected', 'fulfilled', 'fulfilled']);
+    assert.equal(results[0].value, 'A');
+    assert.equal(results[1].reason, 'failed');
+    done();
+  });
+});
+
+test('empty list', function(assert) {
+  let done = assert.async();
+
+  promisePool([], 4, function() {}).then(function(results) {
+    assert.deepEqual(results, []);
+    done();
+  });
+});
@@ -0,0 +1,38 @@
+import requestOptionNames, { requestOptionError, requestOptionsQuery, effectiveRequestOptions } from '../../../utils/request-options';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | request options');
+
+test('lists the options for a set of operations', function(assert) {
+  assert.deepEqual(requestOptionNames(['fetch']), ['r', 'pr', 'basic_quorum', 'notfound_ok']);
+  assert.deepEqual(requestOptionNames(['fetch', 'delete']),
+    ['r', 'pr', 'basic_quorum', 'notfound_ok', 'rw', 'w', 'pw', 'dw']);
+});
+
+test('validates option values', function(assert) {
+  assert.equal(requestOptionError('r', ''), null);
+  assert.equal(requestOptionError('r', '2'), null);
+  assert.equal(requestOptionError('pw', 'quorum'), null);
+  assert.ok(requestOptionError('w', 'most'));
+  assert.equal(requestOptionError('notfound_ok', 'false'), null);
+  assert.ok(requestOptionError('returnbody', 'yes'));
+});
+
+test('builds the query string for an operation', function(assert) {
+  let options = {r: 'all', w: '3', notfound_ok: 'false', pr: ' ', dw: 'bogus'};
+
+  assert.equal(requestOptionsQuery('fetch', options), 'r=all&notfound_ok=false');
+  assert.equal(requestOptionsQuery('store', options), 'w=3');
+  assert.equal(requestOptionsQuery('store', null), '');
+});
+
+test('effective values fall back to the bucket defaults', function(assert) {
+  let quorum = {w: 'quorum', dw: 'quorum', pw: 0};
+
+  assert.deepEqual(effectiveRequestOptions('store', quorum, {w: 'all'}), [
+    {name: 'w', value: 'all', isOverride: true},
+    {name: 'dw', value: 'quorum', isOverride: false},
+    {name: 'pw', value: '0', isOverride: false},
+    {name: 'returnbody', value: 'false', isOverride: false}
+  ]);
+});
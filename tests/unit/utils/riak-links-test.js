@@ -0,0 +1,35 @@
+import parseLinkHeader, { formatLinkHeader, linkMatchesStep } from '../../../utils/riak-links';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | riak links');
+
+test('parses a Link header', function(assert) {
+  let header = '</buckets/people/keys/joe>; riaktag="friend", </riak/cities/new%20york>; riaktag="home", ' +
+    '</buckets/people>; rel="up"';
+
+  assert.deepEqual(parseLinkHeader(header), [
+    {bucket: 'people', key: 'joe', riaktag: 'friend'},
+    {bucket: 'cities', key: 'new york', riaktag: 'home'}
+  ]);
+  assert.deepEqual(parseLinkHeader(undefined), []);
+});
+
+test('formats a Link header', function(assert) {
+  let links = [
+    {bucket: 'people', key: 'joe', riaktag: 'friend'},
+    {bucket: 'cities', key: 'new york', riaktag: 'home'}
+  ];
+
+  assert.equal(formatLinkHeader(links),
+    '</buckets/people/keys/joe>; riaktag="friend", </buckets/cities/keys/new%20york>; riaktag="home"');
+  assert.deepEqual(parseLinkHeader(formatLinkHeader(links)), links);
+});
+
+test('matches links to link-walking steps', function(assert) {
+  let link = {bucket: 'people', key: 'joe', riaktag: 'friend'};
+
+  assert.ok(linkMatchesStep(link, {bucket: '_', riaktag: '_'}));
+  assert.ok(linkMatchesStep(link, {bucket: 'people', riaktag: 'friend'}));
+  assert.notOk(linkMatchesStep(link, {bucket: 'people', riaktag: 'enemy'}));
+  assert.notOk(linkMatchesStep(link, {bucket: 'cities', riaktag: '_'}));
+});
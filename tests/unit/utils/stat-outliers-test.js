@@ -0,0 +1,19 @@
+import statOutliers from '../../../utils/stat-outliers';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | stat outliers');
+
+test('flags values far from the median', function(assert) {
+  assert.deepEqual(statOutliers([10, 11, 12, 50]), [false, false, false, true]);
+  assert.deepEqual(statOutliers([100, 104, 98, 101]), [false, false, false, false]);
+});
+
+test('handles mostly identical values', function(assert) {
+  assert.deepEqual(statOutliers([0, 0, 0, 500]), [false, false, false, true]);
+  assert.deepEqual(statOutliers([5, 5, 5, 5]), [false, false, false, false]);
+});
+
+test('ignores non-numeric values and small samples', function(assert) {
+  assert.deepEqual(statOutliers(['riak@a', 1, 1, 90, undefined]), [false, false, false, true, false]);
+  assert.deepEqual(statOutliers([1, 1000]), [false, false]);
+});